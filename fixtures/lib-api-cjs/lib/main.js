@@ -0,0 +1,27 @@
+function add(a, b) {
+  return a + b;
+}
+
+function pad(str, width = 10, ch = " ") {
+  return String(str).padStart(width, ch);
+}
+
+function Counter(start) {
+  this.count = start;
+}
+Counter.prototype.inc = function (step) {
+  this.count += step;
+  return this.count;
+};
+
+module.exports = {
+  add,
+  pad,
+  Counter,
+  join: function (sep, ...parts) {
+    return parts.join(sep);
+  },
+};
+
+module.exports.VERSION = "1.0.0";
+exports.limit = 100;
@@ -0,0 +1,5 @@
+export const DEFAULT_CAPACITY = 16;
+
+export function describe(q, verbose) {
+  return verbose ? JSON.stringify(q) : String(q.size);
+}
@@ -0,0 +1,35 @@
+export function clamp(value, min = 0, max = 1) {
+  return Math.min(Math.max(value, min), max);
+}
+
+export const sum = (...values) => values.reduce((a, b) => a + b, 0);
+
+export class Queue {
+  static create() {
+    return new Queue([]);
+  }
+
+  size = 0;
+
+  constructor(items, { capacity } = {}) {
+    this.items = items;
+    this.capacity = capacity;
+  }
+
+  push(item) {
+    this.items.push(item);
+  }
+}
+
+const helpers = {
+  isEmpty(q) {
+    return q.size === 0;
+  },
+};
+
+export { helpers as utils };
+export * from "./extra.js";
+
+export default function createQueue(items) {
+  return new Queue(items);
+}
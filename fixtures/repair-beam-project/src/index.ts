@@ -0,0 +1,7 @@
+import { getA, getB } from "beam-lib";
+
+// Both return types are wrong in the top-1 prediction; the search has to switch two slots.
+const a: number = getA();
+const b: string = getB();
+void a;
+void b;
@@ -2,4 +2,3 @@ declare module "foo" {
   const _default: any;
   export = _default;
 }
-export {};
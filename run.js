@@ -1,17 +1,61 @@
 import fs from "node:fs/promises";
-import { existsSync } from "node:fs";
+import { existsSync, readFileSync } from "node:fs";
 import path from "node:path";
 import { spawn } from "node:child_process";
 import { glob } from "glob";
-import { genDts } from "./src/dts_generate_ours.js";
+import { genDts, generateDtsFromSurface, renderDeclarations } from "./src/dts_generate_ours.js";
+import { extractApiSurface } from "./src/api_extract.js";
+import { InProcessChecker } from "./src/ts_checker.js";
+import { PythonPredictor } from "./src/predictor_python.js";
+import { KeyedLock, mapPool } from "./src/concurrency.js";
+import { createOverlay } from "./src/workspace.js";
+import { installSignalHandlers, registerCleanup, unregisterCleanup } from "./src/cleanup.js";
+import { restoreConsumer } from "./src/restore.js";
+import {
+  countByCode,
+  countErrorCodes,
+  diffDiagnostics,
+  parseDiagnostics,
+  summarizeDiagnostics,
+} from "./src/diagnostics.js";
+import { comparePaired, successRateCI } from "./src/stats.js";
+import { loadExperiment, renderHtml, renderMarkdown } from "./src/experiment_report.js";
+import { compareRuns, formatComparison, loadRunRows } from "./src/compare.js";
+import { comparisonPairs, expandMatrix, sliceByAxis } from "./src/matrix.js";
+import { createAttributor, summarizeByLibrary } from "./src/attribution.js";
+import { inspectPackage, typesPackageNameOf, untypedImports } from "./src/discover.js";
+import { collectUsage, usageSurfaceExports, writeUsageDts } from "./src/usage_infer.js";
+import { INJECTION_STRATEGIES, injectDeclarations, validateInjectionStrategy } from "./src/injection.js";
+import { loadProjectGraph, prepareBuild, summarizeByProject } from "./src/project_refs.js";
+import { DEFAULT_NORMALIZATION_RULES, normalizeTsconfig, validateNormalizationRules } from "./src/tsconfig.js";
+import { aggregateScores, loadSlots, scoreSlots } from "./src/type_score.js";
+import { checkTypeString, sanitizePredictions, writeRejectionReport } from "./src/type_sanitize.js";
+import { findProjectTypeScript, loadTypeScriptModule, resolveTypeScriptInstall } from "./src/typescript_install.js";
+
+// Consumer directories are mutated during a check (tsconfig normalization, @types injection,
+// tsconfig.injected.json), so tasks that share one take turns even under --concurrency.
+const workspaceLocks = new KeyedLock();
+
+// An --isolate run never writes to the original directory, so it does not need a turn.
+function withConsumerLock(dir, isolate, fn) {
+  return isolate ? fn() : workspaceLocks.run(dir, fn);
+}
 
-function getTscCliCommand() {
+// The compiler a check runs with: the installation pinned for it (matrix typescript axis, a
+// scenario's or manifest project's `typescript`, or --typescript, most specific first) or
+// otherwise the repository-local one. `typescriptPath` and `version` go into every row.
+async function resolveCompiler(typescriptPath) {
   // Prefer repository-local TypeScript to avoid npx downloading (important for offline/sandboxed runs).
-  const localTsc = path.resolve(process.cwd(), "node_modules", "typescript", "bin", "tsc");
-  if (existsSync(localTsc)) {
-    return `node "${localTsc}"`;
+  const install = typescriptPath ? resolveTypeScriptInstall(typescriptPath) : findProjectTypeScript(process.cwd());
+  if (install) {
+    return {
+      command: `node "${install.tsc}"`,
+      version: install.version,
+      typescriptPath: install.path,
+      pinned: Boolean(typescriptPath),
+    };
   }
-  return "npx tsc";
+  return { command: "npx tsc", version: await getTscVersion(), typescriptPath: undefined, pinned: false };
 }
 
 async function main() {
@@ -24,8 +68,15 @@ async function main() {
     return;
   }
 
+  if (command === "restore") {
+    const restoreOpts = parseRestoreArgs(args.slice(1));
+    await runRestore(restoreOpts);
+    return;
+  }
+
   if (command === "eval") {
     const evalOpts = parseEvalArgs(args.slice(1));
+    installSignalHandlers();
     await runEval(evalOpts);
     return;
   }
@@ -35,20 +86,69 @@ async function main() {
     const result = await genDts({
       apiPath: genOpts.apiPath,
       outDir: genOpts.outDir,
+      topk: genOpts.topk,
+      predictionsDir: genOpts.predictionsDir,
+      queriesDir: genOpts.queriesDir,
+      fallbackType: genOpts.fallbackType,
     });
+    console.log(`Predictor: ${result.model.name ?? "unknown"} ${result.model.version ?? ""}`.trimEnd());
     console.log(`Generated: ${result.generatedDtsPath}`);
     console.log(`Queries: ${result.queriesPath}`);
+    console.log(`Predictions: ${result.predictionsPath}`);
+    if (result.rejectionsPath) {
+      console.log(`Rejected ${result.rejections.length} candidate type(s): ${result.rejectionsPath}`);
+    }
+    return;
+  }
+
+  if (command === "extract-api") {
+    const extractOpts = parseExtractApiArgs(args.slice(1));
+    const surface = await extractApiSurface(extractOpts.libDir, { libName: extractOpts.libName });
+    const outPath =
+      extractOpts.outPath ??
+      path.resolve(process.cwd(), "generated-api", `${sanitizeFileName(surface.libName)}.json`);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, JSON.stringify(surface, null, 2) + "\n", "utf8");
+    console.log(`Extracted ${surface.exports.length} exports from ${surface.entry}`);
+    console.log(`API surface: ${path.relative(process.cwd(), outPath)}`);
     return;
   }
 
   if (command === "experiment") {
     const expOpts = parseExperimentArgs(args.slice(1));
+    installSignalHandlers();
     await runExperiment(expOpts);
     return;
   }
 
+  if (command === "report") {
+    const reportOpts = parseReportArgs(args.slice(1));
+    await runReport(reportOpts);
+    return;
+  }
+
+  if (command === "compare") {
+    const compareOpts = parseCompareArgs(args.slice(1));
+    await runCompare(compareOpts);
+    return;
+  }
+
+  if (command === "score-types") {
+    const scoreOpts = parseScoreTypesArgs(args.slice(1));
+    await runScoreTypes(scoreOpts);
+    return;
+  }
+
+  if (command === "discover-scenarios") {
+    const discoverOpts = parseDiscoverArgs(args.slice(1));
+    installSignalHandlers();
+    await runDiscover(discoverOpts);
+    return;
+  }
+
   if (args.includes("--projects")) {
     const opts = parseLegacyArgs(args);
+    installSignalHandlers();
     await legacyEval(opts);
     return;
   }
@@ -56,10 +156,16 @@ async function main() {
   console.error(
     "Usage:\n" +
       "  node run.js prepare --manifest <path>\n" +
-      "  node run.js eval --manifest <path> [--head N] [--condition BL0|BL1|OURS] [--libName NAME] [--dts PATH]\n" +
-      "  node run.js gen-dts --api <path> --out <dir>\n" +
-      "  node run.js experiment --scenarios <glob> --matrix <path> --out <dir> [--resume]\n" +
-      "  node run.js --projects <glob> [--head N] [--timeout S]  (legacy)",
+      "  node run.js restore (--scenarios <glob> | --manifest <path> | --projects <glob>) [--dry-run]\n" +
+      "  node run.js eval --manifest <path> [--head N] [--condition BL0|BL1|OURS] [--libName NAME] [--dts PATH] [--concurrency N] [--isolate] [--typescript DIR] [--injection STRATEGY] [--tsconfig-rules PATH]\n" +
+      "  node run.js gen-dts --api <path> --out <dir> [--topk K] [--predsDir DIR] [--queriesDir DIR] [--fallback-type T]\n" +
+      "  node run.js extract-api --lib <dir> [--out <path>] [--name NAME]\n" +
+      "  node run.js experiment --scenarios <glob> --matrix <path> --out <dir> [--resume] [--concurrency N] [--isolate] [--typescript DIR] [--tsconfig-rules PATH]\n" +
+      "  node run.js report --exp <dir> [--format html|md] [--out <path>]\n" +
+      "  node run.js compare <runA> <runB> [--duration-threshold R] [--json <path>]\n" +
+      "  node run.js score-types (--pred <d.ts|predictions.json> --ref <d.ts> | --exp <dir> --refs <dir>) [--out <path>]\n" +
+      "  node run.js discover-scenarios --projects <glob> --out <dir> [--timeout S] [--force] [--typescript DIR] [--tsconfig-rules PATH]\n" +
+      "  node run.js --projects <glob> [--head N] [--timeout S] [--repair [--preds PATH] [--topk K] [--beam N] [--expandSlots S] [--maxIters N] [--checker cli|inproc] [--fallback-type T]] [--concurrency N] [--isolate] [--typescript DIR] [--tsconfig-rules PATH]  (legacy)",
   );
   process.exit(1);
 }
@@ -79,6 +185,35 @@ function parseManifestArgs(args) {
   return { manifestPath: path.resolve(manifestPath) };
 }
 
+function parseRestoreArgs(args) {
+  let scenariosPattern = "";
+  let manifestPath = "";
+  let projectsPattern = "";
+  let dryRun = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--scenarios") {
+      scenariosPattern = args[++i] ?? "";
+    } else if (arg === "--manifest") {
+      manifestPath = args[++i] ?? "";
+    } else if (arg === "--projects") {
+      projectsPattern = args[++i] ?? "";
+    } else if (arg === "--dry-run") {
+      dryRun = true;
+    }
+  }
+  if (!scenariosPattern && !manifestPath && !projectsPattern) {
+    console.error("Usage: node run.js restore (--scenarios <glob> | --manifest <path> | --projects <glob>) [--dry-run]");
+    process.exit(1);
+  }
+  return {
+    scenariosPattern,
+    manifestPath: manifestPath ? path.resolve(manifestPath) : undefined,
+    projectsPattern,
+    dryRun,
+  };
+}
+
 function parseEvalArgs(args) {
   let manifestPath = "";
   let scenariosPattern = "";
@@ -86,6 +221,11 @@ function parseEvalArgs(args) {
   let condition = "BL0";
   let libName;
   let dtsPath;
+  let concurrency = 1;
+  let isolate = false;
+  let typescriptPath;
+  let tsconfigRules = DEFAULT_NORMALIZATION_RULES;
+  let injection;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -101,10 +241,24 @@ function parseEvalArgs(args) {
       libName = args[++i];
     } else if (arg === "--dts") {
       dtsPath = args[++i];
+    } else if (arg === "--concurrency") {
+      concurrency = parseConcurrencyArg(args[++i]);
+    } else if (arg === "--isolate") {
+      isolate = true;
+    } else if (arg === "--typescript") {
+      typescriptPath = parseTypeScriptArg(args[++i]);
+    } else if (arg === "--tsconfig-rules") {
+      tsconfigRules = parseTsconfigRulesArg(args[++i]);
+    } else if (arg === "--injection") {
+      injection = args[++i];
+      if (!INJECTION_STRATEGIES.includes(injection)) {
+        console.error(`--injection must be one of ${INJECTION_STRATEGIES.join(", ")}`);
+        process.exit(1);
+      }
     }
   }
   if (!manifestPath && !scenariosPattern) {
-    console.error("Usage: node run.js eval (--manifest <path> | --scenarios <glob>) [--head N] [--condition BL0|BL1|OURS] [--libName NAME] [--dts PATH]");
+    console.error("Usage: node run.js eval (--manifest <path> | --scenarios <glob>) [--head N] [--condition BL0|BL1|OURS] [--libName NAME] [--dts PATH] [--concurrency N] [--isolate] [--typescript DIR] [--injection STRATEGY] [--tsconfig-rules PATH]");
     process.exit(1);
   }
   return {
@@ -114,25 +268,74 @@ function parseEvalArgs(args) {
     condition,
     libName,
     dtsPath: dtsPath ? path.resolve(dtsPath) : undefined,
+    concurrency,
+    isolate,
+    typescriptPath,
+    injection,
+    tsconfigRules,
   };
 }
 
 function parseGenDtsArgs(args) {
   let apiPath = "";
   let outDir = "";
+  let topk = 5;
+  let predictionsDir;
+  let queriesDir;
+  let fallbackType;
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === "--api") {
       apiPath = args[++i] ?? "";
     } else if (arg === "--out") {
       outDir = args[++i] ?? "";
+    } else if (arg === "--topk") {
+      topk = parsePositiveIntArg("--topk", args[++i]);
+    } else if (arg === "--predsDir") {
+      predictionsDir = args[++i];
+    } else if (arg === "--queriesDir") {
+      queriesDir = args[++i];
+    } else if (arg === "--fallback-type") {
+      fallbackType = parseFallbackTypeArg(args[++i]);
     }
   }
   if (!apiPath || !outDir) {
-    console.error("Usage: node run.js gen-dts --api <path> --out <dir>");
+    console.error("Usage: node run.js gen-dts --api <path> --out <dir> [--topk K] [--predsDir DIR] [--queriesDir DIR] [--fallback-type T]");
+    process.exit(1);
+  }
+  return {
+    apiPath: path.resolve(apiPath),
+    outDir: path.resolve(outDir),
+    topk,
+    predictionsDir: predictionsDir ? path.resolve(predictionsDir) : undefined,
+    queriesDir: queriesDir ? path.resolve(queriesDir) : undefined,
+    fallbackType,
+  };
+}
+
+function parseExtractApiArgs(args) {
+  let libDir = "";
+  let outPath = "";
+  let libName;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--lib") {
+      libDir = args[++i] ?? "";
+    } else if (arg === "--out") {
+      outPath = args[++i] ?? "";
+    } else if (arg === "--name") {
+      libName = args[++i];
+    }
+  }
+  if (!libDir) {
+    console.error("Usage: node run.js extract-api --lib <dir> [--out <path>] [--name NAME]");
     process.exit(1);
   }
-  return { apiPath: path.resolve(apiPath), outDir: path.resolve(outDir) };
+  return {
+    libDir: path.resolve(libDir),
+    outPath: outPath ? path.resolve(outPath) : undefined,
+    libName,
+  };
 }
 
 function parseExperimentArgs(args) {
@@ -141,6 +344,10 @@ function parseExperimentArgs(args) {
   let outDir = "";
   let resume = false;
   let headLines = 40;
+  let concurrency = 1;
+  let isolate = false;
+  let typescriptPath;
+  let tsconfigRules = DEFAULT_NORMALIZATION_RULES;
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === "--scenarios") {
@@ -153,10 +360,18 @@ function parseExperimentArgs(args) {
       resume = true;
     } else if (arg === "--head") {
       headLines = Number(args[++i] ?? headLines);
+    } else if (arg === "--concurrency") {
+      concurrency = parseConcurrencyArg(args[++i]);
+    } else if (arg === "--isolate") {
+      isolate = true;
+    } else if (arg === "--typescript") {
+      typescriptPath = parseTypeScriptArg(args[++i]);
+    } else if (arg === "--tsconfig-rules") {
+      tsconfigRules = parseTsconfigRulesArg(args[++i]);
     }
   }
   if (!scenariosPattern || !matrixPath || !outDir) {
-    console.error("Usage: node run.js experiment --scenarios <glob> --matrix <path> --out <dir> [--resume]");
+    console.error("Usage: node run.js experiment --scenarios <glob> --matrix <path> --out <dir> [--resume] [--concurrency N] [--isolate] [--typescript DIR] [--tsconfig-rules PATH]");
     process.exit(1);
   }
   return {
@@ -165,9 +380,183 @@ function parseExperimentArgs(args) {
     outDir: path.resolve(outDir),
     resume,
     headLines,
+    concurrency,
+    isolate,
+    typescriptPath,
+    tsconfigRules,
+  };
+}
+
+function parseReportArgs(args) {
+  let expDir = "";
+  let format = "html";
+  let outPath = "";
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--exp") {
+      expDir = args[++i] ?? "";
+    } else if (arg === "--format") {
+      format = args[++i] ?? "";
+    } else if (arg === "--out") {
+      outPath = args[++i] ?? "";
+    }
+  }
+  if (!expDir || (format !== "html" && format !== "md")) {
+    console.error("Usage: node run.js report --exp <dir> [--format html|md] [--out <path>]");
+    process.exit(1);
+  }
+  const resolvedExp = path.resolve(expDir);
+  return {
+    expDir: resolvedExp,
+    format,
+    outPath: outPath ? path.resolve(outPath) : path.join(resolvedExp, `report.${format}`),
+  };
+}
+
+function parseCompareArgs(args) {
+  const runs = [];
+  let durationThreshold = 0.5;
+  let jsonPath = "";
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--duration-threshold") {
+      durationThreshold = Number(args[++i]);
+    } else if (arg === "--json") {
+      jsonPath = args[++i] ?? "";
+    } else {
+      runs.push(arg);
+    }
+  }
+  if (runs.length !== 2 || !Number.isFinite(durationThreshold) || durationThreshold < 0) {
+    console.error("Usage: node run.js compare <runA> <runB> [--duration-threshold R] [--json <path>]");
+    process.exit(1);
+  }
+  return {
+    runA: runs[0],
+    runB: runs[1],
+    durationThreshold,
+    jsonPath: jsonPath ? path.resolve(jsonPath) : undefined,
+  };
+}
+
+function parseScoreTypesArgs(args) {
+  let predPath = "";
+  let refPath = "";
+  let expDir = "";
+  let refsDir = "";
+  let outPath = "";
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--pred") {
+      predPath = args[++i] ?? "";
+    } else if (arg === "--ref") {
+      refPath = args[++i] ?? "";
+    } else if (arg === "--exp") {
+      expDir = args[++i] ?? "";
+    } else if (arg === "--refs") {
+      refsDir = args[++i] ?? "";
+    } else if (arg === "--out") {
+      outPath = args[++i] ?? "";
+    }
+  }
+  const pair = Boolean(predPath && refPath);
+  const experiment = Boolean(expDir && refsDir);
+  if (pair === experiment) {
+    console.error(
+      "Usage: node run.js score-types (--pred <d.ts|predictions.json> --ref <d.ts> | --exp <dir> --refs <dir>) [--out <path>]",
+    );
+    process.exit(1);
+  }
+  return {
+    predPath: pair ? path.resolve(predPath) : undefined,
+    refPath: pair ? path.resolve(refPath) : undefined,
+    expDir: experiment ? path.resolve(expDir) : undefined,
+    refsDir: experiment ? path.resolve(refsDir) : undefined,
+    // experiments keep their scores next to aggregate.json
+    outPath: outPath
+      ? path.resolve(outPath)
+      : experiment
+        ? path.join(path.resolve(expDir), "type_scores.json")
+        : undefined,
   };
 }
 
+function parseDiscoverArgs(args) {
+  let projectsPattern = "";
+  let outDir = "";
+  let timeoutSec = 120;
+  let force = false;
+  let typescriptPath;
+  let tsconfigRules = DEFAULT_NORMALIZATION_RULES;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--projects") {
+      projectsPattern = args[++i] ?? "";
+    } else if (arg === "--out") {
+      outDir = args[++i] ?? "";
+    } else if (arg === "--timeout") {
+      timeoutSec = Number(args[++i] ?? timeoutSec);
+    } else if (arg === "--force") {
+      force = true;
+    } else if (arg === "--typescript") {
+      typescriptPath = parseTypeScriptArg(args[++i]);
+    } else if (arg === "--tsconfig-rules") {
+      tsconfigRules = parseTsconfigRulesArg(args[++i]);
+    }
+  }
+  if (!projectsPattern || !outDir) {
+    console.error("Usage: node run.js discover-scenarios --projects <glob> --out <dir> [--timeout S] [--force] [--typescript DIR] [--tsconfig-rules PATH]");
+    process.exit(1);
+  }
+  return { projectsPattern, outDir: path.resolve(outDir), timeoutSec, force, typescriptPath, tsconfigRules };
+}
+
+// --fallback-type <type>: what a slot gets when none of its predicted candidates parses; the
+// fallback itself must be a valid type.
+function parseFallbackTypeArg(value) {
+  const checked = checkTypeString(value);
+  if (!checked.ok) {
+    console.error(`--fallback-type: ${checked.reason}`);
+    process.exit(1);
+  }
+  return checked.type;
+}
+
+// --typescript <dir>: a typescript package directory, checked up front so that a wrong path
+// fails before anything runs.
+function parseTypeScriptArg(value) {
+  try {
+    return resolveTypeScriptInstall(value ?? "").path;
+  } catch (err) {
+    console.error(`--typescript: ${err instanceof Error ? err.message : err}`);
+    process.exit(1);
+  }
+}
+
+// --tsconfig-rules <path>: a JSON array of normalization rules replacing the defaults
+// (see src/tsconfig.js), checked up front.
+function parseTsconfigRulesArg(value) {
+  try {
+    return validateNormalizationRules(JSON.parse(readFileSync(value ?? "", "utf8")), value);
+  } catch (err) {
+    console.error(`--tsconfig-rules: ${err instanceof Error ? err.message : err}`);
+    process.exit(1);
+  }
+}
+
+function parseConcurrencyArg(value) {
+  return parsePositiveIntArg("--concurrency", value);
+}
+
+function parsePositiveIntArg(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(`${flag} expects a positive integer (got ${value})`);
+    process.exit(1);
+  }
+  return n;
+}
+
 function parseLegacyArgs(args) {
   let projectsPattern = "";
   let headLines = 40;
@@ -176,7 +565,15 @@ function parseLegacyArgs(args) {
   let topk = 5;
   let maxIters = 30;
   let beam = 1;
+  let expandSlots = 3;
   let trivialPenalty = 5;
+  let checker = "cli";
+  let concurrency = 1;
+  let isolate = false;
+  let predsPath;
+  let typescriptPath;
+  let tsconfigRules = DEFAULT_NORMALIZATION_RULES;
+  let fallbackType;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -189,13 +586,29 @@ function parseLegacyArgs(args) {
     } else if (arg === "--repair") {
       repair = true;
     } else if (arg === "--topk") {
-      topk = Number(args[++i] ?? topk);
+      topk = parsePositiveIntArg("--topk", args[++i]);
     } else if (arg === "--maxIters") {
-      maxIters = Number(args[++i] ?? maxIters);
+      maxIters = parsePositiveIntArg("--maxIters", args[++i]);
     } else if (arg === "--beam") {
-      beam = Number(args[++i] ?? beam);
+      beam = parsePositiveIntArg("--beam", args[++i]);
+    } else if (arg === "--expandSlots") {
+      expandSlots = parsePositiveIntArg("--expandSlots", args[++i]);
     } else if (arg === "--trivialPenalty") {
       trivialPenalty = Number(args[++i] ?? trivialPenalty);
+    } else if (arg === "--preds") {
+      predsPath = args[++i];
+    } else if (arg === "--checker") {
+      checker = args[++i] ?? checker;
+    } else if (arg === "--fallback-type") {
+      fallbackType = parseFallbackTypeArg(args[++i]);
+    } else if (arg === "--concurrency") {
+      concurrency = parseConcurrencyArg(args[++i]);
+    } else if (arg === "--isolate") {
+      isolate = true;
+    } else if (arg === "--typescript") {
+      typescriptPath = parseTypeScriptArg(args[++i]);
+    } else if (arg === "--tsconfig-rules") {
+      tsconfigRules = parseTsconfigRulesArg(args[++i]);
     }
   }
 
@@ -203,8 +616,29 @@ function parseLegacyArgs(args) {
     console.error("Usage: node run.js --projects <glob> [--head N] [--timeout S]");
     process.exit(1);
   }
+  if (checker !== "cli" && checker !== "inproc") {
+    console.error(`Unknown --checker ${checker} (expected cli or inproc)`);
+    process.exit(1);
+  }
 
-  return { projectsPattern, headLines, timeoutSec, repair, topk, maxIters, beam, trivialPenalty };
+  return {
+    projectsPattern,
+    headLines,
+    timeoutSec,
+    repair,
+    topk,
+    maxIters,
+    beam,
+    expandSlots,
+    trivialPenalty,
+    predsPath: predsPath ? path.resolve(predsPath) : undefined,
+    checker,
+    concurrency,
+    isolate,
+    typescriptPath,
+    tsconfigRules,
+    fallbackType,
+  };
 }
 
 async function runPrepare(manifestPath) {
@@ -284,6 +718,54 @@ async function runPrepare(manifestPath) {
   console.log(`Prepare logs in ${path.relative(process.cwd(), logsDir)}`);
 }
 
+// Collects every consumer directory the given inputs would evaluate (with the library names
+// injected into it, for scenarios, and its entry tsconfig) and undoes leftovers of interrupted
+// in-place runs.
+async function runRestore(restoreOpts) {
+  const targets = new Map();
+  const addTarget = (dir, libName, tsconfig) => {
+    const target = targets.get(dir) ?? { libNames: [], tsconfigs: [] };
+    if (libName && !target.libNames.includes(libName)) target.libNames.push(libName);
+    if (tsconfig && !target.tsconfigs.includes(tsconfig)) target.tsconfigs.push(tsconfig);
+    targets.set(dir, target);
+  };
+
+  if (restoreOpts.scenariosPattern) {
+    for (const sc of await loadScenarios(restoreOpts.scenariosPattern)) {
+      for (const lib of sc.libraries) addTarget(sc.consumerPath, lib.name, sc.tsconfig);
+    }
+  }
+  if (restoreOpts.manifestPath) {
+    const manifest = await readManifest(restoreOpts.manifestPath);
+    const manifestDir = path.dirname(restoreOpts.manifestPath);
+    for (const project of manifest.projects) {
+      const targetDir = resolveProjectRoot(manifestDir, manifest.workspaceDir, project);
+      addTarget(project.subdir ? path.join(targetDir, project.subdir) : targetDir, undefined, project.tsconfig);
+    }
+  }
+  if (restoreOpts.projectsPattern) {
+    for (const projectPath of (await glob(restoreOpts.projectsPattern, { absolute: true })).sort()) {
+      addTarget(projectPath);
+    }
+  }
+
+  let total = 0;
+  for (const [dir, { libNames, tsconfigs }] of targets) {
+    if (!existsSync(dir)) continue;
+    const changes = await restoreConsumer(dir, { libNames, tsconfigs, dryRun: restoreOpts.dryRun });
+    for (const c of changes) {
+      const verb = restoreOpts.dryRun ? `would be ${c.action}` : c.action;
+      console.log(`${verb}: ${path.relative(process.cwd(), c.path)}`);
+    }
+    total += changes.length;
+  }
+  console.log(
+    total === 0
+      ? `Nothing to restore in ${targets.size} project(s)`
+      : `${restoreOpts.dryRun ? "Found" : "Restored"} ${total} artifact(s) in ${targets.size} project(s)`,
+  );
+}
+
 async function runEval(evalOpts) {
   if (evalOpts.scenariosPattern) {
     await runScenarioEval(evalOpts);
@@ -300,7 +782,6 @@ async function runEval(evalOpts) {
   const logsDir = path.join(runDir, "logs");
   await fs.mkdir(logsDir, { recursive: true });
 
-  const results = [];
   const conditionInfo = {
     condition: evalOpts.condition,
     libName: evalOpts.libName,
@@ -319,40 +800,50 @@ async function runEval(evalOpts) {
     conditionInfo.dtsPath = injectedDtsPath;
   }
 
-  for (const project of manifest.projects) {
+  const results = await mapPool(manifest.projects, evalOpts.concurrency, async (project) => {
     const targetDir = resolveProjectRoot(manifestDir, manifest.workspaceDir, project);
     const workDir = project.subdir ? path.join(targetDir, project.subdir) : targetDir;
     const logPath = path.join(logsDir, `${sanitizeFileName(project.name)}.log`);
+    const compiler = await resolveCompiler(
+      project.typescript ? path.resolve(manifestDir, project.typescript) : evalOpts.typescriptPath,
+    );
 
-    if (project.source.type === "git") {
-      const lockCommit = findLockCommit(lock, project.name);
-      const desiredRef = lockCommit ?? project.source.commit ?? project.source.ref;
-      await ensureGitCheckout({
+    // projects sharing a checkout (different subdirs of one repo) must not check out concurrently
+    const result = await workspaceLocks.run(targetDir, async () => {
+      if (project.source.type === "git") {
+        const lockCommit = findLockCommit(lock, project.name);
+        const desiredRef = lockCommit ?? project.source.commit ?? project.source.ref;
+        await ensureGitCheckout({
+          project,
+          targetDir,
+          desiredRef,
+          logPath,
+        });
+      }
+
+      return runProjectWithManifest(
         project,
-        targetDir,
-        desiredRef,
+        workDir,
+        manifest.timeoutSec,
+        evalOpts.headLines,
         logPath,
-      });
-    }
-
-    const result = await runProjectWithManifest(
-      project,
-      workDir,
-      manifest.timeoutSec,
-      evalOpts.headLines,
-      logPath,
-      {
-        condition: conditionInfo.condition,
-        libName: conditionInfo.libName,
-        dtsPath: conditionInfo.dtsPath,
-      },
-    );
-    results.push(result);
+        {
+          condition: conditionInfo.condition,
+          libName: conditionInfo.libName,
+          dtsPath: conditionInfo.dtsPath,
+          injection: evalOpts.injection,
+          tsconfigRules: evalOpts.tsconfigRules,
+        },
+        evalOpts.isolate,
+        compiler,
+      );
+    });
     console.log(
       `[${result.status}] ${project.name} ` +
         (result.errorCode ? `(code: ${result.errorCode})` : ""),
     );
-  }
+    return result;
+  });
 
   const resultsPath = path.join(runDir, "results.jsonl");
   const lines = results.map((r) => JSON.stringify(r)).join("\n");
@@ -369,41 +860,26 @@ async function runScenarioEval(evalOpts) {
   const logsDir = path.join(runDir, "logs");
   await fs.mkdir(logsDir, { recursive: true });
 
-  const scenarioPaths = await glob(evalOpts.scenariosPattern, { absolute: true });
-  if (scenarioPaths.length === 0) {
+  const scenarios = await loadScenarios(evalOpts.scenariosPattern);
+  if (scenarios.length === 0) {
     console.error(`No scenarios matched pattern: ${evalOpts.scenariosPattern}`);
     process.exitCode = 1;
     return;
   }
-
-  const scenarios = [];
-  for (const p of scenarioPaths) {
-    const raw = await fs.readFile(p, "utf8");
-    const obj = JSON.parse(raw);
-    const base = path.dirname(p);
-    const resolvePath = (inputPath) => {
-      if (!inputPath) return inputPath;
-      if (path.isAbsolute(inputPath)) return inputPath;
-      // Prefer scenario-file-relative, but fall back to repo-root-relative for convenience.
-      const a = path.resolve(base, inputPath);
-      if (existsSync(a)) return a;
-      const b = path.resolve(process.cwd(), inputPath);
-      return b;
-    };
-    scenarios.push({
-      id: obj.id,
-      consumerPath: resolvePath(obj.consumerPath),
-      libraryName: obj.libraryName,
-      predictedDtsPath: resolvePath(obj.predictedDtsPath),
-      _scenarioFile: p,
-    });
+  // discovered scenarios have no predicted types yet; matrix conditions generate their own
+  const incomplete = scenarios.flatMap((sc) =>
+    sc.libraries.filter((lib) => !lib.predictedDtsPath).map((lib) => `${sc.id} (${lib.name})`),
+  );
+  if (incomplete.length > 0) {
+    console.error(`predictedDtsPath is required for eval --scenarios: ${incomplete.join(", ")}`);
+    process.exitCode = 1;
+    return;
   }
 
   const nodeVersion = process.version;
-  const tscVersion = await getTscVersion();
 
-  const results = [];
-  for (const sc of scenarios) {
+  const perScenario = await mapPool(scenarios, evalOpts.concurrency, async (sc) => {
+    const compiler = await resolveCompiler(sc.typescript ?? evalOpts.typescriptPath);
     // baseline
     const baseline = await evalScenarioOnce({
       sc,
@@ -412,9 +888,10 @@ async function runScenarioEval(evalOpts) {
       logsDir,
       headLines: evalOpts.headLines,
       nodeVersion,
-      tscVersion,
+      compiler,
+      isolate: evalOpts.isolate,
+      tsconfigRules: evalOpts.tsconfigRules,
     });
-    results.push(baseline);
     console.log(`[${baseline.status}] ${sc.id} baseline`);
 
     // predicted
@@ -422,110 +899,211 @@ async function runScenarioEval(evalOpts) {
       sc,
       mode: "predicted",
       inject: true,
+      injection: sc.injection ?? evalOpts.injection,
       logsDir,
       headLines: evalOpts.headLines,
       nodeVersion,
-      tscVersion,
+      compiler,
+      isolate: evalOpts.isolate,
+      tsconfigRules: evalOpts.tsconfigRules,
     });
-    results.push(predicted);
     console.log(`[${predicted.status}] ${sc.id} predicted`);
-  }
+    return [baseline, predicted];
+  });
+  const results = perScenario.flat();
+  const diffs = perScenario.map(([baseline, predicted], i) => buildScenarioDiff(scenarios[i], baseline, predicted));
 
   const resultsPath = path.join(runDir, "results.eval.jsonl");
   await fs.writeFile(resultsPath, results.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+  const diffPath = path.join(runDir, "diff.jsonl");
+  await fs.writeFile(diffPath, diffs.map((d) => JSON.stringify(d)).join("\n") + "\n", "utf8");
 
-  const summary = buildScenarioSummary(results);
+  const summary = buildScenarioSummary(results, diffs);
   const summaryPath = path.join(runDir, "summary.json");
   await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2), "utf8");
 
   console.log(`\nSaved results to ${path.relative(process.cwd(), resultsPath)}`);
+  console.log(`Saved diagnostic diff to ${path.relative(process.cwd(), diffPath)}`);
   console.log(`Saved summary to ${path.relative(process.cwd(), summaryPath)}`);
 }
 
+async function loadScenarios(pattern) {
+  const scenarioPaths = (await glob(pattern, { absolute: true })).sort();
+  const scenarios = [];
+  for (const p of scenarioPaths) {
+    const raw = await fs.readFile(p, "utf8");
+    const obj = JSON.parse(raw);
+    const base = path.dirname(p);
+    const resolvePath = (inputPath) => {
+      if (!inputPath) return inputPath;
+      if (path.isAbsolute(inputPath)) return inputPath;
+      // Prefer scenario-file-relative, but fall back to repo-root-relative for convenience.
+      const a = path.resolve(base, inputPath);
+      if (existsSync(a)) return a;
+      return path.resolve(process.cwd(), inputPath);
+    };
+    // `libraries` lists every untyped package of the consumer; `libraryName` + `predictedDtsPath`
+    // is the single-library shorthand
+    const libraries = (obj.libraries ?? [{ name: obj.libraryName, predictedDtsPath: obj.predictedDtsPath }]).map(
+      (lib) => ({ name: lib.name, predictedDtsPath: resolvePath(lib.predictedDtsPath) }),
+    );
+    const names = libraries.map((lib) => lib.name);
+    if (names.length === 0 || names.some((n) => typeof n !== "string" || !n)) {
+      throw new Error(`${p}: every library needs a name (libraries[].name or libraryName)`);
+    }
+    if (new Set(names).size !== names.length) {
+      throw new Error(`${p}: a library is listed twice`);
+    }
+    scenarios.push({
+      id: obj.id,
+      consumerPath: resolvePath(obj.consumerPath),
+      libraries,
+      typescript: obj.typescript ? resolveTypeScriptInstall(resolvePath(obj.typescript)).path : undefined,
+      injection: obj.injection === undefined ? undefined : validateInjectionStrategy(obj.injection, p),
+      ...validateProjectLayout(obj, p),
+      _scenarioFile: p,
+    });
+  }
+  return scenarios;
+}
+
+// `injection` names the strategy of src/injection.js used for the predicted declarations
+// (default: node_modules/@types).
 async function evalScenarioOnce(args) {
-  const { sc, mode, inject, logsDir, headLines, nodeVersion, tscVersion } = args;
+  const { sc, mode, inject, logsDir, headLines, nodeVersion, compiler, isolate, compilerOptions, tsconfigRules } = args;
+  const injection = inject ? (args.injection ?? DEFAULT_SCENARIO_INJECTION) : undefined;
   const logPath = path.join(logsDir, `${sanitizeFileName(sc.id)}.${mode}.log`);
   await fs.writeFile(logPath, "");
 
-  const started = Date.now();
-  let restoreInjection = async () => {};
-  let normalization;
-  try {
-    if (inject) {
-      const inj = await injectDtsIntoNodeModules(sc.consumerPath, sc.libraryName, sc.predictedDtsPath);
-      restoreInjection = inj.restore;
+  return withConsumerLock(sc.consumerPath, isolate, async () => {
+    const overlay = isolate ? await createOverlay(sc.consumerPath) : undefined;
+    const workDir = overlay?.root ?? sc.consumerPath;
+    const started = Date.now();
+    const layout = { tsconfig: sc.tsconfig, build: sc.build };
+    let prepared;
+    let normalization;
+    try {
+      const graph = sc.build ? loadProjectGraph(path.join(workDir, sc.tsconfig ?? "tsconfig.json")) : undefined;
+      if (inject) {
+        const libraries = sc.libraries.map((lib) => ({ name: lib.name, dtsPath: lib.predictedDtsPath }));
+        prepared = await injectDeclarations(injection, workDir, libraries, { overlay, ...layout, compilerOptions });
+      } else if (graph) {
+        prepared = await prepareBuild(graph, { compilerOptions });
+      }
+      normalization = await normalizeTsconfigs(checkedTsconfigs(workDir, layout, graph), tsconfigRules);
+      const { exitCode, stdout, stderr, timedOut } = await runCommand(
+        checkCommand(compiler, workDir, layout, prepared?.project, compilerOptions),
+        workDir,
+        SCENARIO_TIMEOUT_SEC,
+        logPath,
+      );
+      const durationMs = Date.now() - started;
+      const combined = (stderr || "") + (stdout || "");
+      const errorCode = firstErrorCode(combined);
+      const status = classify(exitCode, errorCode, timedOut);
+      const stderrHead = status === "success" ? undefined : head(combined, headLines);
+      const diagnostics = parseDiagnostics(combined, workDir, overlay);
+      const names = sc.libraries.map((lib) => lib.name);
+      const byLibrary = summarizeByLibrary(diagnostics, names, createAttributor(names));
+      return {
+        scenarioId: sc.id,
+        mode,
+        status,
+        errorCode: status === "success" ? undefined : errorCode,
+        stderr_head: stderrHead,
+        ...summarizeDiagnostics(diagnostics),
+        diagnostics,
+        libraries: sc.libraries.map((lib) => ({
+          name: lib.name,
+          predictedDtsPath: inject ? lib.predictedDtsPath : undefined,
+          ...byLibrary[lib.name],
+        })),
+        injectionMode: injection,
+        tsconfig: sc.tsconfig,
+        build: sc.build,
+        projects: graph
+          ? summarizeByProject(graph, diagnostics, {
+              root: workDir,
+              sourceRoot: sc.consumerPath,
+              injected: prepared?.projects,
+            })
+          : undefined,
+        durationMs,
+        nodeVersion,
+        tscVersion: compiler.version,
+        typescriptPath: compiler.typescriptPath,
+        compilerOptions,
+        workspace: overlay ? "overlay" : "in-place",
+        logPath: path.relative(process.cwd(), logPath),
+      };
+    } finally {
+      if (normalization) await normalization.restore();
+      await prepared?.restore();
+      await overlay?.dispose();
     }
-    const tsconfigPath = path.join(sc.consumerPath, "tsconfig.json");
-    normalization = await normalizeTsconfig(tsconfigPath);
-    const { exitCode, stdout, stderr, timedOut } = await runCommand(
-      `${getTscCliCommand()} --noEmit`,
-      sc.consumerPath,
-      120,
-      logPath,
-    );
-    const durationMs = Date.now() - started;
-    const combined = (stderr || "") + (stdout || "");
-    const errorCode = firstErrorCode(combined);
-    const status = classify(exitCode, errorCode, timedOut);
-    const stderrHead = status === "success" ? undefined : head(combined, headLines);
-    return {
-      scenarioId: sc.id,
-      mode,
-      status,
-      errorCode: status === "success" ? undefined : errorCode,
-      stderr_head: stderrHead,
-      durationMs,
-      nodeVersion,
-      tscVersion,
-      logPath: path.relative(process.cwd(), logPath),
-    };
-  } finally {
-    if (normalization) await normalization.restore();
-    await restoreInjection();
-  }
+  });
 }
 
-async function injectDtsIntoNodeModules(consumerPath, libraryName, predictedDtsPath) {
-  const typesDir = path.join(consumerPath, "node_modules", "@types", libraryName);
-  const target = path.join(typesDir, "index.d.ts");
-  const backup = `${target}.bak_phase5`;
-  await fs.mkdir(typesDir, { recursive: true });
-
-  const hadOriginal = existsSync(target);
-  if (hadOriginal) {
-    await fs.copyFile(target, backup);
+// `tsconfig` (entry config, relative to the consumer; default tsconfig.json) and `build` (check
+// the project references of the entry with tsc -b) of a scenario or manifest project.
+function validateProjectLayout(entry, where) {
+  const { tsconfig, build } = entry;
+  if (tsconfig !== undefined && (typeof tsconfig !== "string" || !tsconfig || path.isAbsolute(tsconfig))) {
+    throw new Error(`${where}: "tsconfig" must be a path relative to the project`);
+  }
+  if (build !== undefined && typeof build !== "boolean") {
+    throw new Error(`${where}: "build" must be true or false`);
   }
-  await fs.copyFile(predictedDtsPath, target);
+  return { tsconfig, build };
+}
 
-  return {
-    restore: async () => {
-      if (hadOriginal) {
-        await fs.copyFile(backup, target);
-        await fs.rm(backup, { force: true });
-      } else {
-        await fs.rm(target, { force: true });
-        // cleanup empty dirs if possible
-        await tryRemoveIfEmpty(typesDir);
-        await tryRemoveIfEmpty(path.join(consumerPath, "node_modules", "@types"));
-      }
-    },
-  };
+// The tsconfig files a check reads: the entry, or in build mode every project of its graph.
+function checkedTsconfigs(workDir, layout, graph) {
+  return graph ? graph.map((p) => p.tsconfigPath) : [path.join(workDir, layout.tsconfig ?? "tsconfig.json")];
 }
 
-async function tryRemoveIfEmpty(dir) {
+// Applies the normalization `rules` (src/tsconfig.js; --tsconfig-rules) to every file.
+async function normalizeTsconfigs(tsconfigPaths, rules) {
+  const done = [];
+  const restore = async () => {
+    for (const n of [...done].reverse()) await n.restore();
+  };
   try {
-    const entries = await fs.readdir(dir);
-    if (entries.length === 0) {
-      await fs.rmdir(dir);
-    }
-  } catch {
-    // ignore
+    for (const p of tsconfigPaths) done.push(await normalizeTsconfig(p, rules));
+  } catch (err) {
+    await restore();
+    throw err;
   }
+  return { normalized: done.some((n) => n.normalized), restore };
 }
 
-async function getTscVersion() {
-  return new Promise((resolve) => {
-    const child = spawn(`${getTscCliCommand()} -v`, {
+// tsc -b on the generated entry config in build mode (the compiler options are in the generated
+// configs), otherwise tsc --noEmit on the injected config, a non-default entry or tsconfig.json.
+function checkCommand(compiler, workDir, layout, project, compilerOptions) {
+  if (layout.build) return `${compiler.command} -b "${project}"`;
+  const config = project ?? (layout.tsconfig ? path.join(workDir, layout.tsconfig) : undefined);
+  return `${compiler.command} --noEmit${config ? ` -p "${config}"` : ""}${compilerOptionFlags(compilerOptions)}`;
+}
+
+const DEFAULT_SCENARIO_INJECTION = "types-package";
+
+// tsc time limit of a scenario check, and of the OURS repair search unless its condition sets
+// `timeoutSec`.
+const SCENARIO_TIMEOUT_SEC = 120;
+
+// Matrix compiler-option overrides as tsc flags; they take precedence over tsconfig.json, which
+// stays untouched.
+function compilerOptionFlags(options) {
+  return Object.entries(options ?? {})
+    .map(([name, value]) => ` --${name} ${JSON.stringify(String(value))}`)
+    .join("");
+}
+
+let npxTscVersion;
+
+function getTscVersion() {
+  npxTscVersion ??= new Promise((resolve) => {
+    const child = spawn("npx tsc -v", {
       cwd: process.cwd(),
       shell: true,
       env: { ...process.env, FORCE_COLOR: "0" },
@@ -538,9 +1116,73 @@ async function getTscVersion() {
     });
     child.on("error", () => resolve("unknown"));
   });
+  return npxTscVersion;
+}
+
+// What injection did to one scenario's diagnostics (see diffDiagnostics in src/diagnostics.js).
+function buildScenarioDiff(sc, baseline, predicted, extra = {}) {
+  const { resolved, introduced, persisted } = diffDiagnostics(
+    baseline.diagnostics ?? [],
+    predicted.diagnostics ?? [],
+    sc.consumerPath,
+  );
+  let outcome = "unchanged";
+  if (resolved.length > 0 && introduced.length === 0) outcome = "clean_win";
+  else if (resolved.length > 0) outcome = "mixed";
+  else if (introduced.length > 0) outcome = "regression";
+
+  const names = sc.libraries.map((lib) => lib.name);
+  const attribute = createAttributor(names);
+  // diff entries carry project-relative files; attribution reads the consumer sources
+  const located = (d) => ({ ...d, filePath: d.file ? path.join(sc.consumerPath, d.file) : undefined });
+  const countFor = (list, lib) => list.filter((d) => attribute(located(d)).includes(lib)).length;
+  const byLibrary = Object.fromEntries(
+    names.map((lib) => [
+      lib,
+      { resolved: countFor(resolved, lib), introduced: countFor(introduced, lib), persisted: countFor(persisted, lib) },
+    ]),
+  );
+  return {
+    scenarioId: sc.id,
+    ...extra,
+    outcome,
+    counts: { resolved: resolved.length, introduced: introduced.length, persisted: persisted.length },
+    byLibrary,
+    resolvedByCode: countByCode(resolved),
+    introducedByCode: countByCode(introduced),
+    persistedByCode: countByCode(persisted),
+    resolved,
+    introduced,
+    persisted,
+  };
 }
 
-function buildScenarioSummary(results) {
+function summarizeDiffs(diffs) {
+  const rollup = {
+    resolved: 0,
+    introduced: 0,
+    persisted: 0,
+    resolved_by_code: {},
+    introduced_by_code: {},
+    persisted_by_code: {},
+    outcomes: { clean_win: 0, mixed: 0, regression: 0, unchanged: 0 },
+  };
+  const addCounts = (target, counts) => {
+    for (const [code, n] of Object.entries(counts)) target[code] = (target[code] ?? 0) + n;
+  };
+  for (const d of diffs) {
+    rollup.resolved += d.counts.resolved;
+    rollup.introduced += d.counts.introduced;
+    rollup.persisted += d.counts.persisted;
+    addCounts(rollup.resolved_by_code, d.resolvedByCode);
+    addCounts(rollup.introduced_by_code, d.introducedByCode);
+    addCounts(rollup.persisted_by_code, d.persistedByCode);
+    rollup.outcomes[d.outcome]++;
+  }
+  return rollup;
+}
+
+function buildScenarioSummary(results, diffs) {
   const baseline = results.filter((r) => r.mode === "baseline");
   const predicted = results.filter((r) => r.mode === "predicted");
   const baselinePassed = baseline.filter((r) => r.status === "success").length;
@@ -567,92 +1209,332 @@ function buildScenarioSummary(results) {
       delta: predictedRate - baselineRate,
       baseline_total: baseline.length,
       predicted_total: predicted.length,
+      baseline_error_total: totalErrors(baseline),
+      predicted_error_total: totalErrors(predicted),
     },
     error_code_delta_top: {
       increased,
       decreased,
     },
+    diagnostic_diff: diffs ? summarizeDiffs(diffs) : undefined,
+    libraries: summarizeLibraries(results),
+    projects: summarizeProjects(results),
   };
 }
 
-function countErrorCodes(rows) {
-  const counts = {};
-  for (const r of rows) {
-    if (!r.errorCode) continue;
-    counts[r.errorCode] = (counts[r.errorCode] ?? 0) + 1;
+// Per-library view of baseline vs predicted: a library is "clean" in a row when no error is
+// attributed to it (src/attribution.js) and the check itself completed (success/type_error),
+// so a scenario with several libraries shows which of them the predicted types fixed.
+function summarizeLibraries(results) {
+  const out = {};
+  for (const r of results) {
+    if (r.mode !== "baseline" && r.mode !== "predicted") continue;
+    for (const lib of r.libraries ?? []) {
+      const s = (out[lib.name] ??= {
+        baseline_total: 0,
+        baseline_clean: 0,
+        baseline_error_total: 0,
+        predicted_total: 0,
+        predicted_clean: 0,
+        predicted_error_total: 0,
+      });
+      const completed = r.status === "success" || r.status === "type_error";
+      s[`${r.mode}_total`]++;
+      if (completed && lib.errorCount === 0) s[`${r.mode}_clean`]++;
+      s[`${r.mode}_error_total`] += lib.errorCount ?? 0;
+    }
+  }
+  for (const s of Object.values(out)) {
+    s.baseline_clean_rate = s.baseline_total ? s.baseline_clean / s.baseline_total : 0;
+    s.predicted_clean_rate = s.predicted_total ? s.predicted_clean / s.predicted_total : 0;
   }
-  return counts;
+  return out;
+}
+
+// Build-mode scenarios: baseline vs predicted error totals per referenced project
+// ({ <scenarioId>: { <tsconfig>: ... } }), with the libraries injected into it.
+function summarizeProjects(results) {
+  let out;
+  for (const r of results) {
+    if (r.mode !== "baseline" && r.mode !== "predicted") continue;
+    for (const p of r.projects ?? []) {
+      out ??= {};
+      const s = ((out[r.scenarioId] ??= {})[p.tsconfig] ??= {
+        libraries: [],
+        baseline_error_total: 0,
+        predicted_error_total: 0,
+      });
+      s[`${r.mode}_error_total`] += p.errorCount;
+      if (r.mode === "predicted") s.libraries = p.libraries;
+    }
+  }
+  return out;
+}
+
+function totalErrors(rows) {
+  return rows.reduce((sum, r) => sum + (r.errorCount ?? (r.errorCode ? 1 : 0)), 0);
 }
 
 async function runExperiment(expOpts) {
   const matrixRaw = await fs.readFile(expOpts.matrixPath, "utf8");
   const matrix = JSON.parse(matrixRaw);
-  const conditions = matrix.conditions ?? [];
-  if (!Array.isArray(conditions) || conditions.length === 0) {
-    throw new Error("matrix.json must contain non-empty conditions[]");
+  const cells = expandMatrix(matrix, path.dirname(expOpts.matrixPath));
+  if (matrix.reference !== undefined && !matrix.conditions.some((c) => c.id === matrix.reference)) {
+    throw new Error(`matrix.json reference "${matrix.reference}" is not one of the conditions`);
   }
 
   await fs.mkdir(expOpts.outDir, { recursive: true });
 
-  for (const cond of conditions) {
-    const conditionId = cond.id;
-    const conditionDir = path.join(expOpts.outDir, conditionId);
-    const summaryPath = path.join(conditionDir, "summary.json");
-    if (expOpts.resume && existsSync(summaryPath)) {
-      console.log(`Skipping ${conditionId} (resume, summary exists)`);
-      continue;
+  // one predictor process per script for the whole experiment (conditions may name their own
+  // `predictor`, matrix-relative; default scripts/predict.py)
+  const predictors = new Map();
+  const predictorFor = (condition) => {
+    const script = condition.predictor
+      ? path.resolve(path.dirname(expOpts.matrixPath), condition.predictor)
+      : path.resolve(process.cwd(), "scripts", "predict.py");
+    if (!predictors.has(script)) predictors.set(script, new PythonPredictor(script));
+    return predictors.get(script);
+  };
+  try {
+    for (const cell of cells) {
+      const cellDir = path.join(expOpts.outDir, cell.id);
+      const summaryPath = path.join(cellDir, "summary.json");
+      if (expOpts.resume && existsSync(summaryPath)) {
+        console.log(`Skipping ${cell.id} (resume, summary exists)`);
+        continue;
+      }
+      await fs.mkdir(cellDir, { recursive: true });
+      await runScenarioEvalForCondition({
+        scenariosPattern: expOpts.scenariosPattern,
+        cell,
+        outDir: cellDir,
+        typescriptPath: expOpts.typescriptPath,
+        headLines: expOpts.headLines,
+        concurrency: expOpts.concurrency,
+        isolate: expOpts.isolate,
+        tsconfigRules: expOpts.tsconfigRules,
+        predictorFor,
+      });
     }
-    await fs.mkdir(conditionDir, { recursive: true });
-    await runScenarioEvalForCondition({
-      scenariosPattern: expOpts.scenariosPattern,
-      condition: cond,
-      outDir: conditionDir,
-      headLines: expOpts.headLines,
-    });
+  } finally {
+    for (const predictor of predictors.values()) await predictor.close();
   }
 
-  const aggregate = await buildAggregate(expOpts.outDir, conditions.map((c) => c.id));
+  const aggregate = await buildAggregate(expOpts.outDir, cells, {
+    reference: matrix.reference,
+    bootstrap: matrix.bootstrap,
+  });
   const aggregatePath = path.join(expOpts.outDir, "aggregate.json");
   await fs.writeFile(aggregatePath, JSON.stringify(aggregate, null, 2), "utf8");
   console.log(`\nSaved aggregate to ${path.relative(process.cwd(), aggregatePath)}`);
 }
 
-async function runScenarioEvalForCondition(args) {
-  const { scenariosPattern, condition, outDir, headLines } = args;
-  const logsDir = path.join(outDir, "logs");
-  await fs.mkdir(logsDir, { recursive: true });
+async function runReport(reportOpts) {
+  const exp = await loadExperiment(reportOpts.expDir);
+  const render = reportOpts.format === "md" ? renderMarkdown : renderHtml;
+  const content = render(exp, { baseDir: path.dirname(reportOpts.outPath) });
+  await fs.mkdir(path.dirname(reportOpts.outPath), { recursive: true });
+  await fs.writeFile(reportOpts.outPath, content, "utf8");
+  console.log(`Report: ${path.relative(process.cwd(), reportOpts.outPath)}`);
+}
 
-  const scenarioPaths = await glob(scenariosPattern, { absolute: true });
-  if (scenarioPaths.length === 0) {
-    throw new Error(`No scenarios matched pattern: ${scenariosPattern}`);
+// Exits with 1 when a row that passed in A fails in B, so CI can gate on it.
+async function runCompare(compareOpts) {
+  const rowsA = await loadRunRows(compareOpts.runA);
+  const rowsB = await loadRunRows(compareOpts.runB);
+  const comparison = compareRuns(rowsA, rowsB, { durationThreshold: compareOpts.durationThreshold });
+  console.log(`A: ${compareOpts.runA}\nB: ${compareOpts.runB}\n`);
+  console.log(formatComparison(comparison));
+  if (compareOpts.jsonPath) {
+    await fs.mkdir(path.dirname(compareOpts.jsonPath), { recursive: true });
+    await fs.writeFile(compareOpts.jsonPath, JSON.stringify(comparison, null, 2) + "\n", "utf8");
+    console.log(`\nSaved comparison to ${path.relative(process.cwd(), compareOpts.jsonPath)}`);
+  }
+  if (comparison.regressions.length > 0) process.exitCode = 1;
+}
+
+// Type accuracy of predicted declarations against reference ones (src/type_score.js), either
+// for one pair of files or for every .d.ts an experiment generated, per condition and library.
+async function runScoreTypes(scoreOpts) {
+  const items = scoreOpts.expDir
+    ? await collectExperimentDts(scoreOpts.expDir)
+    : [{ predictedPath: scoreOpts.predPath, referencePath: scoreOpts.refPath }];
+
+  const slots = [];
+  const extra = [];
+  const unscored = [];
+  for (const item of items) {
+    const predicted = await loadSlots(item.predictedPath);
+    const library = item.library ?? predicted.libName ?? path.basename(path.dirname(item.predictedPath));
+    const referencePath = item.referencePath ?? findReferenceDts(scoreOpts.refsDir, library);
+    const where = { conditionId: item.conditionId, scenarioId: item.scenarioId, library };
+    if (!referencePath) {
+      unscored.push({ ...where, predictedPath: item.predictedPath, reason: "no reference .d.ts" });
+      continue;
+    }
+    const scored = scoreSlots(predicted, await loadSlots(referencePath));
+    slots.push(...scored.slots.map((s) => ({ ...where, ...s })));
+    extra.push(...scored.extra.map((s) => ({ ...where, ...s })));
   }
 
-  const scenarios = [];
-  for (const p of scenarioPaths) {
-    const raw = await fs.readFile(p, "utf8");
-    const obj = JSON.parse(raw);
-    const base = path.dirname(p);
-    const resolvePath = (inputPath) => {
-      if (!inputPath) return inputPath;
-      if (path.isAbsolute(inputPath)) return inputPath;
-      const a = path.resolve(base, inputPath);
-      if (existsSync(a)) return a;
-      return path.resolve(process.cwd(), inputPath);
+  const aggregateOf = (rows) =>
+    aggregateScores(
+      rows,
+      extra.filter((e) => rows.some((r) => r.conditionId === e.conditionId && r.library === e.library)).length,
+    );
+  const byLibrary = (rows) =>
+    Object.fromEntries(
+      [...new Set(rows.map((r) => r.library))]
+        .sort()
+        .map((lib) => [lib, aggregateOf(rows.filter((r) => r.library === lib))]),
+    );
+  const result = { ...aggregateOf(slots), libraries: byLibrary(slots) };
+  if (scoreOpts.expDir) {
+    const conditionIds = [...new Set(slots.map((s) => s.conditionId))].sort();
+    result.conditions = Object.fromEntries(
+      conditionIds.map((id) => {
+        const rows = slots.filter((s) => s.conditionId === id);
+        return [id, { ...aggregateOf(rows), libraries: byLibrary(rows) }];
+      }),
+    );
+  }
+  result.unscored = unscored;
+  result.slots = slots;
+  result.extra = extra;
+
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const line = (label, a) =>
+    `${label}: exact ${pct(a.exact_rate)}, normalized ${pct(a.normalized_rate)}, base type ${pct(a.base_type_rate)}` +
+    ` (${a.reference_slots} slots, ${a.missing_slots} missing)`;
+  for (const [id, c] of Object.entries(result.conditions ?? {})) {
+    console.log(line(id, c));
+    for (const [lib, a] of Object.entries(c.libraries)) console.log(line(`  ${lib}`, a));
+  }
+  if (!result.conditions) {
+    for (const [lib, a] of Object.entries(result.libraries)) console.log(line(lib, a));
+  }
+  for (const u of unscored) {
+    console.log(`[unscored] ${[u.conditionId, u.scenarioId, u.library].filter(Boolean).join(" / ")}: ${u.reason}`);
+  }
+  if (scoreOpts.outPath) {
+    await fs.mkdir(path.dirname(scoreOpts.outPath), { recursive: true });
+    await fs.writeFile(scoreOpts.outPath, JSON.stringify(result, null, 2) + "\n", "utf8");
+    console.log(`\nSaved type scores to ${path.relative(process.cwd(), scoreOpts.outPath)}`);
+  }
+}
+
+// Declarations generated by an experiment, as laid out by getPredictedDtsForCondition:
+// <exp>/<conditionId>/generated-dts/<MODE>/<scenario>/<lib>/index.d.ts
+async function collectExperimentDts(expDir) {
+  const files = (await glob("*/generated-dts/*/*/**/index.d.ts", { cwd: expDir })).sort();
+  return files.map((file) => {
+    const [conditionId, , , scenarioId, ...libParts] = file.split(path.sep);
+    return {
+      conditionId,
+      scenarioId,
+      library: libParts.slice(0, -1).join("/"),
+      predictedPath: path.join(expDir, file),
     };
-    scenarios.push({
-      id: obj.id,
-      consumerPath: resolvePath(obj.consumerPath),
-      libraryName: obj.libraryName,
-      predictedDtsPath: resolvePath(obj.predictedDtsPath),
-      _scenarioFile: p,
+  });
+}
+
+// <refs>/<lib>/index.d.ts, <refs>/<lib>.d.ts or a DefinitelyTyped layout (<refs>/scope__lib).
+function findReferenceDts(refsDir, library) {
+  const candidates = [
+    path.join(refsDir, library, "index.d.ts"),
+    path.join(refsDir, `${library}.d.ts`),
+    path.join(refsDir, typesPackageNameOf(library).slice("@types/".length), "index.d.ts"),
+  ];
+  return candidates.find((p) => existsSync(p));
+}
+
+// Baseline-checks every project and writes one scenario per (consumer, untyped library) pair.
+// Libraries that ship their own declarations or have an @types package are skipped, as are
+// imports of packages that are not installed. Existing scenario files are kept unless --force,
+// since they may have been completed by hand (predictedDtsPath). Every decision is recorded in
+// runs/<timestamp>-discover/discovery.jsonl.
+async function runDiscover(discoverOpts) {
+  const timestamp = formatTimestamp(new Date());
+  const runDir = path.resolve(process.cwd(), "runs", `${timestamp}-discover`);
+  const logsDir = path.join(runDir, "logs");
+  await fs.mkdir(logsDir, { recursive: true });
+  await fs.mkdir(discoverOpts.outDir, { recursive: true });
+
+  const projectPaths = (await glob(discoverOpts.projectsPattern, { absolute: true })).sort();
+  if (projectPaths.length === 0) {
+    console.error(`No projects matched pattern: ${discoverOpts.projectsPattern}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const compiler = await resolveCompiler(discoverOpts.typescriptPath);
+  const decisions = [];
+  for (const projectPath of projectPaths) {
+    const consumer = path.basename(projectPath);
+    if (!existsSync(path.join(projectPath, "tsconfig.json"))) {
+      console.log(`[skip] ${consumer}: tsconfig.json not found`);
+      decisions.push({ project: projectPath, action: "skipped", reason: "tsconfig_missing" });
+      continue;
+    }
+    const logPath = path.join(logsDir, `${sanitizeFileName(consumer)}.log`);
+    let diagnostics;
+    await withConsumerLock(projectPath, false, async () => {
+      const tsconfigPath = path.join(projectPath, "tsconfig.json");
+      const normalization = await normalizeTsconfig(tsconfigPath, discoverOpts.tsconfigRules);
+      try {
+        const { stdout, stderr } = await runTsc(projectPath, compiler, discoverOpts.timeoutSec, logPath);
+        diagnostics = parseDiagnostics((stderr || "") + (stdout || ""), projectPath);
+      } finally {
+        await normalization.restore();
+      }
     });
+
+    for (const libraryName of untypedImports(diagnostics)) {
+      const pkg = inspectPackage(projectPath, libraryName);
+      const decision = { project: projectPath, libraryName, package: pkg.status, version: pkg.version };
+      if (pkg.status !== "untyped") {
+        console.log(`[skip] ${consumer} / ${libraryName}: ${pkg.status}`);
+        decisions.push({ ...decision, action: "skipped", reason: pkg.status });
+        continue;
+      }
+      const id = `${consumer}--${libraryName}`;
+      const scenarioPath = path.join(discoverOpts.outDir, `${sanitizeFileName(id)}.json`);
+      if (existsSync(scenarioPath) && !discoverOpts.force) {
+        console.log(`[skip] ${consumer} / ${libraryName}: ${path.relative(process.cwd(), scenarioPath)} exists`);
+        decisions.push({ ...decision, action: "skipped", reason: "exists", scenarioPath });
+        continue;
+      }
+      // scenario-file-relative, as loadScenarios resolves it
+      const consumerPath = path.relative(discoverOpts.outDir, projectPath).split(path.sep).join("/");
+      const scenario = { id, consumerPath: consumerPath || ".", libraryName };
+      await fs.writeFile(scenarioPath, JSON.stringify(scenario, null, 2) + "\n", "utf8");
+      console.log(`[scenario] ${consumer} / ${libraryName} -> ${path.relative(process.cwd(), scenarioPath)}`);
+      decisions.push({ ...decision, action: "written", scenarioPath });
+    }
+  }
+
+  const decisionsPath = path.join(runDir, "discovery.jsonl");
+  await fs.writeFile(decisionsPath, decisions.map((d) => JSON.stringify(d)).join("\n") + "\n", "utf8");
+  const written = decisions.filter((d) => d.action === "written").length;
+  console.log(`\nWrote ${written} scenario(s) to ${path.relative(process.cwd(), discoverOpts.outDir) || "."}`);
+  console.log(`Saved discovery log to ${path.relative(process.cwd(), decisionsPath)}`);
+}
+
+async function runScenarioEvalForCondition(args) {
+  const { scenariosPattern, cell, outDir, headLines, concurrency, isolate, tsconfigRules } = args;
+  const { condition, compilerOptions } = cell;
+  const logsDir = path.join(outDir, "logs");
+  await fs.mkdir(logsDir, { recursive: true });
+
+  const scenarios = await loadScenarios(scenariosPattern);
+  if (scenarios.length === 0) {
+    throw new Error(`No scenarios matched pattern: ${scenariosPattern}`);
   }
 
   const nodeVersion = process.version;
-  const tscVersion = await getTscVersion();
 
-  const results = [];
-  for (const sc of scenarios) {
+  const perScenario = await mapPool(scenarios, concurrency ?? 1, async (sc) => {
+    const compiler = await resolveCompiler(cell.typescriptPath ?? sc.typescript ?? args.typescriptPath);
     const baseline = await evalScenarioOnce({
       sc,
       mode: "baseline",
@@ -660,123 +1542,242 @@ async function runScenarioEvalForCondition(args) {
       logsDir,
       headLines,
       nodeVersion,
-      tscVersion,
+      compiler,
+      isolate,
+      compilerOptions,
+      tsconfigRules,
     });
-    results.push({ ...baseline, conditionId: condition.id });
 
-    const predictedDtsPath = await getPredictedDtsForCondition(condition, sc, outDir);
+    const generationStarted = Date.now();
+    const injection = cell.injection ?? sc.injection;
+    const ctx = {
+      compiler,
+      isolate,
+      headLines,
+      predictor: condition.mode.startsWith("OURS") ? args.predictorFor(condition) : undefined,
+      injection: injection ?? DEFAULT_SCENARIO_INJECTION,
+      compilerOptions,
+      tsconfigRules,
+      timeoutSec: SCENARIO_TIMEOUT_SEC,
+    };
+    const outputs = [];
+    for (const lib of sc.libraries) {
+      outputs.push(await getPredictedDtsForCondition(condition, sc, lib, outDir, ctx));
+    }
+    const libraries = sc.libraries.map((lib, i) => ({ ...lib, predictedDtsPath: outputs[i].dtsPath }));
+    // *_REPAIR searches once every library has a declaration, one library at a time with the
+    // others injected as they stand (repaired ones included)
+    const generated = [];
+    for (const [i, g] of outputs.entries()) {
+      const others = libraries
+        .filter((_, j) => j !== i)
+        .map((lib) => ({ name: lib.name, dtsPath: lib.predictedDtsPath }));
+      const generation = g.repair ? await repairOursDts({ ...g.repair, otherLibraries: others, ctx }) : g.generation;
+      if (generation) generated.push({ name: libraries[i].name, ...generation });
+    }
+    // how the OURS declarations were obtained: predictor calls and the repair search (tsc runs
+    // of the search itself; the baseline/predicted checks are not included)
+    const generation =
+      generated.length > 0
+        ? {
+            durationMs: Date.now() - generationStarted,
+            iters: generated.reduce((a, g) => a + (g.iters ?? 0), 0),
+            tscRuns: generated.reduce((a, g) => a + (g.tscRuns ?? 0), 0),
+            libraries: generated,
+          }
+        : undefined;
     const predicted = await evalScenarioOnce({
-      sc: { ...sc, predictedDtsPath },
+      sc: { ...sc, libraries },
       mode: "predicted",
       inject: condition.mode !== "BL0",
+      injection,
       logsDir,
       headLines,
       nodeVersion,
-      tscVersion,
+      compiler,
+      isolate,
+      compilerOptions,
+      tsconfigRules,
     });
-    results.push({ ...predicted, conditionId: condition.id, predictedDtsPath });
-  }
+    return [
+      { ...baseline, conditionId: cell.id, axes: cell.axes },
+      { ...predicted, conditionId: cell.id, axes: cell.axes, generation },
+    ];
+  });
+  const results = perScenario.flat();
+  const diffs = perScenario.map(([baseline, predicted], i) =>
+    buildScenarioDiff(scenarios[i], baseline, predicted, { conditionId: cell.id }),
+  );
 
   const resultsPath = path.join(outDir, "results.eval.jsonl");
   await fs.writeFile(resultsPath, results.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+  const diffPath = path.join(outDir, "diff.jsonl");
+  await fs.writeFile(diffPath, diffs.map((d) => JSON.stringify(d)).join("\n") + "\n", "utf8");
 
-  const summary = buildScenarioSummary(results);
+  const summary = buildScenarioSummary(results, diffs);
   summary.condition = condition;
+  summary.cell = { id: cell.id, axes: cell.axes };
   const summaryPath = path.join(outDir, "summary.json");
   await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2), "utf8");
 }
 
-async function getPredictedDtsForCondition(condition, sc, conditionOutDir) {
+// Declaration file for one library of a scenario under a matrix condition, as
+// { dtsPath, generation?, repair? }; `generation` describes OURS outputs and `repair` is the
+// pending search of *_REPAIR modes (see generateOursDts).
+async function getPredictedDtsForCondition(condition, sc, lib, conditionOutDir, ctx) {
   const mode = condition.mode;
+  // per-scenario directory: stubs depend on the consumer, and scenarios may run concurrently
+  const scenarioDir = sanitizeFileName(sc.id);
   if (mode === "BL0") {
-    return sc.predictedDtsPath; // unused
+    return { dtsPath: lib.predictedDtsPath }; // unused
   }
   if (mode === "BL1") {
-    return await generateAnyStubDts(
-      sc.libraryName,
-      path.join(conditionOutDir, "generated-dts", "BL1"),
-      sc.consumerPath,
-    );
-  }
-  if (mode === "OURS_TOP1" || mode === "OURS_USAGE_TOP1") {
-    // Minimal: reuse any-stub as placeholder for "OURS" output
-    return await generateAnyStubDts(
-      sc.libraryName,
-      path.join(conditionOutDir, "generated-dts", "OURS_TOP1"),
-      mode.includes("USAGE") ? sc.consumerPath : undefined,
-    );
+    return {
+      dtsPath: await writeUsageDts(
+        lib.name,
+        path.join(conditionOutDir, "generated-dts", "BL1", scenarioDir),
+        sc.consumerPath,
+      ),
+    };
   }
-  if (mode === "OURS_REPAIR" || mode === "OURS_USAGE_REPAIR") {
-    // Minimal: reuse any-stub for repair modes, and report repair metrics at aggregate level as zeros.
-    return await generateAnyStubDts(
-      sc.libraryName,
-      path.join(conditionOutDir, "generated-dts", "OURS_REPAIR"),
-      mode.includes("USAGE") ? sc.consumerPath : undefined,
-    );
+  if (OURS_MODES.includes(mode)) {
+    return generateOursDts({ condition, sc, lib, conditionOutDir, scenarioDir, ctx });
   }
   // fallback: scenario's own predicted path
-  return sc.predictedDtsPath;
-}
-
-async function generateAnyStubDts(libName, baseDir, consumerPath) {
-  const dir = path.join(baseDir, libName);
-  await fs.mkdir(dir, { recursive: true });
-  const outPath = path.join(dir, "index.d.ts");
-  const named = consumerPath
-    ? await extractNamedImportsFromConsumer(consumerPath, libName)
-    : [];
-  const exportLines = named.map((n) => `  export const ${n}: any;`).join("\n");
-  const exportStyle = exportLines
-    ? `  const _default: any;\n  export default _default;\n`
-    : `  const _default: any;\n  export = _default;\n`;
-  const content =
-    `declare module "${libName}" {\n` +
-    (exportLines ? `${exportLines}\n` : "") +
-    exportStyle +
-    `}\n`;
-  await fs.writeFile(outPath, content, "utf8");
-  return outPath;
+  return { dtsPath: lib.predictedDtsPath };
 }
 
-async function extractNamedImportsFromConsumer(consumerPath, libName) {
-  try {
-    const files = await glob("**/*.ts", { cwd: consumerPath, absolute: true });
-    const names = new Set();
-    const re = new RegExp(
-      String.raw`import\s+\{([^}]+)\}\s+from\s+["']${escapeRegExp(libName)}["']`,
-      "g",
-    );
-    for (const f of files) {
-      const txt = await fs.readFile(f, "utf8");
-      let m;
-      while ((m = re.exec(txt)) !== null) {
-        const inside = m[1];
-        for (const part of inside.split(",")) {
-          const cleaned = part.trim();
-          if (!cleaned) continue;
-          // handle alias: a as b
-          const aliasParts = cleaned.split(/\s+as\s+/i).map((s) => s.trim());
-          const name = aliasParts[1] || aliasParts[0];
-          if (name && /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) names.add(name);
-        }
-      }
+const OURS_MODES = ["OURS_TOP1", "OURS_USAGE_TOP1", "OURS_REPAIR", "OURS_USAGE_REPAIR"];
+
+// OURS modes: extract the API surface of the installed library and predict top-k types for every
+// slot (gen-dts); *_REPAIR modes return the candidate search of `--repair` as `repair`, for
+// repairOursDts. *_USAGE_* also declares the names the consumer imports that the extracted
+// surface lacks, shaped by how the consumer uses them (usage_infer.js).
+// Condition options (matrix.json): topk, beam, expandSlots, maxIters, trivialPenalty,
+// timeoutSec, fallbackType, predictor.
+//   <cond>/generated-dts/<MODE>/<scenario>/<lib>/index.d.ts   declaration that is injected
+//   <cond>/predictions/<scenario>/<lib>.json                 top-k candidates
+//   <cond>/repair/<scenario>/                                repair logs and intermediate .d.ts
+async function generateOursDts({ condition, sc, lib, conditionOutDir, scenarioDir, ctx }) {
+  const mode = condition.mode;
+  const started = Date.now();
+  const outDir = path.join(conditionOutDir, "generated-dts", mode, scenarioDir);
+  const pkg = inspectPackage(sc.consumerPath, lib.name);
+  if (!pkg.dir) {
+    console.warn(`[${mode}] ${sc.id}: ${lib.name} is not installed, using a usage stub`);
+    const dtsPath = await writeUsageDts(lib.name, outDir, sc.consumerPath);
+    return { dtsPath, generation: { source: "usage-stub", durationMs: Date.now() - started } };
+  }
+
+  const surface = await extractApiSurface(pkg.dir, { libName: lib.name });
+  if (mode.includes("USAGE")) {
+    const declared = new Set(surface.exports.map((e) => e.name));
+    const usage = await collectUsage(sc.consumerPath, lib.name);
+    for (const item of usageSurfaceExports(usage)) {
+      if (!declared.has(item.name)) surface.exports.push(item);
     }
-    return Array.from(names).sort();
-  } catch {
-    return [];
   }
+  const topk = condition.topk ?? 5;
+  const gen = await generateDtsFromSurface(surface, {
+    outDir,
+    predictionsDir: path.join(conditionOutDir, "predictions", scenarioDir),
+    queriesDir: path.join(conditionOutDir, "queries", scenarioDir),
+    topk,
+    fallbackType: condition.fallbackType,
+    predictor: ctx.predictor,
+  });
+  const generation = {
+    source: "predicted",
+    model: gen.model,
+    slots: gen.slots,
+    rejectedTypes: gen.rejections.length,
+    predictionsPath: path.relative(process.cwd(), gen.predictionsPath),
+    durationMs: Date.now() - started,
+  };
+  if (!mode.endsWith("REPAIR")) {
+    return { dtsPath: gen.generatedDtsPath, generation };
+  }
+  return {
+    dtsPath: gen.generatedDtsPath,
+    repair: { condition, sc, lib, conditionOutDir, scenarioDir, gen, generation },
+  };
 }
 
-function escapeRegExp(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Runs the candidate search of `--repair` against the scenario's consumer, checked the way the
+// matrix cell checks it (injection strategy, compiler options, tsconfig layout) with
+// `otherLibraries` ([{ name, dtsPath }]) injected alongside, and writes the best assignment to
+// the generated declaration. Returns its `generation`.
+async function repairOursDts(args) {
+  const { condition, sc, lib, conditionOutDir, scenarioDir, gen, generation, otherLibraries, ctx } = args;
+  const started = Date.now();
+  const topk = condition.topk ?? 5;
+  const preds = JSON.parse(await fs.readFile(gen.predictionsPath, "utf8"));
+  const repairDir = path.join(conditionOutDir, "repair", scenarioDir);
+  const logsDir = path.join(repairDir, "logs");
+  await fs.mkdir(logsDir, { recursive: true });
+  const opts = {
+    compiler: ctx.compiler,
+    headLines: ctx.headLines,
+    timeoutSec: condition.timeoutSec ?? ctx.timeoutSec,
+    topk,
+    beam: condition.beam ?? 1,
+    expandSlots: condition.expandSlots ?? 3,
+    maxIters: condition.maxIters ?? 30,
+    trivialPenalty: condition.trivialPenalty ?? 5,
+    injection: ctx.injection,
+    compilerOptions: ctx.compilerOptions,
+    tsconfigRules: ctx.tsconfigRules,
+    layout: { tsconfig: sc.tsconfig, build: sc.build },
+    otherLibraries,
+  };
+  const best = await withConsumerLock(sc.consumerPath, ctx.isolate, async () => {
+    const overlay = ctx.isolate ? await createOverlay(sc.consumerPath) : undefined;
+    try {
+      const common = {
+        projectPath: sc.consumerPath,
+        projectName: sanitizeFileName(lib.name),
+        preds,
+        opts,
+        logsDir,
+        runDir: repairDir,
+        cache: new Map(),
+        checker: undefined,
+        overlay,
+      };
+      const baseline = await evalWithAssignment({
+        ...common,
+        assignment: initialAssignment(preds, topk),
+        logSuffix: "baseline",
+      });
+      const repaired = await repairProject({ ...common, baseline });
+      return { ...repaired, tscRuns: 1 + (repaired.tscRuns ?? 0) };
+    } finally {
+      await overlay?.dispose();
+    }
+  });
+  // the search leaves its last candidate in repairDir; the injected file is the best one
+  await fs.writeFile(gen.generatedDtsPath, buildDtsFromPreds(preds, best.assignment).content, "utf8");
+  return {
+    ...generation,
+    assignment: best.assignment,
+    repaired: best.repaired,
+    iters: best.iters ?? 0,
+    tscRuns: best.tscRuns,
+    durationMs: generation.durationMs + (Date.now() - started),
+  };
 }
 
-async function buildAggregate(expOutDir, conditionIds) {
+// statsOptions: { reference?: conditionId, bootstrap?: { iterations, confidence, seed } }
+// (from matrix.json). Without a reference every pair of conditions is compared.
+async function buildAggregate(expOutDir, cells, statsOptions = {}) {
   const conditions = [];
+  const outcomesByCondition = new Map();
+  const bootstrap = { iterations: 2000, confidence: 0.95, seed: 1, ...statsOptions.bootstrap };
   const overallErrorCounts = {};
   let totalWallTimeMs = 0;
 
-  for (const cid of conditionIds) {
+  for (const cell of cells) {
+    const cid = cell.id;
     const summaryPath = path.join(expOutDir, cid, "summary.json");
     if (!existsSync(summaryPath)) continue;
     const summary = JSON.parse(await fs.readFile(summaryPath, "utf8"));
@@ -792,27 +1793,49 @@ async function buildAggregate(expOutDir, conditionIds) {
     const passed = predictedRows.filter((r) => r.status === "success").length;
     const total = predictedRows.length;
     const failed = total - passed;
+    outcomesByCondition.set(cid, new Map(predictedRows.map((r) => [r.scenarioId, r.status === "success"])));
 
+    for (const [code, n] of Object.entries(countErrorCodes(predictedRows))) {
+      overallErrorCounts[code] = (overallErrorCounts[code] ?? 0) + n;
+    }
     for (const r of predictedRows) {
-      if (r.errorCode) {
-        overallErrorCounts[r.errorCode] = (overallErrorCounts[r.errorCode] ?? 0) + 1;
-      }
       totalWallTimeMs += r.durationMs ?? 0;
     }
 
     const isRepairMode = String(summary.condition?.mode ?? "").includes("REPAIR");
+    // per scenario: search iterations, tsc runs (search + the baseline and predicted checks) and
+    // wall time (generation + both checks)
+    const perScenario = predictedRows.map((r) => {
+      const baselineRow = rows.find((b) => b.mode === "baseline" && b.scenarioId === r.scenarioId);
+      return {
+        scenarioId: r.scenarioId,
+        iters: r.generation?.iters ?? 0,
+        tsc_runs: (r.generation?.tscRuns ?? 0) + 2,
+        wall_time_ms: (r.generation?.durationMs ?? 0) + (r.durationMs ?? 0) + (baselineRow?.durationMs ?? 0),
+        repaired: r.generation?.libraries?.every((l) => l.repaired) ?? false,
+      };
+    });
     conditions.push({
       conditionId: cid,
       mode: summary.condition?.mode,
+      axes: cell.axes,
       success_rate: summary.metrics?.predicted_success_rate ?? (total ? passed / total : 0),
+      success_rate_ci: successRateCI(
+        predictedRows.map((r) => r.status === "success"),
+        bootstrap,
+      ),
       total,
       passed,
       failed,
+      error_total: totalErrors(predictedRows),
+      libraries: summary.libraries,
+      injection_modes: [...new Set(predictedRows.map((r) => r.injectionMode).filter(Boolean))],
       repair: isRepairMode
         ? {
-            iters_used: 0,
-            tsc_runs: total * 2, // baseline+predicted; minimal placeholder
-            wall_time_ms: predictedRows.reduce((a, r) => a + (r.durationMs ?? 0), 0),
+            iters_used: perScenario.reduce((a, s) => a + s.iters, 0),
+            tsc_runs: perScenario.reduce((a, s) => a + s.tsc_runs, 0),
+            wall_time_ms: perScenario.reduce((a, s) => a + s.wall_time_ms, 0),
+            per_scenario: perScenario,
           }
         : undefined,
     });
@@ -825,18 +1848,61 @@ async function buildAggregate(expOutDir, conditionIds) {
 
   return {
     conditions,
+    comparisons: buildComparisons(outcomesByCondition, comparisonPairs(cells, statsOptions.reference), bootstrap),
+    reference: statsOptions.reference,
+    slices: sliceByAxis(conditions),
+    confidence: bootstrap.confidence,
     error_code_top: topErrorCodes,
     wall_time_ms: totalWallTimeMs,
   };
 }
 
-async function legacyEval(opts) {
+// Paired comparisons (McNemar, bootstrap CI of the success-rate delta, effect sizes) on the
+// scenarios both cells evaluated; `delta` is always B - A. Pairs come from comparisonPairs()
+// in src/matrix.js; cells without results are left out.
+function buildComparisons(outcomesByCondition, pairs, bootstrap) {
+  const evaluated = pairs.filter(([a, b]) => outcomesByCondition.has(a) && outcomesByCondition.has(b));
+  return evaluated.map(([a, b]) => {
+    const outcomesA = outcomesByCondition.get(a);
+    const outcomesB = outcomesByCondition.get(b);
+    const shared = [...outcomesA.keys()].filter((id) => outcomesB.has(id)).sort();
+    const cmp = comparePaired(
+      shared.map((id) => outcomesA.get(id)),
+      shared.map((id) => outcomesB.get(id)),
+      bootstrap,
+    );
+    return {
+      a,
+      b,
+      n: cmp.n,
+      success_rate_a: cmp.successRateA,
+      success_rate_b: cmp.successRateB,
+      delta: cmp.delta,
+      delta_ci: cmp.deltaCI,
+      mcnemar: {
+        only_a: cmp.mcnemar.onlyA,
+        only_b: cmp.mcnemar.onlyB,
+        method: cmp.mcnemar.method,
+        statistic: cmp.mcnemar.statistic,
+        p_value: cmp.mcnemar.pValue,
+      },
+      effect_size: {
+        risk_difference: cmp.effectSize.riskDifference,
+        cohens_h: cmp.effectSize.cohensH,
+        paired_odds_ratio: cmp.effectSize.pairedOddsRatio,
+      },
+    };
+  });
+}
+
+async function legacyEval(legacyOpts) {
+  const opts = { ...legacyOpts, compiler: await resolveCompiler(legacyOpts.typescriptPath) };
   const timestamp = formatTimestamp(new Date());
   const runDir = path.resolve(process.cwd(), "runs", opts.repair ? `${timestamp}-repair` : `${timestamp}-harness`);
   const logsDir = path.join(runDir, "logs");
   await fs.mkdir(logsDir, { recursive: true });
 
-  const projectPaths = await glob(opts.projectsPattern, { absolute: true });
+  const projectPaths = (await glob(opts.projectsPattern, { absolute: true })).sort();
   if (projectPaths.length === 0) {
     console.error(`No projects matched pattern: ${opts.projectsPattern}`);
     process.exitCode = 1;
@@ -844,15 +1910,16 @@ async function legacyEval(opts) {
   }
 
   if (!opts.repair) {
-    const results = [];
-    for (const projectPath of projectPaths) {
-      const result = await runProjectLegacy(projectPath, opts, logsDir);
-      results.push(result);
+    const results = await mapPool(projectPaths, opts.concurrency, async (projectPath) => {
+      const result = await withConsumerLock(projectPath, opts.isolate, () =>
+        runProjectLegacy(projectPath, opts, logsDir),
+      );
       console.log(
         `[${result.status}] ${projectPath} ` +
           (result.errorCode ? `(code: ${result.errorCode})` : ""),
       );
-    }
+      return result;
+    });
 
     const resultsPath = path.join(runDir, "results.jsonl");
     const lines = results.map((r) => JSON.stringify(r)).join("\n");
@@ -861,24 +1928,67 @@ async function legacyEval(opts) {
     return;
   }
 
-  const baselineOut = [];
-  const repairedOut = [];
   const cache = new Map();
+  const perProject = await mapPool(projectPaths, opts.concurrency, (projectPath) =>
+    // the whole repair holds the project: every candidate rewrites its tsconfig
+    withConsumerLock(projectPath, opts.isolate, () =>
+      repairLegacyProject({ projectPath, opts, logsDir, runDir, cache }),
+    ),
+  );
+  const baselineOut = perProject.map((r) => r.baseline);
+  const repairedOut = perProject.map((r) => r.repaired);
 
-  for (const projectPath of projectPaths) {
-    const projectName = path.basename(projectPath);
-    const predictionPath = path.resolve(process.cwd(), "predictions", `${projectName}.json`);
-    const hasPreds = existsSync(predictionPath);
-
-    if (!hasPreds) {
-      const baseline = await runProjectLegacy(projectPath, opts, logsDir);
-      baselineOut.push({ ...baseline, phase: "baseline" });
-      repairedOut.push({ ...baseline, phase: "repaired" });
-      continue;
-    }
+  const baselinePath = path.join(runDir, "results.baseline.jsonl");
+  const repairedPath = path.join(runDir, "results.repaired.jsonl");
+  await fs.writeFile(baselinePath, baselineOut.map((r) => JSON.stringify(r)).join("\n") + "\n");
+  await fs.writeFile(repairedPath, repairedOut.map((r) => JSON.stringify(r)).join("\n") + "\n");
+  console.log(`\nSaved baseline to ${path.relative(process.cwd(), baselinePath)}`);
+  console.log(`Saved repaired to ${path.relative(process.cwd(), repairedPath)}`);
+}
+
+async function repairLegacyProject(args) {
+  const { projectPath, opts, logsDir, runDir, cache } = args;
+  const projectName = path.basename(projectPath);
+  // --preds (e.g. the predictions/<lib>.json written by gen-dts) applies to every project;
+  // otherwise look for a per-project predictions/<project>.json.
+  const predictionPath =
+    opts.predsPath ?? path.resolve(process.cwd(), "predictions", `${projectName}.json`);
+  const hasPreds = existsSync(predictionPath);
 
-    const preds = JSON.parse(await fs.readFile(predictionPath, "utf8"));
-    const baseline = await evalWithAssignment({
+  if (!hasPreds) {
+    const baseline = await runProjectLegacy(projectPath, opts, logsDir);
+    return { baseline: { ...baseline, phase: "baseline" }, repaired: { ...baseline, phase: "repaired" } };
+  }
+
+  // malformed candidates never reach the generated .d.ts; the report sits next to it
+  const { preds, rejections } = sanitizePredictions(
+    JSON.parse(await fs.readFile(predictionPath, "utf8")),
+    opts.fallbackType,
+  );
+  await fs.mkdir(path.dirname(generatedDtsPathFor(runDir, projectName)), { recursive: true });
+  const rejectionsPath = await writeRejectionReport(generatedDtsPathFor(runDir, projectName), rejections);
+  if (rejectionsPath) {
+    console.log(
+      `Rejected ${rejections.length} candidate type(s) for ${projectName}: ${path.relative(process.cwd(), rejectionsPath)}`,
+    );
+  }
+  // one overlay for the whole repair: candidates only differ in the generated .d.ts
+  const overlay = opts.isolate ? await createOverlay(projectPath) : undefined;
+  let checker;
+  let baseline;
+  let repaired;
+  try {
+    checker =
+      opts.checker === "inproc"
+        ? await openInProcessChecker(
+            overlay?.root ?? projectPath,
+            preds.libName,
+            generatedDtsPathFor(runDir, projectName),
+            opts.compiler,
+            opts.tsconfigRules,
+          )
+        : undefined;
+    baseline = await evalWithAssignment({
       projectPath,
       projectName,
       opts,
@@ -888,10 +1998,11 @@ async function legacyEval(opts) {
       assignment: initialAssignment(preds, opts.topk),
       cache,
       logSuffix: "baseline",
+      checker,
+      overlay,
     });
-    baselineOut.push(baseline);
 
-    const repaired = await repairProject({
+    repaired = await repairProject({
       baseline,
       projectPath,
       projectName,
@@ -900,16 +2011,21 @@ async function legacyEval(opts) {
       logsDir,
       runDir,
       cache,
+      checker,
+      overlay,
     });
-    repairedOut.push(repaired);
-  }
-
-  const baselinePath = path.join(runDir, "results.baseline.jsonl");
-  const repairedPath = path.join(runDir, "results.repaired.jsonl");
-  await fs.writeFile(baselinePath, baselineOut.map((r) => JSON.stringify(r)).join("\n") + "\n");
-  await fs.writeFile(repairedPath, repairedOut.map((r) => JSON.stringify(r)).join("\n") + "\n");
-  console.log(`\nSaved baseline to ${path.relative(process.cwd(), baselinePath)}`);
-  console.log(`Saved repaired to ${path.relative(process.cwd(), repairedPath)}`);
+  } finally {
+    await checker?.close();
+    await overlay?.dispose();
+  }
+  console.log(
+    `[${repaired.status}] ${projectName} repaired` +
+      (repaired.beamWidth
+        ? ` (beam=${repaired.beamWidth}, iters=${repaired.iters}, tsc=${repaired.tscRuns}, score=${repaired.score})`
+        : ""),
+  );
+  const rejectedTypes = rejections.length;
+  return { baseline: { ...baseline, rejectedTypes }, repaired: { ...repaired, rejectedTypes } };
 }
 
 function initialAssignment(preds, topk) {
@@ -936,99 +2052,131 @@ function assignmentKey(assignment) {
   return keys.map((k) => `${k}=${assignment[k]}`).join("&");
 }
 
-function countErrors(output) {
-  if (!output) return 0;
-  const matches = output.match(/error TS\d{4}:/g);
-  return matches ? matches.length : 0;
-}
-
-function parseDiagnostics(output, cwd) {
-  const diags = [];
-  if (!output) return diags;
-  const lines = output.split(/\r?\n/);
-  const re = /^(.*)\((\d+),(\d+)\): error (TS\d{4}):/;
-  for (const line of lines) {
-    const m = line.match(re);
-    if (!m) continue;
-    const filePathRaw = m[1];
-    const filePath = path.isAbsolute(filePathRaw)
-      ? filePathRaw
-      : path.resolve(cwd, filePathRaw);
-    diags.push({
-      filePath,
-      line: Number(m[2]),
-      col: Number(m[3]),
-      code: m[4],
-      text: line,
-    });
-  }
-  return diags;
-}
-
 async function evalWithAssignment(args) {
-  const { projectPath, projectName, opts, logsDir, runDir, preds, assignment, cache, logSuffix } = args;
+  const { projectPath, projectName, opts, logsDir, runDir, preds, assignment, cache, logSuffix, checker, overlay } =
+    args;
   const key = `${projectName}|${assignmentKey(assignment)}|k=${opts.topk}|pen=${opts.trivialPenalty}`;
   if (cache.has(key)) return { ...cache.get(key), fromCache: true };
 
   const logPath = path.join(logsDir, `${logSuffix}-${sanitizeFileName(projectName)}.log`);
   await fs.writeFile(logPath, "");
 
-  const dtsDir = path.join(runDir, "generated-dts", projectName);
-  await fs.mkdir(dtsDir, { recursive: true });
-  const dtsPath = path.join(dtsDir, "index.d.ts");
+  const dtsPath = generatedDtsPathFor(runDir, projectName);
+  await fs.mkdir(path.dirname(dtsPath), { recursive: true });
   const { content, slotLineMap } = buildDtsFromPreds(preds, assignment);
   await fs.writeFile(dtsPath, content, "utf8");
 
-  const tsconfigPath = path.join(projectPath, "tsconfig.json");
-  const normalization = await normalizeTsconfig(tsconfigPath);
-  let injectedTsconfig;
+  const layout = opts.layout ?? {};
+  const tsconfigPath = path.join(projectPath, layout.tsconfig ?? "tsconfig.json");
+  const workDir = overlay?.root ?? projectPath;
+  const injection = opts.injection ?? REPAIR_INJECTION;
+  let run;
+  let normalized;
+  let started;
+  if (checker) {
+    // in-process backend: tsconfig is already normalized/injected for the whole repair session
+    started = Date.now();
+    run = checker.check(content);
+    await fs.appendFile(logPath, run.stdout + run.stderr, "utf8");
+    normalized = checker.normalized;
+  } else {
+    const graph = layout.build ? loadProjectGraph(path.join(workDir, layout.tsconfig ?? "tsconfig.json")) : undefined;
+    const normalization = await normalizeTsconfigs(checkedTsconfigs(workDir, layout, graph), opts.tsconfigRules);
+    let injected;
+    try {
+      const libraries = [{ name: preds.libName, dtsPath }, ...(opts.otherLibraries ?? [])];
+      injected = await injectDeclarations(injection, workDir, libraries, {
+        overlay,
+        ...layout,
+        compilerOptions: opts.compilerOptions,
+      });
+      started = Date.now();
+      run = await runCommand(
+        checkCommand(opts.compiler, workDir, layout, injected.project, opts.compilerOptions),
+        workDir,
+        opts.timeoutSec,
+        logPath,
+      );
+    } finally {
+      await normalization.restore();
+      await injected?.restore();
+    }
+    normalized = normalization.normalized;
+  }
+
+  const { exitCode, stdout, stderr, timedOut } = run;
+  const durationMs = Date.now() - started;
+  const combined = (stderr || "") + (stdout || "");
+  const errorCode = firstErrorCode(combined);
+  const status = classify(exitCode, errorCode, timedOut);
+  const stderrHead = status === "success" ? undefined : head(combined, opts.headLines);
+  const diagnostics = parseDiagnostics(combined, workDir, overlay);
+  const { errorCount, errorCounts } = summarizeDiagnostics(diagnostics);
+  const trivialCount = countTrivialSelected(preds, assignment);
+  const score = computeScore(status, errorCount, trivialCount, opts.trivialPenalty);
+
+  const result = {
+    project: projectPath,
+    projectName,
+    status,
+    exitCode,
+    errorCode: status === "success" ? undefined : errorCode,
+    stderr_head: stderrHead,
+    normalized,
+    tsconfigPath,
+    durationMs,
+    condition: "repair",
+    libName: preds.libName,
+    injectedDtsPath: dtsPath,
+    injectionMode: injection,
+    checker: checker ? "inproc" : "cli",
+    workspace: overlay ? "overlay" : "in-place",
+    tscVersion: opts.compiler.version,
+    typescriptPath: opts.compiler.typescriptPath,
+    assignment,
+    score,
+    errorCount,
+    errorCounts,
+    trivialCount,
+    slotLineMap,
+    diagnostics,
+    logPath,
+    phase: logSuffix,
+  };
+  cache.set(key, result);
+  return result;
+}
+
+function generatedDtsPathFor(runDir, projectName) {
+  return path.join(runDir, "generated-dts", projectName, "index.d.ts");
+}
+
+// Sets up the consumer once (normalized tsconfig + tsconfig.injected.json pointing at the
+// generated .d.ts) and keeps a LanguageService over it for the whole repair of one project.
+async function openInProcessChecker(projectPath, libName, dtsPath, compiler, tsconfigRules) {
+  const normalization = await normalizeTsconfig(path.join(projectPath, "tsconfig.json"), tsconfigRules);
+  let injected;
   try {
-    injectedTsconfig = await writeInjectedTsconfig(projectPath, preds.libName, dtsPath);
-    const started = Date.now();
-    const { exitCode, stdout, stderr, timedOut } = await runCommand(
-      `${getTscCliCommand()} --noEmit -p "${injectedTsconfig}"`,
+    injected = await injectPaths(projectPath, libName, dtsPath);
+    const checker = new InProcessChecker({
       projectPath,
-      opts.timeoutSec,
-      logPath,
-    );
-    const durationMs = Date.now() - started;
-    const combined = (stderr || "") + (stdout || "");
-    const errorCode = firstErrorCode(combined);
-    const status = classify(exitCode, errorCode, timedOut);
-    const stderrHead = status === "success" ? undefined : head(combined, opts.headLines);
-    const diagnostics = parseDiagnostics(combined, projectPath);
-    const errorCount = countErrors(combined);
-    const trivialCount = countTrivialSelected(preds, assignment);
-    const score = computeScore(status, errorCount, trivialCount, opts.trivialPenalty);
-
-    const result = {
-      project: projectPath,
-      projectName,
-      status,
-      exitCode,
-      errorCode: status === "success" ? undefined : errorCode,
-      stderr_head: stderrHead,
+      configPath: injected.project,
+      dtsPath,
+      typescript: compiler.typescriptPath ? loadTypeScriptModule({ path: compiler.typescriptPath }) : undefined,
+    });
+    return {
       normalized: normalization.normalized,
-      tsconfigPath,
-      durationMs,
-      condition: "repair",
-      libName: preds.libName,
-      injectedDtsPath: dtsPath,
-      injectionMode: "tsconfig.injected",
-      assignment,
-      score,
-      errorCount,
-      trivialCount,
-      slotLineMap,
-      diagnostics,
-      logPath,
-      phase: logSuffix,
+      check: (content) => checker.check(content),
+      close: async () => {
+        checker.dispose();
+        await normalization.restore();
+        await injected.restore();
+      },
     };
-    cache.set(key, result);
-    return result;
-  } finally {
+  } catch (err) {
     await normalization.restore();
-    if (injectedTsconfig) await fs.rm(injectedTsconfig, { force: true });
+    await injected?.restore();
+    throw err;
   }
 }
 
@@ -1052,30 +2200,20 @@ function buildDtsFromPreds(preds, assignment) {
   const lines = [];
   const slotLineMap = {};
   lines.push(`declare module "${preds.libName}" {`);
-  let lineNo = 1;
-  lineNo++;
-  for (const exp of preds.exports ?? []) {
-    if (exp.kind !== "function") continue;
-    // params
-    const params = (exp.params ?? []).map((p, idx) => {
-      const slotId = `${exp.name}:param:${idx}`;
-      const cand = pickCandidate(preds, slotId, assignment);
-      // keep one-line param list; slot comment before function line
-      return `${p}: ${cand.type}`;
-    });
-    // return
-    const returnSlot = `${exp.name}:return`;
-    const ret = pickCandidate(preds, returnSlot, assignment);
-
-    // slot comment line maps to itself and the next line (where errors likely point)
-    const slotComment = `  // @slot:${returnSlot}`;
-    lines.push(slotComment);
-    lineNo++;
-    slotLineMap[returnSlot] = { commentLine: lineNo - 1, declLine: lineNo };
-
-    const fnLine = `  export function ${exp.name}(${params.join(", ")}): ${ret.type};`;
-    lines.push(fnLine);
-    lineNo++;
+  const decls = renderDeclarations(
+    { libName: preds.libName, exports: preds.exports ?? [] },
+    (slotId) => pickCandidate(preds, slotId, assignment).type,
+  );
+  for (const decl of decls) {
+    if (decl.slots.length > 0) {
+      // slot comment line maps to itself and the next line (where errors likely point)
+      const indent = decl.text.match(/^\s*/)[0];
+      lines.push(`${indent}// @slot:${decl.slots.join(" @slot:")}`);
+      for (const slotId of decl.slots) {
+        slotLineMap[slotId] = { commentLine: lines.length, declLine: lines.length + 1 };
+      }
+    }
+    lines.push(decl.text);
   }
   lines.push("}");
   return { content: lines.join("\n") + "\n", slotLineMap };
@@ -1089,92 +2227,118 @@ function pickCandidate(preds, slotId, assignment) {
   return cand;
 }
 
-async function writeInjectedTsconfig(projectDir, libName, dtsPath) {
-  const injectedPath = path.join(projectDir, "tsconfig.injected.json");
-  const dir = path.dirname(dtsPath);
-  const injected = {
-    extends: "./tsconfig.json",
-    compilerOptions: {
-      baseUrl: ".",
-      paths: {
-        [libName]: [dtsPath],
-        [`${libName}/*`]: [path.join(dir, "*")],
-      },
-    },
-  };
-  await fs.writeFile(injectedPath, JSON.stringify(injected, null, 2));
-  return injectedPath;
+// The repair search injects through `paths` unless its opts name a strategy (OURS conditions
+// use the strategy of their cell). The in-process checker swaps the generated file in place
+// and reads the injected tsconfig, so it always does. Diagnostics in a copy of the file (e.g.
+// node_modules/@types) do not point the search at slots.
+const REPAIR_INJECTION = "paths";
+
+function injectPaths(projectDir, libName, dtsPath) {
+  return injectDeclarations(REPAIR_INJECTION, projectDir, [{ name: libName, dtsPath }]);
 }
 
-function chooseSlotToFix(current, preds, result) {
+function rankSlotsToFix(current, preds) {
   const dtsPath = current.injectedDtsPath;
+  const ranked = [];
   // 1) prioritize diagnostics pointing to generated dts
   for (const d of current.diagnostics ?? []) {
     if (!dtsPath) continue;
     if (d.filePath !== dtsPath) continue;
-    const slotId = Object.keys(current.slotLineMap ?? {}).find((sid) => {
-      const m = current.slotLineMap[sid];
-      return m && (m.declLine === d.line || m.commentLine === d.line);
-    });
-    if (slotId) return slotId;
+    for (const [sid, m] of Object.entries(current.slotLineMap ?? {})) {
+      if (m && (m.declLine === d.line || m.commentLine === d.line) && !ranked.includes(sid)) ranked.push(sid);
+    }
   }
-  // 2) fallback: lowest confidence (small score gap)
-  const candidates = [];
+  // 2) then lowest confidence (small score gap), preferring slots this assignment has not changed yet
+  const rest = [];
   for (const s of preds.slots ?? []) {
+    if (ranked.includes(s.slotId)) continue;
     const c0 = s.candidates?.[0]?.score ?? 0;
     const c1 = s.candidates?.[1]?.score ?? -Infinity;
     const gap = c0 - c1;
-    candidates.push({ slotId: s.slotId, gap });
+    const touched = (current.assignment?.[s.slotId] ?? 0) !== 0;
+    rest.push({ slotId: s.slotId, gap, touched });
   }
-  candidates.sort((a, b) => a.gap - b.gap);
-  return candidates[0]?.slotId;
+  rest.sort((a, b) => Number(a.touched) - Number(b.touched) || a.gap - b.gap);
+  return [...ranked, ...rest.map((r) => r.slotId)];
 }
 
+// Beam search over assignments: each iteration expands every not-yet-expanded state in the
+// beam across its `expandSlots` most suspicious slots (all top-k alternatives per slot), then
+// keeps the best `beam` states of parents + children. With --beam 1 this is hill climbing
+// that still tries several slots per step.
 async function repairProject(args) {
-  const { baseline, projectPath, projectName, preds, opts, logsDir, runDir, cache } = args;
+  const { baseline, projectPath, projectName, preds, opts, logsDir, runDir, cache, checker, overlay } = args;
   if (baseline.status === "success") return { ...baseline, phase: "repaired", repaired: true };
   if (baseline.status !== "type_error") return { ...baseline, phase: "repaired", repaired: false };
 
-  let current = baseline;
-  const exhausted = new Set();
-  for (let iter = 0; iter < opts.maxIters; iter++) {
-    const slotId = chooseSlotToFix(current, preds, current);
-    if (!slotId || exhausted.has(slotId)) break;
-
-    const slot = (preds.slots ?? []).find((s) => s.slotId === slotId);
-    const k = Math.min(opts.topk, slot?.candidates?.length ?? 0);
-    if (k <= 1) {
-      exhausted.add(slotId);
-      continue;
-    }
+  const beamWidth = Math.max(1, opts.beam ?? 1);
+  const expandSlots = Math.max(1, opts.expandSlots ?? 3);
+  const visited = new Set([assignmentKey(baseline.assignment)]);
+  const expanded = new Set();
+  const beamTrace = [];
+  let beam = [baseline];
+  let tscRuns = 0;
+  let iters = 0;
 
-    let best = current;
-    let improved = false;
-    for (let candIdx = 1; candIdx < k; candIdx++) {
-      const nextAssign = { ...current.assignment, [slotId]: candIdx };
-      const r = await evalWithAssignment({
-        projectPath,
-        projectName,
-        opts,
-        logsDir,
-        runDir,
-        preds,
-        assignment: nextAssign,
-        cache,
-        logSuffix: "repaired",
-      });
-      if (r.score < best.score) {
-        best = r;
-        improved = true;
+  for (let iter = 0; iter < opts.maxIters; iter++) {
+    const children = [];
+    let cacheHits = 0;
+    for (const state of beam) {
+      const stateKey = assignmentKey(state.assignment);
+      if (expanded.has(stateKey)) continue;
+      expanded.add(stateKey);
+
+      for (const slotId of rankSlotsToFix(state, preds).slice(0, expandSlots)) {
+        const slot = (preds.slots ?? []).find((s) => s.slotId === slotId);
+        const k = Math.min(opts.topk, slot?.candidates?.length ?? 0);
+        for (let candIdx = 0; candIdx < k; candIdx++) {
+          if (candIdx === (state.assignment[slotId] ?? 0)) continue;
+          const nextAssign = { ...state.assignment, [slotId]: candIdx };
+          const key = assignmentKey(nextAssign);
+          if (visited.has(key)) continue;
+          visited.add(key);
+          const r = await evalWithAssignment({
+            projectPath,
+            projectName,
+            opts,
+            logsDir,
+            runDir,
+            preds,
+            assignment: nextAssign,
+            cache,
+            logSuffix: "repaired",
+            checker,
+            overlay,
+          });
+          if (r.fromCache) cacheHits++;
+          else tscRuns++;
+          children.push(r);
+        }
       }
-      if (best.status === "success") break;
     }
-
-    if (best.status === "success") return { ...best, phase: "repaired", repaired: true, iters: iter + 1 };
-    if (!improved) exhausted.add(slotId);
-    else current = best;
+    if (children.length === 0) break;
+    iters = iter + 1;
+
+    beam = [...beam, ...children].sort((a, b) => a.score - b.score).slice(0, beamWidth);
+    beamTrace.push({
+      iter: iters,
+      evaluated: children.length,
+      cacheHits,
+      beam: beam.map((b) => ({ assignment: b.assignment, score: b.score, status: b.status, errorCount: b.errorCount })),
+    });
+    if (beam[0].status === "success") break;
   }
-  return { ...current, phase: "repaired", repaired: current.status === "success" };
+
+  const best = beam[0];
+  return {
+    ...best,
+    phase: "repaired",
+    repaired: best.status === "success",
+    iters,
+    tscRuns,
+    beamWidth,
+    beamTrace,
+  };
 }
 
 async function readManifest(manifestPath) {
@@ -1183,6 +2347,7 @@ async function readManifest(manifestPath) {
   if (!data.workspaceDir || !data.projects) {
     throw new Error("manifest missing workspaceDir or projects");
   }
+  for (const project of data.projects) validateProjectLayout(project, `${manifestPath}: project ${project.name}`);
   return data;
 }
 
@@ -1248,6 +2413,9 @@ async function ensureGitCheckout(args) {
   await runCommandArray("git", ["-C", targetDir, "checkout", desiredRef], process.cwd(), 300, logPath);
 }
 
+// manifest evals inject with tsconfig.injected.json `paths` unless --injection says otherwise
+const DEFAULT_MANIFEST_INJECTION = "paths";
+
 async function runProjectWithManifest(
   project,
   workDir,
@@ -1255,12 +2423,21 @@ async function runProjectWithManifest(
   headLines,
   logPath,
   conditionOpts,
+  isolate = false,
+  compiler,
 ) {
-  const tsconfigPath = path.join(workDir, "tsconfig.json");
+  const layout = { tsconfig: project.tsconfig, build: project.build };
+  const tsconfigPath = path.join(workDir, project.tsconfig ?? "tsconfig.json");
+  // unless a compiler is pinned, BL0 runs the project's own typecheckCommand and thus its own tsc
+  const projectScript = conditionOpts.condition === "BL0" && !compiler.pinned;
+  const ownTypeScript = projectScript ? findProjectTypeScript(workDir) : undefined;
+  const compilerInfo = projectScript
+    ? { tscVersion: ownTypeScript?.version ?? "unknown", typescriptPath: ownTypeScript?.path }
+    : { tscVersion: compiler.version, typescriptPath: compiler.typescriptPath };
   let normalized = false;
   let restoreFn;
-  let injectedTsconfig;
-  let injectionMode;
+  let injected;
+  let graph;
 
   if (!existsSync(workDir)) {
     return {
@@ -1275,6 +2452,7 @@ async function runProjectWithManifest(
       condition: conditionOpts.condition,
       libName: conditionOpts.libName,
       injectedDtsPath: conditionOpts.dtsPath,
+      ...compilerInfo,
     };
   }
 
@@ -1284,21 +2462,30 @@ async function runProjectWithManifest(
       status: "config_error",
       exitCode: null,
       errorCode: "TSCONFIG_MISSING",
-      stderr_head: `tsconfig.json not found in ${workDir}`,
+      stderr_head: `${project.tsconfig ?? "tsconfig.json"} not found in ${workDir}`,
       normalized,
       tsconfigPath,
       durationMs: 0,
       condition: conditionOpts.condition,
       libName: conditionOpts.libName,
       injectedDtsPath: conditionOpts.dtsPath,
+      ...compilerInfo,
     };
   }
 
+  if (conditionOpts.condition !== "BL0" && (!conditionOpts.libName || !conditionOpts.dtsPath)) {
+    throw new Error("BL1 requires --libName and --dts (or auto-generated)");
+  }
+
+  const overlay = isolate ? await createOverlay(workDir) : undefined;
+  const cwd = overlay?.root ?? workDir;
   try {
-    const normalization = await normalizeTsconfig(tsconfigPath);
+    graph = project.build ? loadProjectGraph(path.join(cwd, project.tsconfig ?? "tsconfig.json")) : undefined;
+    const normalization = await normalizeTsconfigs(checkedTsconfigs(cwd, layout, graph), conditionOpts.tsconfigRules);
     normalized = normalization.normalized;
     restoreFn = normalization.restore;
   } catch (err) {
+    await overlay?.dispose();
     const msg = err instanceof Error ? err.message : String(err);
     return {
       project: workDir,
@@ -1312,77 +2499,65 @@ async function runProjectWithManifest(
       condition: conditionOpts.condition,
       libName: conditionOpts.libName,
       injectedDtsPath: conditionOpts.dtsPath,
+      ...compilerInfo,
     };
   }
 
-  const started = Date.now();
-  const { exitCode, stdout, stderr, timedOut } = await runCommand(
-    conditionOpts.condition === "BL0"
-      ? project.typecheckCommand
-      : await buildInjectedCommand(workDir, conditionOpts, tsconfigPath, (tsconfig) => {
-          injectedTsconfig = tsconfig;
-          injectionMode = "tsconfig.injected";
-        }),
-    workDir,
-    timeoutSec,
-    logPath,
-  );
-  const durationMs = Date.now() - started;
-  const errorCode = firstErrorCode(stderr || stdout);
-  const status = classify(exitCode, errorCode, timedOut);
-  const stderrHead =
-    status === "success"
-      ? undefined
-      : head(stderr || stdout, headLines);
-
-  if (restoreFn) {
-    await restoreFn();
-  }
-  if (injectedTsconfig) {
-    await fs.rm(injectedTsconfig, { force: true });
-  }
+  let command = project.typecheckCommand;
+  try {
+    if (conditionOpts.condition !== "BL0") {
+      injected = await injectDeclarations(
+        conditionOpts.injection ?? DEFAULT_MANIFEST_INJECTION,
+        cwd,
+        [{ name: conditionOpts.libName, dtsPath: conditionOpts.dtsPath }],
+        { overlay, ...layout },
+      );
+      command = checkCommand(compiler, cwd, layout, injected.project);
+    } else if (!projectScript) {
+      // build mode writes the generated configs here too; `injected` only undoes them
+      if (graph) injected = await prepareBuild(graph);
+      command = checkCommand(compiler, cwd, layout, injected?.project);
+    }
 
-  return {
-    project: workDir,
-    status,
-    exitCode,
-    errorCode: status === "success" ? undefined : errorCode,
-    stderr_head: stderrHead,
-    normalized,
-    tsconfigPath,
-    durationMs,
-    condition: conditionOpts.condition,
-    libName: conditionOpts.libName,
-    injectedDtsPath: conditionOpts.dtsPath,
-    injectionMode,
-  };
-}
+    const started = Date.now();
+    const { exitCode, stdout, stderr, timedOut } = await runCommand(command, cwd, timeoutSec, logPath);
+    const durationMs = Date.now() - started;
+    const errorCode = firstErrorCode(stderr || stdout);
+    const status = classify(exitCode, errorCode, timedOut);
+    const stderrHead =
+      status === "success"
+        ? undefined
+        : head(stderr || stdout, headLines);
+    const diagnostics = parseDiagnostics((stderr || "") + (stdout || ""), cwd, overlay);
+    const projects = graph
+      ? summarizeByProject(graph, diagnostics, { root: cwd, sourceRoot: workDir, injected: injected?.projects })
+      : undefined;
 
-async function buildInjectedCommand(
-  workDir,
-  conditionOpts,
-  tsconfigPath,
-  setInjected,
-) {
-  if (!conditionOpts.libName || !conditionOpts.dtsPath) {
-    throw new Error("BL1 requires --libName and --dts (or auto-generated)");
+    return {
+      project: workDir,
+      status,
+      exitCode,
+      errorCode: status === "success" ? undefined : errorCode,
+      stderr_head: stderrHead,
+      ...summarizeDiagnostics(diagnostics),
+      diagnostics,
+      normalized,
+      tsconfigPath,
+      durationMs,
+      condition: conditionOpts.condition,
+      libName: conditionOpts.libName,
+      injectedDtsPath: conditionOpts.dtsPath,
+      injectionMode: injected?.strategy,
+      build: project.build,
+      projects,
+      workspace: overlay ? "overlay" : "in-place",
+      ...compilerInfo,
+    };
+  } finally {
+    await restoreFn?.();
+    await injected?.restore();
+    await overlay?.dispose();
   }
-  const injectedPath = path.join(workDir, "tsconfig.injected.json");
-  const paths = {};
-  paths[conditionOpts.libName] = [conditionOpts.dtsPath];
-  const dir = path.dirname(conditionOpts.dtsPath);
-  paths[`${conditionOpts.libName}/*`] = [path.join(dir, "*")];
-
-  const injected = {
-    extends: "./tsconfig.json",
-    compilerOptions: {
-      baseUrl: ".",
-      paths,
-    },
-  };
-  await fs.writeFile(injectedPath, JSON.stringify(injected, null, 2));
-  setInjected(injectedPath);
-  return `npx tsc --noEmit -p "${injectedPath}"`;
 }
 
 async function runProjectLegacy(
@@ -1407,6 +2582,8 @@ async function runProjectLegacy(
       tsconfigPath,
       durationMs: 0,
       condition: "legacy",
+      tscVersion: opts.compiler.version,
+      typescriptPath: opts.compiler.typescriptPath,
     };
   }
 
@@ -1421,14 +2598,19 @@ async function runProjectLegacy(
       tsconfigPath,
       durationMs: 0,
       condition: "legacy",
+      tscVersion: opts.compiler.version,
+      typescriptPath: opts.compiler.typescriptPath,
     };
   }
 
+  const overlay = opts.isolate ? await createOverlay(projectPath) : undefined;
+  const cwd = overlay?.root ?? projectPath;
   try {
-    const normalization = await normalizeTsconfig(tsconfigPath);
+    const normalization = await normalizeTsconfig(path.join(cwd, "tsconfig.json"), opts.tsconfigRules);
     normalized = normalization.normalized;
     restoreFn = normalization.restore;
   } catch (err) {
+    await overlay?.dispose();
     const msg = err instanceof Error ? err.message : String(err);
     return {
       project: projectPath,
@@ -1440,45 +2622,56 @@ async function runProjectLegacy(
       tsconfigPath,
       durationMs: 0,
       condition: "legacy",
+      tscVersion: opts.compiler.version,
+      typescriptPath: opts.compiler.typescriptPath,
     };
   }
 
-  const started = Date.now();
-  const { exitCode, stdout, stderr, timedOut } = await runTsc(
-    projectPath,
-    opts.timeoutSec,
-    logPath,
-  );
-  const durationMs = Date.now() - started;
-  const errorCode = firstErrorCode(stderr || stdout);
-  const status = classify(exitCode, errorCode, timedOut);
-  const stderrHead =
-    status === "success"
-      ? undefined
-      : head((stderr || stdout), opts.headLines);
+  try {
+    const started = Date.now();
+    const { exitCode, stdout, stderr, timedOut } = await runTsc(
+      cwd,
+      opts.compiler,
+      opts.timeoutSec,
+      logPath,
+    );
+    const durationMs = Date.now() - started;
+    const errorCode = firstErrorCode(stderr || stdout);
+    const status = classify(exitCode, errorCode, timedOut);
+    const stderrHead =
+      status === "success"
+        ? undefined
+        : head((stderr || stdout), opts.headLines);
+    const diagnostics = parseDiagnostics((stderr || "") + (stdout || ""), cwd, overlay);
 
-  if (restoreFn) {
-    await restoreFn();
+    return {
+      project: projectPath,
+      status,
+      exitCode,
+      errorCode: status === "success" ? undefined : errorCode,
+      stderr_head: stderrHead,
+      ...summarizeDiagnostics(diagnostics),
+      diagnostics,
+      normalized,
+      tsconfigPath,
+      durationMs,
+      condition: "legacy",
+      workspace: overlay ? "overlay" : "in-place",
+      tscVersion: opts.compiler.version,
+      typescriptPath: opts.compiler.typescriptPath,
+    };
+  } finally {
+    await restoreFn?.();
+    await overlay?.dispose();
   }
-
-  return {
-    project: projectPath,
-    status,
-    exitCode,
-    errorCode: status === "success" ? undefined : errorCode,
-    stderr_head: stderrHead,
-    normalized,
-    tsconfigPath,
-    durationMs,
-    condition: "legacy",
-  };
 }
 
 async function generateBaselineDts(libName) {
   const outDir = path.resolve(process.cwd(), "generated-dts", "BL1", libName);
   await fs.mkdir(outDir, { recursive: true });
   const outPath = path.join(outDir, "index.d.ts");
-  const content = `declare module "${libName}" {\n  const _default: any;\n  export = _default;\n}\nexport {};\n`;
+  // ambient (no top-level export), so that every injection strategy can use it
+  const content = `declare module "${libName}" {\n  const _default: any;\n  export = _default;\n}\n`;
   await fs.writeFile(outPath, content, "utf8");
   return outPath;
 }
@@ -1497,46 +2690,19 @@ function buildSummary(
   for (const r of results) {
     metrics[r.status] = (metrics[r.status] ?? 0) + 1;
   }
+  metrics.error_total = totalErrors(results);
   return {
     condition: conditionInfo.condition,
     libName: conditionInfo.libName,
     injectedDtsPath: conditionInfo.dtsPath,
     injectionMode: results.find((r) => r.injectionMode)?.injectionMode,
     metrics,
+    error_counts: countErrorCodes(results),
   };
 }
 
-async function normalizeTsconfig(tsconfigPath) {
-  const raw = await fs.readFile(tsconfigPath, "utf8");
-  const data = JSON.parse(raw);
-  const compilerOptions = (data.compilerOptions ??= {});
-  const backupPath = `${tsconfigPath}.bak`;
-  await fs.copyFile(tsconfigPath, backupPath);
-
-  let normalized = false;
-  if (
-    compilerOptions.moduleResolution === "NodeNext" &&
-    compilerOptions.module !== "NodeNext"
-  ) {
-    compilerOptions.module = "NodeNext";
-    normalized = true;
-  }
-
-  if (normalized) {
-    await fs.writeFile(tsconfigPath, JSON.stringify(data, null, 2));
-  }
-
-  return {
-    normalized,
-    restore: async () => {
-      await fs.copyFile(backupPath, tsconfigPath);
-      await fs.rm(backupPath, { force: true });
-    },
-  };
-}
-
-function runTsc(cwd, timeoutSec, logPath) {
-  return runCommand(`${getTscCliCommand()} --noEmit`, cwd, timeoutSec, logPath);
+function runTsc(cwd, compiler, timeoutSec, logPath) {
+  return runCommand(`${compiler.command} --noEmit`, cwd, timeoutSec, logPath);
 }
 
 function runCommand(
@@ -1549,18 +2715,24 @@ function runCommand(
     const child = spawn(command, {
       cwd,
       shell: true,
+      // own process group, so an interrupt can stop the shell and the checker it started
+      detached: process.platform !== "win32",
       env: { ...process.env, FORCE_COLOR: "0" },
     });
+    // on SIGINT/SIGTERM the child is stopped before the files it reads are restored
+    const cleanupKey = `pid:${child.pid}`;
+    registerCleanup(cleanupKey, () => killProcessTree(child));
 
     let stdout = "";
     let stderr = "";
     let resolved = false;
     let timedOut = false;
 
+    // the whole group: the checker the shell started holds stdout open until it exits
     const timer = setTimeout(() => {
       timedOut = true;
-      child.kill("SIGTERM");
-      setTimeout(() => child.kill("SIGKILL"), 1000);
+      killProcessTree(child);
+      setTimeout(() => killProcessTree(child, "SIGKILL"), 1000);
     }, timeoutSec * 1000);
 
     child.stdout?.on("data", (d) => (stdout += d.toString()));
@@ -1570,6 +2742,7 @@ function runCommand(
       if (resolved) return;
       resolved = true;
       clearTimeout(timer);
+      unregisterCleanup(cleanupKey);
       void fs.appendFile(logPath, stdout + stderr, "utf8");
       resolve({ exitCode: code, stdout, stderr, timedOut });
     });
@@ -1578,6 +2751,7 @@ function runCommand(
       if (resolved) return;
       resolved = true;
       clearTimeout(timer);
+      unregisterCleanup(cleanupKey);
       const msg = err instanceof Error ? err.message : String(err);
       const combined = `${stderr}${stderr ? "\n" : ""}${msg}`;
       void fs.appendFile(logPath, combined, "utf8");
@@ -1586,6 +2760,15 @@ function runCommand(
   });
 }
 
+function killProcessTree(child, signal = "SIGTERM") {
+  try {
+    if (process.platform === "win32" || !child.pid) child.kill(signal);
+    else process.kill(-child.pid, signal);
+  } catch {
+    // already gone
+  }
+}
+
 function runCommandArray(
   command,
   args,
@@ -1599,6 +2782,9 @@ function runCommandArray(
       shell: false,
       env: { ...process.env, FORCE_COLOR: "0" },
     });
+    // on SIGINT/SIGTERM the child is stopped before the files it reads are restored
+    const cleanupKey = `pid:${child.pid}`;
+    registerCleanup(cleanupKey, () => child.kill("SIGTERM"));
 
     let stdout = "";
     let stderr = "";
@@ -1618,6 +2804,7 @@ function runCommandArray(
       if (resolved) return;
       resolved = true;
       clearTimeout(timer);
+      unregisterCleanup(cleanupKey);
       void fs.appendFile(logPath, stdout + stderr, "utf8");
       resolve({ exitCode: code, stdout, stderr, timedOut });
     });
@@ -1626,6 +2813,7 @@ function runCommandArray(
       if (resolved) return;
       resolved = true;
       clearTimeout(timer);
+      unregisterCleanup(cleanupKey);
       const msg = err instanceof Error ? err.message : String(err);
       const combined = `${stderr}${stderr ? "\n" : ""}${msg}`;
       void fs.appendFile(logPath, combined, "utf8");
@@ -1,22 +1,94 @@
 #!/usr/bin/env python3
+"""Dummy predictor and reference implementation of the predictor protocol.
+
+One-shot mode (no arguments): read {"queries": [...]} from stdin, write {"predictions": [...]}.
+
+Serve mode (--serve): load the model once, then exchange newline-delimited JSON:
+  startup   -> {"type": "hello", "protocol": 1, "model": {"name": ..., "version": ...}}
+  request   <- {"id": 1, "method": "predict" | "health" | "shutdown", "params": {...}}
+  response  -> {"id": 1, "result": {...}}  or  {"id": 1, "error": {"message": ...}}
+predict params are {"queries": [{"id", "query"}], "topk": k}; each prediction is
+{"id", "type", "score", "candidates": [{"type", "score"}, ...]} with candidates best-first.
+Only protocol messages may be written to stdout; diagnostics go to stderr.
+"""
 import sys
 import json
+import time
+
+PROTOCOL_VERSION = 1
+MODEL_NAME = "dummy-any"
+MODEL_VERSION = "0.1.0"
 
 
 def load_model():
     # Dummy placeholder for future real model loading
-    return None
+    return {"name": MODEL_NAME, "version": MODEL_VERSION}
+
 
+# Dummy ranking (log-prob style scores); "any" always wins.
+DUMMY_CANDIDATES = [
+    ("any", 0.0),
+    ("unknown", -1.0),
+    ("object", -2.0),
+    ("string", -3.0),
+    ("number", -4.0),
+]
 
-def predict(model, queries):
-    # Dummy: always return "any"
+
+def predict(model, queries, topk=1):
+    # Dummy: always return "any" as top-1, plus up to topk ranked candidates
     predictions = []
     for q in queries:
-        predictions.append({"id": q.get("id"), "type": "any", "score": 0.0})
+        candidates = [{"type": t, "score": s} for t, s in DUMMY_CANDIDATES[: max(1, topk)]]
+        predictions.append({
+            "id": q.get("id"),
+            "type": candidates[0]["type"],
+            "score": candidates[0]["score"],
+            "candidates": candidates,
+        })
     return predictions
 
 
+def write_message(obj):
+    sys.stdout.write(json.dumps(obj) + "\n")
+    sys.stdout.flush()
+
+
+def handle(model, started_at, method, params):
+    if method == "predict":
+        return {"predictions": predict(model, params.get("queries", []), params.get("topk") or 1)}
+    if method == "health":
+        return {"ok": True, "model": model, "uptimeMs": int((time.time() - started_at) * 1000)}
+    if method == "shutdown":
+        return {"ok": True}
+    raise ValueError(f"unknown method: {method}")
+
+
+def serve():
+    started_at = time.time()
+    model = load_model()
+    write_message({"type": "hello", "protocol": PROTOCOL_VERSION, "model": model})
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        req_id = None
+        try:
+            req = json.loads(line)
+            req_id = req.get("id")
+            method = req.get("method")
+            result = handle(model, started_at, method, req.get("params") or {})
+            write_message({"id": req_id, "result": result})
+            if method == "shutdown":
+                break
+        except Exception as err:  # report per-request failures, keep serving
+            write_message({"id": req_id, "error": {"message": str(err)}})
+
+
 def main():
+    if "--serve" in sys.argv[1:]:
+        serve()
+        return
     data = sys.stdin.read()
     obj = json.loads(data)
     queries = obj.get("queries", [])
@@ -27,4 +99,3 @@ def main():
 
 if __name__ == "__main__":
     main()
-
@@ -0,0 +1,408 @@
+import fs from "node:fs/promises";
+import { existsSync, statSync } from "node:fs";
+import path from "node:path";
+import ts from "typescript";
+
+const RESOLVE_EXTENSIONS = ["", ".js", ".cjs", ".mjs", "/index.js", "/index.cjs", "/index.mjs"];
+
+export async function extractApiSurface(libDir, options = {}) {
+  const pkg = await readPackageJson(libDir);
+  const libName = options.libName ?? pkg?.name ?? path.basename(libDir);
+  const entryPath = resolveEntryPoint(libDir, pkg);
+  if (!entryPath) {
+    throw new Error(`Could not resolve entry point for ${libDir}`);
+  }
+  const exports = await extractModuleExports(entryPath, new Set());
+  return {
+    libName,
+    entry: path.relative(libDir, entryPath).split(path.sep).join("/"),
+    exports,
+  };
+}
+
+async function readPackageJson(libDir) {
+  const pkgPath = path.join(libDir, "package.json");
+  if (!existsSync(pkgPath)) return undefined;
+  return JSON.parse(await fs.readFile(pkgPath, "utf8"));
+}
+
+function resolveEntryPoint(libDir, pkg) {
+  const candidates = [];
+  const rootExport = typeof pkg?.exports === "object" && pkg.exports !== null
+    ? pkg.exports["."] ?? pkg.exports
+    : pkg?.exports;
+  if (typeof rootExport === "string") {
+    candidates.push(rootExport);
+  } else if (rootExport && typeof rootExport === "object") {
+    for (const cond of ["require", "node", "import", "default"]) {
+      if (typeof rootExport[cond] === "string") candidates.push(rootExport[cond]);
+    }
+  }
+  if (pkg?.main) candidates.push(pkg.main);
+  if (pkg?.module) candidates.push(pkg.module);
+  candidates.push("index.js");
+
+  for (const c of candidates) {
+    const resolved = resolveFile(path.resolve(libDir, c));
+    if (resolved) return resolved;
+  }
+  return undefined;
+}
+
+function resolveFile(basePath) {
+  for (const ext of RESOLVE_EXTENSIONS) {
+    const p = basePath + ext;
+    if (existsSync(p) && statSync(p).isFile()) return p;
+  }
+  return undefined;
+}
+
+async function extractModuleExports(filePath, visited) {
+  if (visited.has(filePath)) return [];
+  visited.add(filePath);
+
+  const text = await fs.readFile(filePath, "utf8");
+  const sf = ts.createSourceFile(filePath, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+  const ctx = { sf, locals: collectLocals(sf), prototypes: collectPrototypeMembers(sf) };
+
+  // keyed by export name; later assignments win but keep first-seen order
+  const out = new Map();
+  const add = (entry) => out.set(exportKey(entry), entry);
+
+  for (const stmt of sf.statements) {
+    if (ts.isExpressionStatement(stmt) && isAssignment(stmt.expression)) {
+      const { left, right } = stmt.expression;
+      const named = commonJsExportName(left);
+      if (named) {
+        const entry = describeValue(named, right, ctx);
+        // transpiled ESM (`exports.default = ...`) is the module's default export
+        add(named === "default" ? { ...entry, name: valueName(right) ?? "default", default: true } : entry);
+        continue;
+      }
+      if (isModuleExports(left)) {
+        if (ts.isObjectLiteralExpression(right)) {
+          for (const member of describeObjectMembers(right, ctx)) add(member);
+        } else {
+          add({ ...describeValue(valueName(right) ?? "default", right, ctx), exportEquals: true });
+        }
+      }
+      continue;
+    }
+
+    if (ts.isFunctionDeclaration(stmt) || ts.isClassDeclaration(stmt)) {
+      if (!hasModifier(stmt, ts.SyntaxKind.ExportKeyword)) continue;
+      const isDefault = hasModifier(stmt, ts.SyntaxKind.DefaultKeyword);
+      const name = stmt.name?.text ?? "default";
+      const entry = describeValue(name, stmt, ctx);
+      add(isDefault ? { ...entry, default: true } : entry);
+      continue;
+    }
+
+    if (ts.isVariableStatement(stmt)) {
+      if (!hasModifier(stmt, ts.SyntaxKind.ExportKeyword)) continue;
+      for (const decl of stmt.declarationList.declarations) {
+        if (!ts.isIdentifier(decl.name)) continue;
+        add(describeValue(decl.name.text, decl.initializer, ctx));
+      }
+      continue;
+    }
+
+    if (ts.isExportAssignment(stmt)) {
+      const entry = describeValue(valueName(stmt.expression) ?? "default", stmt.expression, ctx);
+      add(stmt.isExportEquals ? { ...entry, exportEquals: true } : { ...entry, default: true });
+      continue;
+    }
+
+    if (ts.isExportDeclaration(stmt) && !stmt.isTypeOnly) {
+      for (const entry of await describeExportDeclaration(stmt, ctx, filePath, visited)) add(entry);
+    }
+  }
+
+  return Array.from(out.values());
+}
+
+async function describeExportDeclaration(stmt, ctx, filePath, visited) {
+  const specifier = stmt.moduleSpecifier && ts.isStringLiteral(stmt.moduleSpecifier)
+    ? stmt.moduleSpecifier.text
+    : undefined;
+
+  if (!specifier) {
+    if (!stmt.exportClause || !ts.isNamedExports(stmt.exportClause)) return [];
+    return stmt.exportClause.elements.map((el) => {
+      const local = (el.propertyName ?? el.name).text;
+      const exported = el.name.text;
+      const entry = describeValue(exported, ts.factory.createIdentifier(local), ctx);
+      return exported === "default" ? { ...entry, name: local, default: true } : entry;
+    });
+  }
+
+  // Only relative re-exports can be followed; bare specifiers belong to other packages.
+  if (!specifier.startsWith(".")) return [];
+  const target = resolveFile(path.resolve(path.dirname(filePath), specifier));
+  if (!target) return [];
+  const inner = await extractModuleExports(target, visited);
+
+  if (!stmt.exportClause) {
+    return inner.filter((e) => !e.default && !e.exportEquals);
+  }
+  if (ts.isNamespaceExport(stmt.exportClause)) {
+    return [{
+      kind: "object",
+      name: stmt.exportClause.name.text,
+      members: inner.filter((e) => !e.default && !e.exportEquals),
+    }];
+  }
+  const picked = [];
+  for (const el of stmt.exportClause.elements) {
+    const local = (el.propertyName ?? el.name).text;
+    const found = inner.find((e) => (local === "default" ? e.default || e.exportEquals : e.name === local && !e.default));
+    if (!found) continue;
+    const { default: _d, exportEquals: _e, ...rest } = found;
+    picked.push(el.name.text === "default" ? { ...rest, default: true } : { ...rest, name: el.name.text });
+  }
+  return picked;
+}
+
+function describeValue(name, node, ctx, seen = new Set()) {
+  if (!node) return { kind: "const", name };
+
+  if (ts.isParenthesizedExpression(node)) return describeValue(name, node.expression, ctx, seen);
+
+  if (ts.isIdentifier(node)) {
+    const local = ctx.locals.get(node.text);
+    if (!local || seen.has(node.text)) return { kind: "const", name };
+    seen.add(node.text);
+    return describeValue(name, local, ctx, seen);
+  }
+
+  if (ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node)) {
+    const protoMembers = node.name ? ctx.prototypes.get(node.name.text) : undefined;
+    if (protoMembers) {
+      return {
+        kind: "class",
+        name,
+        ctorParams: describeParams(node.parameters, ctx),
+        methods: protoMembers.methods,
+        properties: uniqueProperties([...collectThisAssignments(node.body), ...protoMembers.properties]),
+      };
+    }
+    return { kind: "function", name, params: describeParams(node.parameters, ctx) };
+  }
+
+  if (ts.isClassDeclaration(node) || ts.isClassExpression(node)) {
+    return describeClass(name, node, ctx);
+  }
+
+  if (ts.isObjectLiteralExpression(node)) {
+    return { kind: "object", name, members: describeObjectMembers(node, ctx) };
+  }
+
+  const init = literalText(node, ctx);
+  return init !== undefined ? { kind: "const", name, init } : { kind: "const", name };
+}
+
+function describeObjectMembers(obj, ctx) {
+  const members = [];
+  for (const prop of obj.properties) {
+    if (ts.isShorthandPropertyAssignment(prop)) {
+      members.push(describeValue(prop.name.text, prop.name, ctx));
+    } else if (ts.isPropertyAssignment(prop)) {
+      const key = propertyNameText(prop.name);
+      if (key !== undefined) members.push(describeValue(key, prop.initializer, ctx));
+    } else if (ts.isMethodDeclaration(prop)) {
+      const key = propertyNameText(prop.name);
+      if (key !== undefined) {
+        members.push({ kind: "function", name: key, params: describeParams(prop.parameters, ctx) });
+      }
+    } else if (ts.isGetAccessorDeclaration(prop)) {
+      const key = propertyNameText(prop.name);
+      if (key !== undefined) members.push({ kind: "const", name: key });
+    }
+  }
+  return members;
+}
+
+function describeClass(name, node, ctx) {
+  let ctorParams = [];
+  const methods = [];
+  const properties = [];
+  for (const member of node.members) {
+    const isStatic = hasModifier(member, ts.SyntaxKind.StaticKeyword);
+    if (ts.isConstructorDeclaration(member)) {
+      ctorParams = describeParams(member.parameters, ctx);
+      properties.push(...collectThisAssignments(member.body));
+      continue;
+    }
+    if (!member.name || ts.isPrivateIdentifier(member.name)) continue;
+    const key = propertyNameText(member.name);
+    if (key === undefined) continue;
+    if (ts.isMethodDeclaration(member)) {
+      methods.push(withStatic({ name: key, params: describeParams(member.parameters, ctx) }, isStatic));
+    } else if (ts.isPropertyDeclaration(member) || ts.isGetAccessorDeclaration(member)) {
+      properties.push(withStatic({ name: key }, isStatic));
+    }
+  }
+  return { kind: "class", name, ctorParams, methods, properties: uniqueProperties(properties) };
+}
+
+function withStatic(entry, isStatic) {
+  return isStatic ? { ...entry, static: true } : entry;
+}
+
+function uniqueProperties(props) {
+  const seen = new Set();
+  return props.filter((p) => {
+    const key = `${p.static ? "static:" : ""}${p.name}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function collectThisAssignments(body) {
+  const props = [];
+  if (!body || !ts.isBlock(body)) return props;
+  for (const stmt of body.statements) {
+    if (!ts.isExpressionStatement(stmt) || !isAssignment(stmt.expression)) continue;
+    const left = stmt.expression.left;
+    if (ts.isPropertyAccessExpression(left) && left.expression.kind === ts.SyntaxKind.ThisKeyword) {
+      if (ts.isIdentifier(left.name)) props.push({ name: left.name.text });
+    }
+  }
+  return props;
+}
+
+function describeParams(parameters, ctx) {
+  return parameters
+    .filter((p) => !(ts.isIdentifier(p.name) && p.name.text === "this"))
+    .map((p, idx) => {
+      const name = ts.isIdentifier(p.name) ? p.name.text : `arg${idx}`;
+      const rest = Boolean(p.dotDotDotToken);
+      const def = p.initializer ? p.initializer.getText(ctx.sf) : undefined;
+      if (!rest && def === undefined) return name;
+      const param = { name };
+      if (def !== undefined) param.default = def;
+      if (rest) param.rest = true;
+      return param;
+    });
+}
+
+function collectLocals(sf) {
+  const locals = new Map();
+  for (const stmt of sf.statements) {
+    if ((ts.isFunctionDeclaration(stmt) || ts.isClassDeclaration(stmt)) && stmt.name) {
+      locals.set(stmt.name.text, stmt);
+    } else if (ts.isVariableStatement(stmt)) {
+      for (const decl of stmt.declarationList.declarations) {
+        if (ts.isIdentifier(decl.name) && decl.initializer) locals.set(decl.name.text, decl.initializer);
+      }
+    }
+  }
+  return locals;
+}
+
+// ES5-style classes: `function Foo() {}` + `Foo.prototype.bar = function () {}`.
+function collectPrototypeMembers(sf) {
+  const protos = new Map();
+  const get = (name) => {
+    if (!protos.has(name)) protos.set(name, { methods: [], properties: [] });
+    return protos.get(name);
+  };
+  const addMember = (owner, key, value) => {
+    if (value && (ts.isFunctionExpression(value) || ts.isArrowFunction(value))) {
+      get(owner).methods.push({ name: key, params: describeParams(value.parameters, { sf }) });
+    } else {
+      get(owner).properties.push({ name: key });
+    }
+  };
+  for (const stmt of sf.statements) {
+    if (!ts.isExpressionStatement(stmt) || !isAssignment(stmt.expression)) continue;
+    const { left, right } = stmt.expression;
+    if (!ts.isPropertyAccessExpression(left)) continue;
+    // Foo.prototype = { ... }
+    if (left.name.text === "prototype" && ts.isIdentifier(left.expression) && ts.isObjectLiteralExpression(right)) {
+      for (const prop of right.properties) {
+        if (ts.isPropertyAssignment(prop)) {
+          const key = propertyNameText(prop.name);
+          if (key !== undefined) addMember(left.expression.text, key, prop.initializer);
+        } else if (ts.isMethodDeclaration(prop)) {
+          const key = propertyNameText(prop.name);
+          if (key !== undefined) addMember(left.expression.text, key, prop);
+        }
+      }
+      continue;
+    }
+    // Foo.prototype.bar = ...
+    const owner = left.expression;
+    if (
+      ts.isPropertyAccessExpression(owner) &&
+      owner.name.text === "prototype" &&
+      ts.isIdentifier(owner.expression)
+    ) {
+      addMember(owner.expression.text, left.name.text, right);
+    }
+  }
+  return protos;
+}
+
+function commonJsExportName(left) {
+  // exports.x = ... / module.exports.x = ...
+  if (!ts.isPropertyAccessExpression(left) && !ts.isElementAccessExpression(left)) return undefined;
+  const target = left.expression;
+  const isExportsObject =
+    (ts.isIdentifier(target) && target.text === "exports") || isModuleExports(target);
+  if (!isExportsObject) return undefined;
+  if (ts.isPropertyAccessExpression(left)) return left.name.text;
+  const arg = left.argumentExpression;
+  return ts.isStringLiteral(arg) ? arg.text : undefined;
+}
+
+function isModuleExports(node) {
+  return (
+    ts.isPropertyAccessExpression(node) &&
+    ts.isIdentifier(node.expression) &&
+    node.expression.text === "module" &&
+    node.name.text === "exports"
+  );
+}
+
+function isAssignment(expr) {
+  return ts.isBinaryExpression(expr) && expr.operatorToken.kind === ts.SyntaxKind.EqualsToken;
+}
+
+function valueName(node) {
+  if (ts.isIdentifier(node)) return node.text;
+  if ((ts.isFunctionExpression(node) || ts.isClassExpression(node)) && node.name) return node.name.text;
+  return undefined;
+}
+
+function literalText(node, ctx) {
+  switch (node.kind) {
+    case ts.SyntaxKind.NumericLiteral:
+    case ts.SyntaxKind.StringLiteral:
+    case ts.SyntaxKind.NoSubstitutionTemplateLiteral:
+    case ts.SyntaxKind.TrueKeyword:
+    case ts.SyntaxKind.FalseKeyword:
+    case ts.SyntaxKind.NullKeyword:
+      return node.getText(ctx.sf);
+    case ts.SyntaxKind.PrefixUnaryExpression:
+      return ts.isNumericLiteral(node.operand) ? node.getText(ctx.sf) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function propertyNameText(name) {
+  if (ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name)) return name.text;
+  return undefined;
+}
+
+function hasModifier(node, kind) {
+  const mods = ts.canHaveModifiers(node) ? ts.getModifiers(node) : undefined;
+  return Boolean(mods?.some((m) => m.kind === kind));
+}
+
+function exportKey(entry) {
+  if (entry.default || entry.exportEquals) return "\0default";
+  return entry.name;
+}
@@ -0,0 +1,135 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import ts from "typescript";
+
+// Attributes diagnostics to the libraries of a scenario, so that a run injecting several
+// packages can show which of them still cause errors. A diagnostic belongs to library L when
+//   - its message names the module ("Could not find a declaration file for module 'L'",
+//     "Module '"L"' has no exported member ..."),
+//   - it is located in L's own files or injected declarations (node_modules/L, @types/L), or
+//   - it is located on a consumer line that uses a binding imported from L in that file.
+// A diagnostic may match several libraries (a line mixing two of them) or none.
+export function createAttributor(libraryNames) {
+  const bindingsByFile = new Map();
+  const bindingsFor = (filePath) => {
+    if (!bindingsByFile.has(filePath)) bindingsByFile.set(filePath, readBindings(filePath, libraryNames));
+    return bindingsByFile.get(filePath);
+  };
+
+  return (d) => {
+    const libs = new Set();
+    for (const spec of quotedModules(d.message ?? "")) {
+      const lib = libraryFor(spec, libraryNames);
+      if (lib) libs.add(lib);
+    }
+    if (d.filePath) {
+      const parts = d.filePath.split(path.sep);
+      const nm = parts.lastIndexOf("node_modules");
+      if (nm >= 0) {
+        const rest = parts.slice(nm + 1);
+        const pkg = rest[0] === "@types" ? typesPackageName(rest.slice(1)) : packageName(rest);
+        if (libraryNames.includes(pkg)) libs.add(pkg);
+      } else if (d.line) {
+        const { lines, bindings } = bindingsFor(d.filePath);
+        const text = lines[d.line - 1] ?? "";
+        for (const [lib, names] of bindings) {
+          if ([...names].some((name) => new RegExp(`(^|[^\\w$])${escapeRegExp(name)}($|[^\\w$])`).test(text))) {
+            libs.add(lib);
+          }
+        }
+      }
+    }
+    return [...libs];
+  };
+}
+
+// { errorCount, errorCounts } per library over error-category diagnostics.
+export function summarizeByLibrary(diags, libraryNames, attribute) {
+  const out = Object.fromEntries(libraryNames.map((name) => [name, { errorCount: 0, errorCounts: {} }]));
+  for (const d of diags) {
+    if (d.category !== undefined && d.category !== "error") continue;
+    for (const lib of attribute(d)) {
+      out[lib].errorCount++;
+      out[lib].errorCounts[d.code] = (out[lib].errorCounts[d.code] ?? 0) + 1;
+    }
+  }
+  return out;
+}
+
+function quotedModules(message) {
+  return [...message.matchAll(/module '"?([^'"]+)"?'/gi)].map((m) => m[1]);
+}
+
+// "lib", "lib/sub/path" -> "lib"; "@scope/lib/x" -> "@scope/lib"
+function libraryFor(specifier, libraryNames) {
+  return libraryNames.find((lib) => specifier === lib || specifier.startsWith(`${lib}/`));
+}
+
+function packageName(parts) {
+  return parts[0]?.startsWith("@") ? `${parts[0]}/${parts[1]}` : parts[0];
+}
+
+// @types/scope__lib is the DefinitelyTyped name of @scope/lib; injected scoped packages keep
+// their own @types/@scope/lib path.
+function typesPackageName(parts) {
+  const name = packageName(parts) ?? "";
+  const m = name.match(/^([^@/][^/]*)__(.+)$/);
+  return m ? `@${m[1]}/${m[2]}` : name;
+}
+
+// Local names bound by imports of each library in a consumer file: import declarations
+// (default, named, namespace), `import x = require()` and `const x = require()`.
+function readBindings(filePath, libraryNames) {
+  let text = "";
+  try {
+    text = readFileSync(filePath, "utf8");
+  } catch {
+    return { lines: [], bindings: new Map() };
+  }
+  const bindings = new Map();
+  const add = (spec, name) => {
+    const lib = libraryFor(spec, libraryNames);
+    if (!lib || !name) return;
+    const names = bindings.get(lib) ?? new Set();
+    names.add(name);
+    bindings.set(lib, names);
+  };
+  const sf = ts.createSourceFile(filePath, text, ts.ScriptTarget.Latest, false);
+  const visit = (node) => {
+    if (ts.isImportDeclaration(node) && ts.isStringLiteral(node.moduleSpecifier)) {
+      const spec = node.moduleSpecifier.text;
+      const clause = node.importClause;
+      if (clause?.name) add(spec, clause.name.text);
+      const bound = clause?.namedBindings;
+      if (bound && ts.isNamespaceImport(bound)) add(spec, bound.name.text);
+      if (bound && ts.isNamedImports(bound)) for (const el of bound.elements) add(spec, el.name.text);
+    } else if (
+      ts.isImportEqualsDeclaration(node) &&
+      ts.isExternalModuleReference(node.moduleReference) &&
+      ts.isStringLiteral(node.moduleReference.expression)
+    ) {
+      add(node.moduleReference.expression.text, node.name.text);
+    } else if (
+      ts.isVariableDeclaration(node) &&
+      node.initializer &&
+      ts.isCallExpression(node.initializer) &&
+      ts.isIdentifier(node.initializer.expression) &&
+      node.initializer.expression.text === "require" &&
+      node.initializer.arguments[0] &&
+      ts.isStringLiteral(node.initializer.arguments[0])
+    ) {
+      const spec = node.initializer.arguments[0].text;
+      if (ts.isIdentifier(node.name)) add(spec, node.name.text);
+      else if (ts.isObjectBindingPattern(node.name)) {
+        for (const el of node.name.elements) if (ts.isIdentifier(el.name)) add(spec, el.name.text);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sf);
+  return { lines: text.split(/\r?\n/), bindings };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
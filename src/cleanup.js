@@ -0,0 +1,59 @@
+// Restore actions for in-flight mutations of consumer projects (tsconfig backups, injected
+// .d.ts / tsconfig.injected.json, overlays, running checkers), keyed by the artifact path.
+// Whoever creates an artifact registers its undo *before* making the change; on
+// SIGINT/SIGTERM whatever is still registered is run before the process exits.
+const pending = new Map();
+let interrupted = false;
+
+// Returns the undo wrapped so that it runs at most once and drops its registration; the
+// normal code path and the signal handler may both reach it.
+export function registerCleanup(key, fn) {
+  let result;
+  const run = () => {
+    if (pending.get(key) === run) pending.delete(key);
+    result ??= Promise.resolve().then(fn);
+    return result;
+  };
+  pending.set(key, run);
+  return run;
+}
+
+export function unregisterCleanup(key) {
+  pending.delete(key);
+}
+
+// Runs the registered actions newest-first (a checker is stopped before its inputs are
+// restored, an injection inside an overlay is undone before the overlay goes away), until
+// nothing is left: the interrupted code keeps running meanwhile and may register more.
+// Failures are collected, not thrown.
+export async function runCleanups() {
+  let ran = 0;
+  const failures = [];
+  while (pending.size > 0) {
+    const [key, fn] = [...pending.entries()].at(-1);
+    pending.delete(key);
+    ran++;
+    try {
+      await fn();
+    } catch (err) {
+      failures.push({ key, message: err instanceof Error ? err.message : String(err) });
+    }
+  }
+  return { ran, failures };
+}
+
+export function installSignalHandlers() {
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      // a second Ctrl-C while restoring must not cut the restore short
+      if (interrupted) return;
+      interrupted = true;
+      console.error(`\nReceived ${signal}, restoring modified files...`);
+      void runCleanups().then(({ ran, failures }) => {
+        for (const f of failures) console.error(`  failed to restore ${f.key}: ${f.message}`);
+        console.error(`Restored ${ran - failures.length} of ${ran} pending change(s)`);
+        process.exit(signal === "SIGINT" ? 130 : 143);
+      });
+    });
+  }
+}
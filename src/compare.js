@@ -0,0 +1,152 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { countErrorCodes } from "./diagnostics.js";
+
+// Row-level comparison of two runs for regression checks. A run is any of:
+//   a results file (results.jsonl / results.eval.jsonl),
+//   a run directory holding one (runs/<ts>-harness, -eval, -scenarios, a condition dir),
+//   a repair run directory (results.baseline.jsonl + results.repaired.jsonl),
+//   an experiment directory (<out>/<conditionId>/results.eval.jsonl).
+// Rows are matched by project, scenario, mode and condition.
+const RESULT_FILES = ["results.eval.jsonl", "results.jsonl"];
+const REPAIR_FILES = { baseline: "results.baseline.jsonl", repaired: "results.repaired.jsonl" };
+
+export async function loadRunRows(runPath) {
+  const resolved = path.resolve(runPath);
+  if (!existsSync(resolved)) throw new Error(`Run not found: ${runPath}`);
+  if (!(await fs.stat(resolved)).isDirectory()) return readJsonl(resolved);
+
+  const own = RESULT_FILES.map((f) => path.join(resolved, f)).find((p) => existsSync(p));
+  if (own) return readJsonl(own);
+
+  if (Object.values(REPAIR_FILES).some((f) => existsSync(path.join(resolved, f)))) {
+    const rows = [];
+    for (const [phase, file] of Object.entries(REPAIR_FILES)) {
+      const p = path.join(resolved, file);
+      // the file decides the phase: a repaired row may come from any search iteration
+      if (existsSync(p)) for (const row of await readJsonl(p)) rows.push({ ...row, phase });
+    }
+    return rows;
+  }
+
+  const rows = [];
+  const entries = (await fs.readdir(resolved, { withFileTypes: true })).filter((e) => e.isDirectory());
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const file = path.join(resolved, entry.name, "results.eval.jsonl");
+    if (!existsSync(file)) continue;
+    for (const row of await readJsonl(file)) rows.push({ conditionId: entry.name, ...row });
+  }
+  if (rows.length === 0) throw new Error(`No result files under ${runPath}`);
+  return rows;
+}
+
+async function readJsonl(p) {
+  return (await fs.readFile(p, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l));
+}
+
+// Repair runs tell baseline and repaired rows apart by `phase`, scenario runs by `mode`;
+// experiment rows carry the matrix `conditionId`, the others a fixed `condition`.
+export function rowKey(row) {
+  const project = row.project ? path.resolve(row.project) : "";
+  return [project, row.scenarioId ?? "", row.mode ?? row.phase ?? "", row.conditionId ?? row.condition ?? ""].join(
+    "|",
+  );
+}
+
+export function rowLabel(row) {
+  const subject = row.scenarioId ?? (row.project ? path.relative(process.cwd(), path.resolve(row.project)) || "." : "?");
+  const qualifiers = [row.conditionId ?? row.condition, row.mode ?? row.phase].filter(Boolean);
+  return qualifiers.length ? `${subject} [${qualifiers.join("/")}]` : subject;
+}
+
+// Duration changes below `minDurationMs` or within `durationThreshold` (relative to A) are
+// noise from the machine, not from the change under test, and are not reported.
+export function compareRuns(rowsA, rowsB, options = {}) {
+  const durationThreshold = options.durationThreshold ?? 0.5;
+  const minDurationMs = options.minDurationMs ?? 500;
+  const byKey = (rows) => {
+    const map = new Map();
+    for (const r of rows) map.set(rowKey(r), r); // on duplicate keys the last row wins
+    return map;
+  };
+  const a = byKey(rowsA);
+  const b = byKey(rowsB);
+
+  const regressions = [];
+  const fixes = [];
+  const statusChanges = [];
+  const errorCodeChanges = [];
+  const durationChanges = [];
+  let matched = 0;
+
+  for (const [key, ra] of a) {
+    const rb = b.get(key);
+    if (!rb) continue;
+    matched++;
+    const label = rowLabel(ra);
+    if (ra.status !== rb.status) {
+      const flip = { key, label, from: ra.status, to: rb.status };
+      if (ra.status === "success") regressions.push(flip);
+      else if (rb.status === "success") fixes.push(flip);
+      else statusChanges.push(flip);
+    }
+
+    const codesA = countErrorCodes([ra]);
+    const codesB = countErrorCodes([rb]);
+    const changed = {};
+    for (const code of new Set([...Object.keys(codesA), ...Object.keys(codesB)])) {
+      const delta = (codesB[code] ?? 0) - (codesA[code] ?? 0);
+      if (delta !== 0) changed[code] = delta;
+    }
+    if (Object.keys(changed).length > 0) errorCodeChanges.push({ key, label, changed });
+
+    const da = ra.durationMs ?? 0;
+    const db = rb.durationMs ?? 0;
+    const delta = db - da;
+    if (Math.abs(delta) >= minDurationMs && Math.abs(delta) >= durationThreshold * da) {
+      durationChanges.push({ key, label, a: da, b: db, delta });
+    }
+  }
+
+  return {
+    matched,
+    onlyA: [...a.keys()].filter((k) => !b.has(k)).map((k) => rowLabel(a.get(k))),
+    onlyB: [...b.keys()].filter((k) => !a.has(k)).map((k) => rowLabel(b.get(k))),
+    regressions,
+    fixes,
+    statusChanges,
+    errorCodeChanges,
+    durationChanges: durationChanges.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta)),
+  };
+}
+
+export function formatComparison(cmp) {
+  const lines = [
+    `Matched rows: ${cmp.matched} (only in A: ${cmp.onlyA.length}, only in B: ${cmp.onlyB.length})`,
+    `Regressions (success -> failure): ${cmp.regressions.length}`,
+    `Fixes (failure -> success): ${cmp.fixes.length}`,
+  ];
+  const section = (title, items, fmt) => {
+    if (items.length === 0) return;
+    lines.push("", `${title}:`);
+    for (const item of items) lines.push(`  ${fmt(item)}`);
+  };
+  section("Regressions", cmp.regressions, (f) => `${f.label}: ${f.from} -> ${f.to}`);
+  section("Fixes", cmp.fixes, (f) => `${f.label}: ${f.from} -> ${f.to}`);
+  section("Other status changes", cmp.statusChanges, (f) => `${f.label}: ${f.from} -> ${f.to}`);
+  section("Error code changes", cmp.errorCodeChanges, (c) =>
+    `${c.label}: ${Object.entries(c.changed)
+      .map(([code, n]) => `${code} ${n > 0 ? "+" : ""}${n}`)
+      .join(", ")}`,
+  );
+  section("Duration changes", cmp.durationChanges, (d) =>
+    `${d.label}: ${d.a}ms -> ${d.b}ms (${d.delta > 0 ? "+" : ""}${d.delta}ms)`,
+  );
+  section("Only in A", cmp.onlyA, (label) => label);
+  section("Only in B", cmp.onlyB, (label) => label);
+  return lines.join("\n");
+}
@@ -0,0 +1,47 @@
+// Runs `fn(item, index)` over `items` with at most `limit` calls in flight. Results keep the
+// input order regardless of completion order, so results files stay deterministic.
+// After the first failure no new items are started; in-flight ones finish (and run their
+// cleanup) before the error is rethrown.
+export async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  let next = 0;
+  let failure;
+
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failure ??= { err };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: workers }, worker));
+  if (failure) throw failure.err;
+  return results;
+}
+
+// Serializes tasks that share a key, e.g. a consumer directory whose tsconfig.json and
+// node_modules/@types are rewritten while it is being checked. Different keys run freely.
+export class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async run(key, fn) {
+    const previous = this.tails.get(key) ?? Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => (release = resolve));
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import path from "node:path";
+
+// Parses non-pretty tsc output (what tsc prints when piped):
+//   src/index.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.
+//     Types of property 'foo' are incompatible.        <- indented continuation lines
+//   error TS5023: Unknown compiler option 'foo'.        <- global (no file)
+// Each diagnostic is { filePath?, line?, col?, category, code, message, related, text }, where
+// `related` holds the continuation lines (message chain / related information, trimmed) and
+// `text` the raw first line. Relative file paths are resolved against `cwd`; with an overlay
+// (src/workspace.js) they are mapped back to the original project.
+const LOCATED = /^(.*)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/;
+const GLOBAL = /^(error|warning|message) (TS\d+): (.*)$/;
+
+export function parseDiagnostics(output, cwd, overlay) {
+  const diags = [];
+  if (!output) return diags;
+  // messages may quote paths too (e.g. TS7016 names the resolved .js file)
+  const text = overlay ? output.split(overlay.root).join(overlay.sourceDir) : output;
+  let current;
+  for (const line of text.split(/\r?\n/)) {
+    const located = line.match(LOCATED);
+    const global = located ? undefined : line.match(GLOBAL);
+    if (located) {
+      const resolved = path.isAbsolute(located[1]) ? located[1] : path.resolve(cwd, located[1]);
+      current = {
+        filePath: overlay ? overlay.toSource(resolved) : resolved,
+        line: Number(located[2]),
+        col: Number(located[3]),
+        category: located[4],
+        code: located[5],
+        message: located[6],
+        related: [],
+        text: line,
+      };
+      diags.push(current);
+    } else if (global) {
+      current = { category: global[1], code: global[2], message: global[3], related: [], text: line };
+      diags.push(current);
+    } else if (current && /^\s+\S/.test(line)) {
+      current.related.push(line.trim());
+    } else {
+      current = undefined;
+    }
+  }
+  return diags;
+}
+
+// { errorCount, errorCounts: { TS2322: 2, ... } } over error-category diagnostics.
+export function summarizeDiagnostics(diags) {
+  const errorCounts = {};
+  let errorCount = 0;
+  for (const d of diags) {
+    if (d.category !== "error") continue;
+    errorCount++;
+    errorCounts[d.code] = (errorCounts[d.code] ?? 0) + 1;
+  }
+  return { errorCount, errorCounts };
+}
+
+// Counts every error of every result row; rows without parsed diagnostics (config errors, older
+// results) contribute their first error code.
+export function countErrorCodes(rows) {
+  const counts = {};
+  for (const r of rows) {
+    if (r.errorCounts) {
+      for (const [code, n] of Object.entries(r.errorCounts)) counts[code] = (counts[code] ?? 0) + n;
+    } else if (r.errorCode) {
+      counts[r.errorCode] = (counts[r.errorCode] ?? 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Stable identity of a diagnostic across runs: project-relative file, code and message with
+// the project root and whitespace normalized. Line/column are left out on purpose so that a
+// declaration shifting a few lines does not turn one diagnostic into "resolved + introduced".
+export function fingerprint(d, root) {
+  const file = d.filePath ? path.relative(root, d.filePath).split(path.sep).join("/") : "";
+  return `${file}|${d.code}|${normalizeMessage(d.message ?? "", root)}`;
+}
+
+function normalizeMessage(message, root) {
+  return message.split(root).join("<root>").replace(/\s+/g, " ").trim();
+}
+
+// Multiset diff of two diagnostic lists by fingerprint. Equal fingerprints are paired in
+// line order; unpaired baseline entries were resolved, unpaired predicted ones introduced.
+export function diffDiagnostics(baseline, predicted, root) {
+  const compact = (d) => ({
+    fingerprint: fingerprint(d, root),
+    file: d.filePath ? path.relative(root, d.filePath).split(path.sep).join("/") : undefined,
+    line: d.line,
+    code: d.code,
+    message: d.message,
+  });
+  const byLine = (a, b) => (a.file ?? "").localeCompare(b.file ?? "") || (a.line ?? 0) - (b.line ?? 0);
+  const remaining = new Map();
+  for (const d of [...predicted].map(compact).sort(byLine)) {
+    const list = remaining.get(d.fingerprint) ?? [];
+    list.push(d);
+    remaining.set(d.fingerprint, list);
+  }
+
+  const resolved = [];
+  const persisted = [];
+  for (const d of [...baseline].map(compact).sort(byLine)) {
+    const match = remaining.get(d.fingerprint)?.shift();
+    if (match) persisted.push({ ...d, line: match.line, baselineLine: d.line });
+    else resolved.push(d);
+  }
+  const introduced = [...remaining.values()].flat().sort(byLine);
+  return { resolved, introduced, persisted };
+}
+
+export function countByCode(diags) {
+  const counts = {};
+  for (const d of diags) counts[d.code] = (counts[d.code] ?? 0) + 1;
+  return counts;
+}
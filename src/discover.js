@@ -0,0 +1,95 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+// Scenario discovery: which bare-specifier imports of a consumer fail only for lack of types.
+//   TS7016  Could not find a declaration file for module 'lib'. '.../index.js' implicitly has an 'any' type.
+//   TS2307  Cannot find module 'lib' or its corresponding type declarations.
+// TS2307 also covers packages that are not installed at all; inspectPackage() tells them apart.
+export const UNTYPED_IMPORT_CODES = ["TS7016", "TS2307"];
+
+// Package names (not subpaths) of the bare specifiers named by TS7016/TS2307 diagnostics, sorted.
+export function untypedImports(diagnostics) {
+  const names = new Set();
+  for (const d of diagnostics) {
+    if (!UNTYPED_IMPORT_CODES.includes(d.code)) continue;
+    const m = (d.message ?? "").match(/module '([^']+)'/);
+    if (m && isBareSpecifier(m[1])) names.add(packageNameOf(m[1]));
+  }
+  return [...names].sort();
+}
+
+// "lib", "@scope/lib"; not "./x", "/abs", "#internal", "node:fs" or URLs.
+export function isBareSpecifier(specifier) {
+  return /^(@[^/]+\/)?[^./#@:][^:]*$/.test(specifier);
+}
+
+// "lib/sub/path" -> "lib"; "@scope/lib/x" -> "@scope/lib"
+export function packageNameOf(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+// DefinitelyTyped name: "@scope/lib" -> "@types/scope__lib"
+export function typesPackageNameOf(name) {
+  return `@types/${name.startsWith("@") ? name.slice(1).replace("/", "__") : name}`;
+}
+
+// Where `name` is installed for a consumer, looking in node_modules of the consumer and its
+// parent directories (as Node does, so hoisted workspace installs are found), and whether it
+// needs types:
+//   { status: "untyped", dir, version }
+//   { status: "ships_types", dir, version, types }   package.json types/typings/exports, or index.d.ts
+//   { status: "has_types_package", dir, version, typesDir }
+//   { status: "not_installed" }
+export function inspectPackage(consumerDir, name) {
+  const dir = findInNodeModules(consumerDir, name);
+  if (!dir) return { status: "not_installed" };
+  const pkg = readPackageJson(dir);
+  const version = pkg?.version;
+  const types = declaredTypes(dir, pkg);
+  if (types) return { status: "ships_types", dir, version, types };
+  const typesDir = findInNodeModules(consumerDir, typesPackageNameOf(name));
+  if (typesDir) return { status: "has_types_package", dir, version, typesDir };
+  return { status: "untyped", dir, version };
+}
+
+function findInNodeModules(fromDir, name) {
+  let current = path.resolve(fromDir);
+  for (;;) {
+    const candidate = path.join(current, "node_modules", ...name.split("/"));
+    if (existsSync(path.join(candidate, "package.json"))) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return undefined;
+    current = parent;
+  }
+}
+
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(readFileSync(path.join(dir, "package.json"), "utf8"));
+  } catch {
+    return undefined;
+  }
+}
+
+// The declaration entry a package advertises, or undefined.
+function declaredTypes(dir, pkg) {
+  if (pkg?.types || pkg?.typings) return pkg.types ?? pkg.typings;
+  const fromExports = typesCondition(pkg?.exports);
+  if (fromExports) return fromExports;
+  const main = (pkg?.main ?? "index.js").replace(/\.(c|m)?js$/, "");
+  for (const candidate of [`${main}.d.ts`, path.join(main, "index.d.ts"), "index.d.ts"]) {
+    if (existsSync(path.join(dir, candidate))) return candidate;
+  }
+  return undefined;
+}
+
+function typesCondition(exportsField) {
+  if (!exportsField || typeof exportsField !== "object") return undefined;
+  for (const [key, value] of Object.entries(exportsField)) {
+    if (key === "types" && typeof value === "string") return value;
+    const nested = typesCondition(value);
+    if (nested) return nested;
+  }
+  return undefined;
+}
@@ -1,46 +1,137 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import { buildQueries, ApiSurface, Query } from "./query_builder.js";
+import {
+  buildQueries,
+  formatParam,
+  isDefaultExport,
+  isDeclarableName,
+  displayName,
+  memberName,
+  ApiExport,
+  ApiParam,
+  ApiSurface,
+  Query,
+} from "./query_builder.js";
 import { PythonPredictor } from "./predictor_python.js";
-import { Prediction } from "./predictor.js";
+import { Candidate, ModelInfo, Prediction } from "./predictor.js";
+import { checkTypeString, sanitizeCandidates, writeRejectionReport, Rejection } from "./type_sanitize.js";
 
-export interface GenDtsOptions {
-  apiPath: string;
+export interface GenerateDtsOptions {
   outDir: string;
+  topk?: number;
+  predictionsDir?: string;
+  queriesDir?: string;
+  fallbackType?: string;
+  // a session shared by the caller, left open
+  predictor?: PythonPredictor;
+}
+
+export interface GenDtsOptions extends GenerateDtsOptions {
+  apiPath: string;
+}
+
+export interface PredictionsFile {
+  libName: string;
+  model: ModelInfo;
+  exports: ApiSurface["exports"];
+  slots: { slotId: string; candidates: Candidate[] }[];
 }
 
+export interface DeclLine {
+  text: string;
+  slots: string[];
+}
+
+export type TypeLookup = (slotId: string) => string;
+
 export interface GenDtsResult {
   libName: string;
   generatedDtsPath: string;
   queriesPath: string;
+  predictionsPath: string;
+  slots: number;
+  rejections: Rejection[];
+  rejectionsPath?: string;
+  model: ModelInfo;
 }
 
 export async function genDts(options: GenDtsOptions): Promise<GenDtsResult> {
   const surface = await readApiSurface(options.apiPath);
+  return generateDtsFromSurface(surface, options);
+}
+
+// Queries, predictions and the top-1 declaration file for an API surface:
+//   <outDir>/<lib>/index.d.ts, <predictionsDir>/<lib>.json, <queriesDir>/<lib>.jsonl
+// A caller that generates for several libraries can pass its own `predictor` session, which is
+// then left open.
+export async function generateDtsFromSurface(
+  surface: ApiSurface,
+  options: GenerateDtsOptions,
+): Promise<GenDtsResult> {
   const queries = buildQueries(surface);
-  const queriesDir = path.resolve(process.cwd(), "generated-queries");
-  await fs.mkdir(queriesDir, { recursive: true });
+  const queriesDir = path.resolve(options.queriesDir ?? path.join(process.cwd(), "generated-queries"));
   const queriesPath = path.join(queriesDir, `${surface.libName}.jsonl`);
+  await fs.mkdir(path.dirname(queriesPath), { recursive: true });
   await writeJsonl(queriesPath, queries);
 
-  const predictor = new PythonPredictor();
-  const predictions = await predictor.predict(
-    queries.map((q) => ({ id: q.id, query: q.query })),
-  );
+  const topk = options.topk ?? 5;
+  const predictor = options.predictor ?? new PythonPredictor();
+  let model: ModelInfo;
+  let rawPredictions: Prediction[];
+  try {
+    model = await predictor.modelInfo();
+    rawPredictions = await predictor.predict(
+      queries.map((q) => ({ id: q.id, query: q.query })),
+      { topk },
+    );
+  } finally {
+    if (!options.predictor) await predictor.close();
+  }
+  const { predictions, rejections } = sanitizePredictorOutput(rawPredictions, options.fallbackType);
 
   const outDir = path.resolve(options.outDir, surface.libName);
   await fs.mkdir(outDir, { recursive: true });
   const outPath = path.join(outDir, "index.d.ts");
   const content = buildDts(surface, queries, predictions);
   await fs.writeFile(outPath, content, "utf8");
+  const rejectionsPath = await writeRejectionReport(outPath, rejections);
+
+  // Top-k candidates per slot, in the shape the repair loop reads (predictions/<lib>.json).
+  const predictionsDir = path.resolve(options.predictionsDir ?? path.join(process.cwd(), "predictions"));
+  const predictionsPath = path.join(predictionsDir, `${surface.libName}.json`);
+  await fs.mkdir(path.dirname(predictionsPath), { recursive: true });
+  const predictionsFile = buildPredictionsFile(surface, queries, predictions, model, topk);
+  await fs.writeFile(predictionsPath, JSON.stringify(predictionsFile, null, 2) + "\n", "utf8");
 
   return {
     libName: surface.libName,
     generatedDtsPath: outPath,
     queriesPath,
+    predictionsPath,
+    slots: queries.length,
+    rejections,
+    rejectionsPath,
+    model,
   };
 }
 
+// Invalid candidates are dropped (the next valid one becomes top-1) or, when a slot has none
+// left, replaced by the fallback type.
+function sanitizePredictorOutput(
+  predictions: Prediction[],
+  fallbackType?: string,
+): { predictions: Prediction[]; rejections: Rejection[] } {
+  const rejections: Rejection[] = [];
+  const sanitized = predictions.map((p) => {
+    const raw: Candidate[] = p.candidates ?? (p.type ? [{ type: p.type, score: p.score ?? 0 }] : []);
+    const { candidates, rejections: rejected } = sanitizeCandidates(p.id, raw, fallbackType);
+    rejections.push(...rejected);
+    const top = checkTypeString(p.type);
+    return { ...p, type: top.ok ? top.type : candidates[0]?.type, candidates };
+  });
+  return { predictions: sanitized, rejections };
+}
+
 async function readApiSurface(apiPath: string): Promise<ApiSurface> {
   const raw = await fs.readFile(path.resolve(apiPath), "utf8");
   return JSON.parse(raw) as ApiSurface;
@@ -55,23 +146,157 @@ function findType(predictions: Prediction[], id: string): string | undefined {
   return predictions.find((p) => p.id === id)?.type;
 }
 
+function buildPredictionsFile(
+  surface: ApiSurface,
+  queries: Query[],
+  predictions: Prediction[],
+  model: ModelInfo,
+  topk: number,
+): PredictionsFile {
+  const slots = queries.map((q) => {
+    const p = predictions.find((x) => x.id === q.id);
+    const raw: Candidate[] = p?.candidates ?? (p?.type ? [{ type: p.type, score: p.score ?? 0 }] : []);
+    // best-first, one entry per type
+    const seen = new Set<string>();
+    const candidates = raw
+      .filter((c) => c && typeof c.type === "string" && c.type.trim())
+      .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+      .filter((c) => (seen.has(c.type) ? false : (seen.add(c.type), true)))
+      .slice(0, topk)
+      .map((c) => ({ type: c.type, score: c.score ?? 0 }));
+    return { slotId: q.id, candidates };
+  });
+  return { libName: surface.libName, model, exports: surface.exports, slots };
+}
+
 function buildDts(surface: ApiSurface, queries: Query[], predictions: Prediction[]): string {
   const lines: string[] = [];
   lines.push(`declare module "${surface.libName}" {`);
-  for (const item of surface.exports) {
-    if (item.kind !== "function") continue;
-    const params = item.params.map((p, idx) => {
-      const t =
-        findType(predictions, `${item.name}:param:${idx}`) ??
-        "any";
-      return `${p}: ${t}`;
-    });
-    const ret =
-      findType(predictions, `${item.name}:return`) ??
-      "any";
-    lines.push(`  export function ${item.name}(${params.join(", ")}): ${ret};`);
+  for (const decl of renderDeclarations(surface, (id) => findType(predictions, id) ?? "any")) {
+    lines.push(decl.text);
   }
   lines.push("}");
   return lines.join("\n") + "\n";
 }
 
+// Renders the body of `declare module "<lib>" { ... }` as lines. Each line carries the slot ids
+// whose types appear on it (see query_builder.js for the slot-id scheme), so callers can map
+// diagnostics back to slots.
+export function renderDeclarations(surface: ApiSurface, typeFor: TypeLookup): DeclLine[] {
+  const out: DeclLine[] = [];
+  const named = surface.exports.filter((e) => !isDefaultExport(e) && isDeclarableName(e.name));
+  const def = surface.exports.find((e) => isDefaultExport(e));
+
+  if (def?.exportEquals) {
+    // `export =` forbids sibling exports; they are merged into the exported value instead.
+    const name = displayName(def);
+    const members = named.flatMap((e) => renderExport(e, e.name, e.name, typeFor, INDENT + INDENT, "export "));
+    if (named.length > 0 && def.kind === "const") {
+      // a const cannot merge with a namespace that holds values, so its type is intersected with one
+      const ns = `${name}_exports`;
+      out.push({ text: `${INDENT}namespace ${ns} {`, slots: [] }, ...members, { text: `${INDENT}}`, slots: [] });
+      out.push({
+        text: `${INDENT}const ${name}: (${typeFor("default:value")}) & typeof ${ns};`,
+        slots: ["default:value"],
+      });
+    } else {
+      out.push(...renderExport(def, "default", name, typeFor, INDENT, ""));
+    }
+    if (named.length > 0 && (def.kind === "function" || def.kind === "class" || def.kind === "object")) {
+      if (def.kind === "object") {
+        // the object is already a namespace; append the members to it
+        out.splice(out.length - 1, 0, ...members);
+      } else {
+        out.push({ text: `${INDENT}namespace ${name} {`, slots: [] }, ...members, { text: `${INDENT}}`, slots: [] });
+      }
+    }
+    out.push({ text: `${INDENT}export = ${name};`, slots: [] });
+    return out;
+  }
+
+  for (const item of named) {
+    out.push(...renderExport(item, item.name, item.name, typeFor, INDENT, "export "));
+  }
+  if (def) {
+    const name = displayName(def);
+    if (def.kind === "function" || def.kind === "class") {
+      out.push(...renderExport(def, "default", name, typeFor, INDENT, "export default "));
+    } else {
+      out.push(...renderExport(def, "default", name, typeFor, INDENT, ""));
+      out.push({ text: `${INDENT}export default ${name};`, slots: [] });
+    }
+  }
+  return out;
+}
+
+const INDENT = "  ";
+
+function renderExport(
+  item: ApiExport,
+  owner: string,
+  name: string,
+  typeFor: TypeLookup,
+  indent: string,
+  prefix: string,
+): DeclLine[] {
+  if (item.kind === "function") {
+    const sig = renderSignature(owner, item.params ?? [], typeFor);
+    return [{
+      text: `${indent}${prefix}function ${name}(${sig.params}): ${typeFor(`${owner}:return`)};`,
+      slots: [`${owner}:return`, ...sig.slots],
+    }];
+  }
+
+  if (item.kind === "const") {
+    return [{ text: `${indent}${prefix}const ${name}: ${typeFor(`${owner}:value`)};`, slots: [`${owner}:value`] }];
+  }
+
+  if (item.kind === "class") {
+    const lines: DeclLine[] = [{ text: `${indent}${prefix}class ${name} {`, slots: [] }];
+    const inner = indent + INDENT;
+    if ((item.ctorParams ?? []).length > 0) {
+      const sig = renderSignature(`${owner}:ctor`, item.ctorParams ?? [], typeFor);
+      lines.push({ text: `${inner}constructor(${sig.params});`, slots: sig.slots });
+    }
+    for (const m of item.methods ?? []) {
+      const slotPrefix = `${owner}:${m.static ? "staticMethod" : "method"}:${m.name}`;
+      const sig = renderSignature(slotPrefix, m.params ?? [], typeFor);
+      lines.push({
+        text: `${inner}${m.static ? "static " : ""}${memberName(m.name)}(${sig.params}): ${typeFor(`${slotPrefix}:return`)};`,
+        slots: [`${slotPrefix}:return`, ...sig.slots],
+      });
+    }
+    for (const p of item.properties ?? []) {
+      const slotId = `${owner}:${p.static ? "staticProp" : "prop"}:${p.name}`;
+      lines.push({ text: `${inner}${p.static ? "static " : ""}${memberName(p.name)}: ${typeFor(slotId)};`, slots: [slotId] });
+    }
+    lines.push({ text: `${indent}}`, slots: [] });
+    return lines;
+  }
+
+  if (item.kind === "object") {
+    const lines: DeclLine[] = [{ text: `${indent}${prefix}namespace ${name} {`, slots: [] }];
+    for (const member of item.members ?? []) {
+      if (!isDeclarableName(member.name)) continue;
+      lines.push(...renderExport(member, `${owner}.${member.name}`, member.name, typeFor, indent + INDENT, "export "));
+    }
+    lines.push({ text: `${indent}}`, slots: [] });
+    return lines;
+  }
+
+  return [];
+}
+
+function renderSignature(
+  prefix: string,
+  params: ApiParam[],
+  typeFor: TypeLookup,
+): { params: string; slots: string[] } {
+  const slots: string[] = [];
+  const rendered = params.map((p, idx, all) => {
+    const slotId = `${prefix}:param:${idx}`;
+    slots.push(slotId);
+    return `${formatParam(p, idx, all)}: ${typeFor(slotId)}`;
+  });
+  return { params: rendered.join(", "), slots };
+}
@@ -0,0 +1,409 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { countErrorCodes } from "./diagnostics.js";
+
+// Renders an experiment output directory (aggregate.json + <conditionId>/results.eval.jsonl,
+// summary.json) as one self-contained Markdown or HTML file: no scripts, styles
+// or images are fetched, charts are inline SVG (data: URIs in Markdown), and log links are
+// relative to the report so the directory can be copied or opened offline.
+
+const PALETTE = ["#4e79a7", "#f28e2b", "#59a14f", "#e15759", "#76b7b2", "#edc948", "#b07aa1", "#9c755f"];
+const MAX_CHART_CODES = 10;
+
+export async function loadExperiment(expDir) {
+  const aggregatePath = path.join(expDir, "aggregate.json");
+  if (!existsSync(aggregatePath)) {
+    throw new Error(`${aggregatePath} not found (run the experiment first)`);
+  }
+  const aggregate = JSON.parse(await fs.readFile(aggregatePath, "utf8"));
+  const conditions = [];
+  for (const entry of aggregate.conditions ?? []) {
+    const dir = path.join(expDir, entry.conditionId);
+    const summaryPath = path.join(dir, "summary.json");
+    const rows = await readJsonlOrEmpty(path.join(dir, "results.eval.jsonl"));
+    for (const r of rows) r.logFile = resolveLogFile(r, dir);
+    conditions.push({
+      ...entry,
+      summary: existsSync(summaryPath) ? JSON.parse(await fs.readFile(summaryPath, "utf8")) : {},
+      rows,
+    });
+  }
+  const scenarioIds = [...new Set(conditions.flatMap((c) => c.rows.map((r) => r.scenarioId)))].sort();
+  return { expDir, aggregate, conditions, scenarioIds };
+}
+
+// `logPath` is recorded relative to the cwd of the run; fall back to the condition's own
+// logs/ directory when the report is generated from elsewhere or the tree was moved.
+function resolveLogFile(row, conditionDir) {
+  if (!row.logPath) return undefined;
+  const recorded = path.resolve(row.logPath);
+  if (existsSync(recorded)) return recorded;
+  const local = path.join(conditionDir, "logs", path.basename(row.logPath));
+  return existsSync(local) ? local : undefined;
+}
+
+async function readJsonlOrEmpty(p) {
+  if (!existsSync(p)) return [];
+  return (await fs.readFile(p, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l));
+}
+
+// Report data shared by both renderers. `baseDir` is where the report is written; links are
+// made relative to it.
+function buildModel(exp, baseDir) {
+  const link = (file) => (file ? path.relative(baseDir, file).split(path.sep).join("/") : undefined);
+  const conditions = exp.conditions.map((c) => {
+    const predicted = c.rows.filter((r) => r.mode === "predicted");
+    return {
+      id: c.conditionId,
+      mode: c.mode ?? c.summary.condition?.mode ?? "",
+      passed: c.passed ?? predicted.filter((r) => r.status === "success").length,
+      total: c.total ?? predicted.length,
+      successRate: c.success_rate ?? 0,
+      ci: c.success_rate_ci,
+      baselineRate: c.summary.metrics?.baseline_success_rate,
+      errorTotal: c.error_total,
+      errorCounts: countErrorCodes(predicted),
+      outcomes: c.summary.diagnostic_diff?.outcomes,
+      cells: new Map(
+        exp.scenarioIds.map((id) => {
+          const rowFor = (mode) => c.rows.find((r) => r.scenarioId === id && r.mode === mode);
+          const p = rowFor("predicted");
+          const b = rowFor("baseline");
+          return [
+            id,
+            p && {
+              status: p.status,
+              errorCode: p.errorCode,
+              errorCount: p.errorCount,
+              log: link(p.logFile),
+              baselineLog: link(b?.logFile),
+            },
+          ];
+        }),
+      ),
+    };
+  });
+
+  const totals = {};
+  for (const c of conditions) {
+    for (const [code, n] of Object.entries(c.errorCounts)) totals[code] = (totals[code] ?? 0) + n;
+  }
+  const codes = Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+
+  return {
+    title: `Experiment report: ${path.basename(path.resolve(exp.expDir))}`,
+    conditions,
+    scenarioIds: exp.scenarioIds,
+    codes,
+    comparisons: exp.aggregate.comparisons ?? [],
+    reference: exp.aggregate.reference,
+    confidence: exp.aggregate.confidence,
+    wallTimeMs: exp.aggregate.wall_time_ms,
+  };
+}
+
+export function renderMarkdown(exp, options = {}) {
+  const m = buildModel(exp, options.baseDir ?? exp.expDir);
+  const out = [`# ${m.title}`, ""];
+  if (m.reference) out.push(`Reference condition: \`${m.reference}\``, "");
+  out.push(`Scenarios: ${m.scenarioIds.length}, conditions: ${m.conditions.length}`, "");
+
+  out.push("## Success rate by condition", "");
+  out.push(`![success rate](${svgDataUri(successChart(m))})`, "");
+  out.push(mdTable(successHeader(m), m.conditions.map((c) => successCells(c))), "");
+
+  if (m.comparisons.length > 0) {
+    out.push("## Paired comparisons", "");
+    out.push(mdTable(comparisonHeader(m), m.comparisons.map(comparisonCells)), "");
+  }
+
+  out.push("## Scenario × condition", "");
+  out.push(
+    mdTable(
+      ["scenario", ...m.conditions.map((c) => c.id)],
+      m.scenarioIds.map((id) => [
+        mdCode(id),
+        ...m.conditions.map((c) => {
+          const cell = c.cells.get(id);
+          if (!cell) return "–";
+          const status = cell.log ? `[${cellLabel(cell)}](${encodeLink(cell.log)})` : cellLabel(cell);
+          const base = cell.baselineLog ? ` ([baseline](${encodeLink(cell.baselineLog)}))` : "";
+          return status + base;
+        }),
+      ]),
+    ),
+    "",
+  );
+
+  out.push("## Error codes (predicted)", "");
+  if (m.codes.length === 0) {
+    out.push("No errors.", "");
+  } else {
+    out.push(`![error codes](${svgDataUri(errorCodeChart(m))})`, "");
+    out.push(
+      mdTable(
+        ["code", ...m.conditions.map((c) => c.id)],
+        m.codes.map((code) => [code, ...m.conditions.map((c) => String(c.errorCounts[code] ?? 0))]),
+      ),
+      "",
+    );
+  }
+
+  if (m.conditions.some((c) => c.outcomes)) {
+    out.push("## Diagnostic diff outcomes", "");
+    out.push(mdTable(["condition", ...OUTCOMES], m.conditions.map((c) => [c.id, ...outcomeCells(c)])), "");
+  }
+  return out.join("\n");
+}
+
+export function renderHtml(exp, options = {}) {
+  const m = buildModel(exp, options.baseDir ?? exp.expDir);
+  const body = [`<h1>${esc(m.title)}</h1>`];
+  const meta = [`Scenarios: ${m.scenarioIds.length}`, `conditions: ${m.conditions.length}`];
+  if (m.reference) meta.push(`reference: ${m.reference}`);
+  if (m.wallTimeMs !== undefined) meta.push(`predicted wall time: ${(m.wallTimeMs / 1000).toFixed(1)}s`);
+  body.push(`<p class="meta">${esc(meta.join(", "))}</p>`);
+
+  body.push("<h2>Success rate by condition</h2>", successChart(m));
+  body.push(htmlTable(successHeader(m), m.conditions.map((c) => successCells(c).map(esc))));
+
+  if (m.comparisons.length > 0) {
+    body.push("<h2>Paired comparisons</h2>");
+    body.push(htmlTable(comparisonHeader(m), m.comparisons.map((cmp) => comparisonCells(cmp).map(esc))));
+  }
+
+  body.push("<h2>Scenario × condition</h2>");
+  body.push(
+    htmlTable(
+      ["scenario", ...m.conditions.map((c) => c.id)],
+      m.scenarioIds.map((id) => [
+        `<code>${esc(id)}</code>`,
+        ...m.conditions.map((c) => {
+          const cell = c.cells.get(id);
+          if (!cell) return "–";
+          const label = esc(cellLabel(cell));
+          const status = cell.log ? `<a href="${esc(encodeLink(cell.log))}">${label}</a>` : label;
+          const base = cell.baselineLog
+            ? ` <a class="baseline" href="${esc(encodeLink(cell.baselineLog))}">baseline</a>`
+            : "";
+          return `<span class="${cell.status === "success" ? "pass" : "fail"}">${status}</span>${base}`;
+        }),
+      ]),
+    ),
+  );
+
+  body.push("<h2>Error codes (predicted)</h2>");
+  if (m.codes.length === 0) {
+    body.push("<p>No errors.</p>");
+  } else {
+    body.push(errorCodeChart(m));
+    body.push(
+      htmlTable(
+        ["code", ...m.conditions.map((c) => c.id)],
+        m.codes.map((code) => [esc(code), ...m.conditions.map((c) => String(c.errorCounts[code] ?? 0))]),
+      ),
+    );
+  }
+
+  if (m.conditions.some((c) => c.outcomes)) {
+    body.push("<h2>Diagnostic diff outcomes</h2>");
+    body.push(htmlTable(["condition", ...OUTCOMES], m.conditions.map((c) => [esc(c.id), ...outcomeCells(c)])));
+  }
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${esc(m.title)}</title>`,
+    `<style>${STYLE}</style>`,
+    "</head>",
+    "<body>",
+    ...body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+const STYLE = [
+  "body{font-family:system-ui,sans-serif;margin:2em;color:#222}",
+  "table{border-collapse:collapse;margin:1em 0}",
+  "th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}",
+  "th{background:#f4f4f4}",
+  ".meta{color:#666}",
+  ".pass a,.pass{color:#2e7d32}",
+  ".fail a,.fail{color:#c62828}",
+  "a.baseline{color:#666;font-size:85%}",
+].join("");
+
+const OUTCOMES = ["clean_win", "mixed", "regression", "unchanged"];
+
+function outcomeCells(c) {
+  return OUTCOMES.map((o) => String(c.outcomes?.[o] ?? 0));
+}
+
+function successHeader(m) {
+  const ciLabel = m.confidence ? `${Math.round(m.confidence * 100)}% CI` : "CI";
+  return ["condition", "mode", "passed / total", "success rate", ciLabel, "baseline rate", "errors"];
+}
+
+function successCells(c) {
+  return [
+    c.id,
+    c.mode,
+    `${c.passed} / ${c.total}`,
+    pct(c.successRate),
+    c.ci ? `${pct(c.ci[0])} – ${pct(c.ci[1])}` : "–",
+    c.baselineRate === undefined ? "–" : pct(c.baselineRate),
+    c.errorTotal === undefined ? "–" : String(c.errorTotal),
+  ];
+}
+
+function comparisonHeader(m) {
+  const ciLabel = m.confidence ? `${Math.round(m.confidence * 100)}% CI` : "CI";
+  return ["a", "b", "n", "delta (b - a)", ciLabel, "only a / only b", "McNemar p", "Cohen's h"];
+}
+
+function comparisonCells(cmp) {
+  return [
+    cmp.a,
+    cmp.b,
+    String(cmp.n),
+    signedPct(cmp.delta),
+    cmp.delta_ci ? `${signedPct(cmp.delta_ci[0])} – ${signedPct(cmp.delta_ci[1])}` : "–",
+    `${cmp.mcnemar.only_a} / ${cmp.mcnemar.only_b}`,
+    fmt(cmp.mcnemar.p_value, 4),
+    fmt(cmp.effect_size.cohens_h, 3),
+  ];
+}
+
+function cellLabel(cell) {
+  if (cell.status === "success") return "success";
+  const detail = cell.errorCode ? ` ${cell.errorCode}` : "";
+  const more = cell.errorCount > 1 ? ` (${cell.errorCount} errors)` : "";
+  return `${cell.status}${detail}${more}`;
+}
+
+// Horizontal bars of the success rate per condition, with the bootstrap interval as a whisker.
+function successChart(m) {
+  const rowH = 28;
+  const labelW = 120;
+  const barW = 360;
+  const height = m.conditions.length * rowH + 30;
+  const x = (rate) => labelW + rate * barW;
+  const parts = [];
+  m.conditions.forEach((c, i) => {
+    const y = 10 + i * rowH;
+    const color = PALETTE[i % PALETTE.length];
+    parts.push(svgText(labelW - 8, y + 15, c.id, "end"));
+    parts.push(`<rect x="${labelW}" y="${y}" width="${num(c.successRate * barW)}" height="20" fill="${color}"/>`);
+    if (c.ci && Number.isFinite(c.ci[0]) && Number.isFinite(c.ci[1])) {
+      const [lo, hi] = [x(c.ci[0]), x(c.ci[1])];
+      parts.push(
+        `<path d="M${num(lo)} ${y + 10}H${num(hi)}M${num(lo)} ${y + 4}V${y + 16}M${num(hi)} ${y + 4}V${y + 16}" stroke="#222" fill="none"/>`,
+      );
+    }
+    parts.push(svgText(x(1) + 8, y + 15, pct(c.successRate)));
+  });
+  const axisY = m.conditions.length * rowH + 12;
+  for (const t of [0, 0.5, 1]) {
+    parts.push(`<line x1="${x(t)}" y1="6" x2="${x(t)}" y2="${axisY}" stroke="#ccc"/>`);
+    parts.push(svgText(x(t), axisY + 14, pct(t), "middle"));
+  }
+  return svg(labelW + barW + 70, height, parts);
+}
+
+// Grouped horizontal bars: one group per error code (most frequent first), one bar per condition.
+function errorCodeChart(m) {
+  const codes = m.codes.slice(0, MAX_CHART_CODES);
+  const barH = 12;
+  const groupH = m.conditions.length * barH + 10;
+  const labelW = 80;
+  const barW = 360;
+  const max = Math.max(1, ...codes.flatMap((code) => m.conditions.map((c) => c.errorCounts[code] ?? 0)));
+  const legendY = codes.length * groupH + 16;
+  const parts = [];
+  codes.forEach((code, gi) => {
+    const y0 = 6 + gi * groupH;
+    parts.push(svgText(labelW - 8, y0 + (m.conditions.length * barH) / 2 + 4, code, "end"));
+    m.conditions.forEach((c, ci) => {
+      const n = c.errorCounts[code] ?? 0;
+      const y = y0 + ci * barH;
+      const w = (n / max) * barW;
+      parts.push(
+        `<rect x="${labelW}" y="${y}" width="${num(w)}" height="${barH - 2}" fill="${PALETTE[ci % PALETTE.length]}"/>`,
+      );
+      if (n > 0) parts.push(svgText(labelW + w + 4, y + barH - 3, String(n)));
+    });
+  });
+  m.conditions.forEach((c, ci) => {
+    const lx = labelW + ci * 90;
+    parts.push(`<rect x="${lx}" y="${legendY - 9}" width="10" height="10" fill="${PALETTE[ci % PALETTE.length]}"/>`);
+    parts.push(svgText(lx + 14, legendY, c.id));
+  });
+  return svg(labelW + barW + 50, legendY + 10, parts);
+}
+
+function svg(width, height, parts) {
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+    `font-family="sans-serif" font-size="12">${parts.join("")}</svg>`
+  );
+}
+
+function svgText(x, y, text, anchor = "start") {
+  return `<text x="${num(x)}" y="${num(y)}" text-anchor="${anchor}">${esc(text)}</text>`;
+}
+
+function svgDataUri(markup) {
+  return `data:image/svg+xml;base64,${Buffer.from(markup, "utf8").toString("base64")}`;
+}
+
+function mdTable(header, rows) {
+  const line = (cells) => `| ${cells.map((c) => String(c).replace(/\|/g, "\\|")).join(" | ")} |`;
+  return [line(header), line(header.map(() => "---")), ...rows.map(line)].join("\n");
+}
+
+// cells are already-escaped HTML
+function htmlTable(header, rows) {
+  const head = `<tr>${header.map((h) => `<th>${esc(h)}</th>`).join("")}</tr>`;
+  const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`);
+  return `<table>\n${[head, ...body].join("\n")}\n</table>`;
+}
+
+function mdCode(s) {
+  return `\`${s}\``;
+}
+
+function encodeLink(p) {
+  return p.split("/").map(encodeURIComponent).join("/");
+}
+
+function esc(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function pct(x) {
+  return Number.isFinite(x) ? `${(x * 100).toFixed(1)}%` : "–";
+}
+
+function signedPct(x) {
+  return Number.isFinite(x) ? `${x > 0 ? "+" : ""}${(x * 100).toFixed(1)}%` : "–";
+}
+
+function fmt(x, digits) {
+  return Number.isFinite(x) ? x.toFixed(digits) : "–";
+}
+
+function num(x) {
+  return Number(x.toFixed(1));
+}
@@ -0,0 +1,270 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import ts from "typescript";
+import { registerCleanup } from "./cleanup.js";
+import { typesPackageNameOf } from "./discover.js";
+import { importedLibraries, injectedConfigPath, loadProjectGraph, writeBuildConfigs } from "./project_refs.js";
+import { readTsconfig } from "./tsconfig.js";
+
+// Ways of making a consumer see the injected declaration files of its libraries. The predicted
+// files are ambient (`declare module "lib" { ... }`); every strategy should give the same
+// diagnostics, which an `injection` matrix axis lets an experiment check.
+//   types-package  node_modules/@types/<lib>/index.d.ts (picked up as an automatic type package)
+//   paths          tsconfig.injected.json mapping <lib> and <lib>/* to the file via `paths`
+//   type-roots     .injected-types/<lib>/index.d.ts, added to `typeRoots` (and `types`, if set)
+//   ambient        tsconfig.injected.json listing the files themselves in `files`, next to
+//                  the project's own root files
+//   reference      injected-types.reference.d.ts with a `/// <reference path>` per file, added
+//                  to `files` the same way
+//   package-types  <lib>/index.injected.d.ts (unwrapped to a module) as the `types` of the
+//                  library's own package.json; resolutions through `exports` do not read it
+// Strategies that write tsconfig.injected.json return it as `project`, to be passed to tsc -p.
+//
+// With `build`, the consumer is the project graph of its entry tsconfig (src/project_refs.js):
+// every referenced project that imports one of the libraries gets the injection (its own
+// .injected-types / reference file / tsconfig additions, the package.json of the library it
+// resolves), and `project` is the generated entry config for tsc -b. @types packages go into
+// the consumer's node_modules, which every project below it resolves from.
+export const INJECTION_STRATEGIES = ["types-package", "paths", "type-roots", "ambient", "reference", "package-types"];
+
+export const INJECTED_TSCONFIG = "tsconfig.injected.json";
+export const INJECTED_TYPE_ROOT = ".injected-types";
+export const REFERENCE_FILE = "injected-types.reference.d.ts";
+export const PACKAGE_TYPES_FILE = "index.injected.d.ts";
+export const PACKAGE_JSON_BACKUP = "package.json.bak_inject";
+
+export function validateInjectionStrategy(name, where) {
+  if (!INJECTION_STRATEGIES.includes(name)) {
+    throw new Error(`${where}: unknown injection strategy "${name}" (${INJECTION_STRATEGIES.join(", ")})`);
+  }
+  return name;
+}
+
+// Injects `libraries` ([{ name, dtsPath }]) into the consumer at workDir. `overlay` (when the
+// consumer is an overlay) gets node_modules paths detached before they are written; `tsconfig`
+// is the entry config relative to workDir; `build` injects into the project graph (see above),
+// with `compilerOptions` written into every generated config.
+// Returns { strategy, project?, projects, restore }: `projects` maps each injected tsconfig
+// path to the names of its libraries; restore undoes every change, newest first.
+export async function injectDeclarations(strategy, workDir, libraries, options = {}) {
+  validateInjectionStrategy(strategy, "injection");
+  const { overlay, tsconfig = "tsconfig.json", build = false, compilerOptions } = options;
+  const undo = [];
+  const track = (artifact, fn) => undo.unshift(registerCleanup(artifact, fn));
+  const restore = async () => {
+    for (const fn of undo) await fn();
+  };
+  try {
+    const entry = path.resolve(workDir, tsconfig);
+    const graph = build ? loadProjectGraph(entry) : undefined;
+    const names = libraries.map((lib) => lib.name);
+    const targets = graph
+      ? graph
+          .map((project) => {
+            const imported = importedLibraries(project, names);
+            return { project, libraries: libraries.filter((lib) => imported.includes(lib.name)) };
+          })
+          .filter((t) => t.libraries.length > 0)
+      : [{ project: { tsconfigPath: entry, dir: path.dirname(entry) }, libraries }];
+    const fragments = await STRATEGIES[strategy]({ workDir, targets, overlay, track });
+    const projects = new Map(targets.map((t) => [t.project.tsconfigPath, t.libraries.map((lib) => lib.name)]));
+    let project;
+    if (graph) {
+      project = await writeBuildConfigs(graph, track, { fragments, compilerOptions });
+    } else if (fragments) {
+      project = await writeInjectedTsconfig(entry, fragments.get(entry), track);
+    }
+    return { strategy, project, projects, restore };
+  } catch (err) {
+    await restore();
+    throw err;
+  }
+}
+
+// Each strategy writes its files and returns the tsconfig additions ({ compilerOptions, files })
+// per target project as a Map keyed by tsconfig path, when it needs any.
+const STRATEGIES = {
+  "types-package": async ({ workDir, targets, overlay, track }) => {
+    const seen = new Set();
+    for (const lib of targets.flatMap((t) => t.libraries)) {
+      if (seen.has(lib.name)) continue;
+      seen.add(lib.name);
+      await overlay?.detach(path.join("node_modules", "@types", lib.name));
+      await copyWithBackup(lib.dtsPath, path.join(workDir, "node_modules", "@types", lib.name), track, {
+        emptyDirsUpTo: path.join(workDir, "node_modules"),
+      });
+    }
+    return undefined;
+  },
+
+  paths: async ({ targets }) =>
+    fragmentsOf(targets, ({ libraries }) => {
+      const paths = {};
+      for (const lib of libraries) {
+        paths[lib.name] = [lib.dtsPath];
+        paths[`${lib.name}/*`] = [path.join(path.dirname(lib.dtsPath), "*")];
+      }
+      return { compilerOptions: { baseUrl: ".", paths } };
+    }),
+
+  "type-roots": async ({ targets, track }) => {
+    const fragments = new Map();
+    for (const { project, libraries } of targets) {
+      const root = path.join(project.dir, INJECTED_TYPE_ROOT);
+      track(root, () => fs.rm(root, { recursive: true, force: true }));
+      const names = [];
+      for (const lib of libraries) {
+        const name = typesPackageNameOf(lib.name).slice("@types/".length);
+        await fs.mkdir(path.join(root, name), { recursive: true });
+        await fs.copyFile(lib.dtsPath, path.join(root, name, "index.d.ts"));
+        names.push(name);
+      }
+      const base = project.options ?? readTsconfig(project.tsconfigPath).options;
+      const compilerOptions = {
+        typeRoots: [...(base.typeRoots ?? [path.join(project.dir, "node_modules", "@types")]), root],
+      };
+      if (base.types) compilerOptions.types = [...base.types, ...names];
+      fragments.set(project.tsconfigPath, { compilerOptions });
+    }
+    return fragments;
+  },
+
+  ambient: async ({ targets }) =>
+    fragmentsOf(targets, ({ project, libraries }) => ({
+      files: [...projectFiles(project), ...libraries.map((lib) => lib.dtsPath)],
+    })),
+
+  reference: async ({ targets, track }) => {
+    const fragments = new Map();
+    for (const { project, libraries } of targets) {
+      const files = projectFiles(project);
+      const refPath = path.join(project.dir, REFERENCE_FILE);
+      track(refPath, () => fs.rm(refPath, { force: true }));
+      const lines = libraries.map((lib) => `/// <reference path=${JSON.stringify(lib.dtsPath)} />`);
+      await fs.writeFile(refPath, lines.join("\n") + "\n", "utf8");
+      fragments.set(project.tsconfigPath, { files: [...files, refPath] });
+    }
+    return fragments;
+  },
+
+  "package-types": async ({ workDir, targets, overlay, track }) => {
+    const done = new Set();
+    for (const { project, libraries } of targets) {
+      for (const lib of libraries) {
+        const pkgDir = findInstalledPackage(lib.name, project.dir, workDir);
+        if (!pkgDir) {
+          throw new Error(`package-types injection needs ${lib.name} installed in ${path.join(workDir, "node_modules")}`);
+        }
+        if (done.has(pkgDir)) continue;
+        done.add(pkgDir);
+        const pkgPath = path.join(pkgDir, "package.json");
+        await overlay?.detach(path.relative(workDir, pkgPath));
+        const typesPath = path.join(pkgDir, PACKAGE_TYPES_FILE);
+        track(typesPath, () => fs.rm(typesPath, { force: true }));
+        await fs.writeFile(typesPath, moduleFormOf(await fs.readFile(lib.dtsPath, "utf8"), lib.name), "utf8");
+
+        const backup = path.join(pkgDir, PACKAGE_JSON_BACKUP);
+        track(backup, async () => {
+          if (!existsSync(backup)) return; // interrupted before the backup was taken
+          await fs.copyFile(backup, pkgPath);
+          await fs.rm(backup, { force: true });
+        });
+        await fs.copyFile(pkgPath, backup);
+        const pkg = JSON.parse(await fs.readFile(pkgPath, "utf8"));
+        delete pkg.typings;
+        pkg.types = `./${PACKAGE_TYPES_FILE}`;
+        await fs.writeFile(pkgPath, JSON.stringify(pkg, null, 2) + "\n", "utf8");
+      }
+    }
+    return undefined;
+  },
+};
+
+function fragmentsOf(targets, fn) {
+  return new Map(targets.map((t) => [t.project.tsconfigPath, fn(t)]));
+}
+
+// The root files of the project as its own tsconfig resolves them. A `files` addition replaces
+// the inherited `files` and, without an `include`, the default include as well, so it has to
+// list them again.
+function projectFiles(project) {
+  return project.fileNames ?? readTsconfig(project.tsconfigPath).fileNames;
+}
+
+// node_modules/<name> as Node resolves it from `fromDir`, searching up to the consumer root.
+function findInstalledPackage(name, fromDir, rootDir) {
+  for (let dir = fromDir; ; dir = path.dirname(dir)) {
+    const pkgDir = path.join(dir, "node_modules", ...name.split("/"));
+    if (existsSync(path.join(pkgDir, "package.json"))) return pkgDir;
+    if (dir === rootDir || !dir.startsWith(rootDir)) return undefined;
+  }
+}
+
+// Copies a declaration file to <dir>/index.d.ts, keeping a .bak_phase5 of an existing one.
+async function copyWithBackup(dtsPath, dir, track, { emptyDirsUpTo }) {
+  const target = path.join(dir, "index.d.ts");
+  const backup = `${target}.bak_phase5`;
+  const hadOriginal = existsSync(target);
+  track(target, async () => {
+    if (hadOriginal) {
+      if (!existsSync(backup)) return; // interrupted before the backup was taken
+      await fs.copyFile(backup, target);
+      await fs.rm(backup, { force: true });
+    } else {
+      await fs.rm(target, { force: true });
+      for (let d = dir; d.startsWith(emptyDirsUpTo) && d !== emptyDirsUpTo; d = path.dirname(d)) {
+        if (!(await removeIfEmpty(d))) break;
+      }
+    }
+  });
+  await fs.mkdir(dir, { recursive: true });
+  if (hadOriginal) await fs.copyFile(target, backup);
+  await fs.copyFile(dtsPath, target);
+}
+
+async function writeInjectedTsconfig(entry, config, track) {
+  const injectedPath = injectedConfigPath(entry);
+  track(injectedPath, () => fs.rm(injectedPath, { force: true }));
+  await fs.writeFile(injectedPath, JSON.stringify({ extends: `./${path.basename(entry)}`, ...config }, null, 2));
+  return injectedPath;
+}
+
+// The body of `declare module "<libName>" { ... }` as a module file; other text is returned as is.
+export function moduleFormOf(text, libName) {
+  const sf = ts.createSourceFile("injected.d.ts", text, ts.ScriptTarget.Latest, true);
+  const decl = sf.statements.find(
+    (s) => ts.isModuleDeclaration(s) && ts.isStringLiteral(s.name) && s.name.text === libName,
+  );
+  if (!decl?.body || !ts.isModuleBlock(decl.body)) return text;
+  const body = decl.body.statements.map((s) => (needsDeclare(s) ? "declare " : "") + s.getText(sf)).join("\n");
+  // a body without exports would be a script file, which is "not a module"
+  const isModule = ts.isExternalModule(ts.createSourceFile("body.d.ts", body, ts.ScriptTarget.Latest));
+  return isModule ? `${body}\n` : `${body}\nexport {};\n`;
+}
+
+// Top-level values of a .d.ts must be `export`ed or `declare`d; inside `declare module` neither
+// was needed.
+function needsDeclare(statement) {
+  const valueLike =
+    ts.isVariableStatement(statement) ||
+    ts.isFunctionDeclaration(statement) ||
+    ts.isClassDeclaration(statement) ||
+    ts.isModuleDeclaration(statement) ||
+    ts.isEnumDeclaration(statement);
+  const modifiers = ts.canHaveModifiers(statement) ? (ts.getModifiers(statement) ?? []) : [];
+  return (
+    valueLike &&
+    !modifiers.some((m) => m.kind === ts.SyntaxKind.ExportKeyword || m.kind === ts.SyntaxKind.DeclareKeyword)
+  );
+}
+
+async function removeIfEmpty(dir) {
+  try {
+    if ((await fs.readdir(dir)).length > 0) return false;
+    await fs.rmdir(dir);
+    return true;
+  } catch {
+    return false;
+  }
+}
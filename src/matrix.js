@@ -0,0 +1,150 @@
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { validateInjectionStrategy } from "./injection.js";
+import { resolveTypeScriptInstall } from "./typescript_install.js";
+
+// Experiment matrix expansion. `conditions[]` is the condition axis; `axes` adds optional
+// axes that are crossed with it:
+//   axes.compilerOptions: [{ id, options: { strict: false, ... } }]  tsc command-line overrides
+//   axes.typescript:      [{ id, path }]                             typescript package directory
+//   axes.injection:       [{ id, strategy? }]                        injection strategy (default: id)
+// Every combination is a cell with its own id and output directory. Without `axes` a cell is
+// just a condition and keeps the condition id, so existing experiment layouts are unchanged.
+// A condition may also fix its own strategy with `injection`; the axis takes precedence.
+export const AXES = ["condition", "compilerOptions", "typescript", "injection"];
+export const CELL_ID_SEPARATOR = "__";
+
+export function expandMatrix(matrix, baseDir) {
+  const conditions = matrix.conditions ?? [];
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw new Error("matrix.json must contain non-empty conditions[]");
+  }
+  const axes = matrix.axes ?? {};
+  for (const key of Object.keys(axes)) {
+    if (!AXES.includes(key) || key === "condition") {
+      throw new Error(`matrix.json axes.${key} is not a known axis (${AXES.slice(1).join(", ")})`);
+    }
+  }
+  const compilerOptionSets = validateAxis("compilerOptions", axes.compilerOptions, (entry) => {
+    for (const [name, value] of Object.entries(entry.options ?? {})) {
+      if (value === null || typeof value === "object") {
+        throw new Error(`matrix.json axes.compilerOptions "${entry.id}": ${name} must be a boolean, number or string`);
+      }
+    }
+    return { id: entry.id, options: entry.options ?? {} };
+  });
+  const typescripts = validateAxis("typescript", axes.typescript, (entry) => {
+    if (!entry.path) throw new Error(`matrix.json axes.typescript "${entry.id}" needs a path`);
+    try {
+      return { id: entry.id, path: resolveTypeScriptInstall(resolveFrom(baseDir, entry.path)).path };
+    } catch (err) {
+      throw new Error(`matrix.json axes.typescript "${entry.id}": ${err instanceof Error ? err.message : err}`);
+    }
+  });
+  const injections = validateAxis("injection", axes.injection, (entry) => ({
+    id: entry.id,
+    strategy: validateInjectionStrategy(entry.strategy ?? entry.id, `matrix.json axes.injection "${entry.id}"`),
+  }));
+  validateAxis("condition", conditions, (c) => {
+    if (c.injection !== undefined) validateInjectionStrategy(c.injection, `matrix.json condition "${c.id}"`);
+    return c;
+  });
+
+  const cells = [];
+  for (const condition of conditions) {
+    for (const co of compilerOptionSets ?? [undefined]) {
+      for (const ts of typescripts ?? [undefined]) {
+        for (const inj of injections ?? [undefined]) {
+          cells.push({
+            id: [condition.id, co?.id, ts?.id, inj?.id].filter(Boolean).join(CELL_ID_SEPARATOR),
+            axes: dropUndefined({
+              condition: condition.id,
+              compilerOptions: co?.id,
+              typescript: ts?.id,
+              injection: inj?.id,
+            }),
+            condition,
+            compilerOptions: co?.options,
+            typescriptPath: ts?.path,
+            injection: inj?.strategy ?? condition.injection,
+          });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+function validateAxis(name, entries, map) {
+  if (entries === undefined) return undefined;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`matrix.json axes.${name} must be a non-empty array`);
+  }
+  const seen = new Set();
+  return entries.map((entry) => {
+    if (typeof entry?.id !== "string" || !entry.id || entry.id.includes(CELL_ID_SEPARATOR)) {
+      throw new Error(`matrix.json ${name} entries need a string id without "${CELL_ID_SEPARATOR}"`);
+    }
+    if (seen.has(entry.id)) throw new Error(`matrix.json ${name} id "${entry.id}" is used twice`);
+    seen.add(entry.id);
+    return map(entry);
+  });
+}
+
+// Matrix-file-relative first, then repo-root-relative (as for scenario paths).
+function resolveFrom(baseDir, p) {
+  if (path.isAbsolute(p)) return p;
+  const local = path.resolve(baseDir, p);
+  return existsSync(local) ? local : path.resolve(process.cwd(), p);
+}
+
+function dropUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// Pairs of cells to compare. With a reference condition, every other cell is paired with the
+// reference-condition cell that shares its remaining axis values; otherwise every two cells
+// that differ in exactly one axis (all pairs when there are no extra axes).
+export function comparisonPairs(cells, reference) {
+  const differingAxes = (a, b) => AXES.filter((k) => a.axes[k] !== b.axes[k]);
+  if (reference) {
+    return cells
+      .filter((c) => c.axes.condition !== reference)
+      .map((c) => [
+        cells.find((r) => r.axes.condition === reference && differingAxes(r, c).join() === "condition"),
+        c,
+      ])
+      .filter(([r]) => r)
+      .map(([r, c]) => [r.id, c.id]);
+  }
+  return cells.flatMap((a, i) =>
+    cells
+      .slice(i + 1)
+      .filter((b) => differingAxes(a, b).length === 1)
+      .map((b) => [a.id, b.id]),
+  );
+}
+
+// Totals per value of every axis in use, e.g. slices.compilerOptions.loose = all cells run
+// with the "loose" overrides, summed over conditions and compilers.
+export function sliceByAxis(cellStats) {
+  const slices = {};
+  for (const axis of AXES) {
+    const groups = new Map();
+    for (const c of cellStats) {
+      const value = c.axes?.[axis];
+      if (value === undefined) continue;
+      const g = groups.get(value) ?? { cells: [], total: 0, passed: 0, error_total: 0 };
+      g.cells.push(c.conditionId);
+      g.total += c.total;
+      g.passed += c.passed;
+      g.error_total += c.error_total ?? 0;
+      groups.set(value, g);
+    }
+    if (groups.size === 0) continue;
+    slices[axis] = Object.fromEntries(
+      [...groups].map(([value, g]) => [value, { ...g, success_rate: g.total ? g.passed / g.total : 0 }]),
+    );
+  }
+  return slices;
+}
@@ -1,10 +1,21 @@
+export interface Candidate {
+  type: string;
+  score: number;
+}
+
 export interface Prediction {
   id: string;
   type: string;
   score?: number;
+  candidates?: Candidate[];
 }
 
-export interface Predictor {
-  predict(queries: { id: string; query: string }[]): Promise<Prediction[]>;
+export interface ModelInfo {
+  name?: string;
+  version?: string;
 }
 
+export interface Predictor {
+  predict(queries: { id: string; query: string }[], options?: { topk?: number }): Promise<Prediction[]>;
+  close?(): Promise<void>;
+}
@@ -1,39 +1,189 @@
 import { spawn } from "node:child_process";
+import readline from "node:readline";
 import path from "node:path";
 
-export class PythonPredictor {
-  constructor(scriptPath) {
-    this.scriptPath =
-      scriptPath ?? path.resolve(process.cwd(), "scripts", "predict.py");
+// Persistent predictor process speaking newline-delimited JSON (see scripts/predict.py):
+//   <- {"type":"hello","protocol":1,"model":{"name":...,"version":...}}   (once, on startup)
+//   -> {"id":1,"method":"predict","params":{"queries":[...],"topk":5}}
+//   <- {"id":1,"result":{"predictions":[{"id","type","score","candidates":[{"type","score"}]}]}}
+//      or {"id":1,"error":{"message":...}}
+export const PROTOCOL_VERSION = 1;
+
+export class PredictorSession {
+  constructor(options = {}) {
+    this.scriptPath = options.scriptPath ?? path.resolve(process.cwd(), "scripts", "predict.py");
+    this.pythonPath = options.pythonPath ?? process.env.PREDICTOR_PYTHON ?? "python";
+    this.startTimeoutMs = options.startTimeoutMs ?? 60_000;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 120_000;
+    this.model = undefined;
+    this.child = undefined;
+    this.exited = false;
+    this.nextId = 1;
+    this.pending = new Map();
   }
 
-  async predict(queries) {
-    return new Promise((resolve, reject) => {
-      const child = spawn("python", [this.scriptPath], {
-        stdio: ["pipe", "pipe", "inherit"],
-        env: { ...process.env },
-      });
-
-      let stdout = "";
-      child.stdout.on("data", (d) => (stdout += d.toString()));
-      child.on("error", reject);
-      child.on("close", (code) => {
-        if (code !== 0) {
-          reject(new Error(`predict.py exited with ${code}`));
+  get alive() {
+    return Boolean(this.child) && !this.exited;
+  }
+
+  async start() {
+    if (this.child) return this.model;
+    const child = spawn(this.pythonPath, [this.scriptPath, "--serve"], {
+      stdio: ["pipe", "pipe", "inherit"],
+      env: { ...process.env, PYTHONUNBUFFERED: "1" },
+    });
+    this.child = child;
+
+    const hello = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`predictor did not complete handshake within ${this.startTimeoutMs}ms`));
+      }, this.startTimeoutMs);
+      this.onHello = (msg) => {
+        clearTimeout(timer);
+        if (msg.protocol !== PROTOCOL_VERSION) {
+          reject(new Error(`predictor protocol ${msg.protocol} is not supported (expected ${PROTOCOL_VERSION})`));
           return;
         }
-        try {
-          const parsed = JSON.parse(stdout);
-          resolve(parsed.predictions ?? []);
-        } catch (err) {
-          reject(err);
-        }
-      });
+        resolve(msg.model ?? {});
+      };
+      this.onStartFailure = (err) => {
+        clearTimeout(timer);
+        reject(err);
+      };
+    });
 
-      const payload = JSON.stringify({ queries });
-      child.stdin.write(payload);
-      child.stdin.end();
+    // EPIPE after the process died is reported through "close" instead
+    child.stdin.on("error", () => {});
+    const lines = readline.createInterface({ input: child.stdout });
+    lines.on("line", (line) => this.handleLine(line));
+    child.on("error", (err) => this.handleExit(err));
+    child.on("close", (code, signal) => {
+      this.handleExit(new Error(`predictor exited with ${signal ?? code}`));
     });
+
+    try {
+      this.model = await hello;
+    } catch (err) {
+      await this.kill();
+      throw err;
+    }
+    return this.model;
+  }
+
+  async predict(queries, options = {}) {
+    const result = await this.request("predict", { queries, topk: options.topk ?? 1 }, options);
+    return result.predictions ?? [];
+  }
+
+  async health(options = {}) {
+    if (!this.alive) return { ok: false };
+    try {
+      return await this.request("health", {}, { timeoutMs: options.timeoutMs ?? 5_000 });
+    } catch {
+      return { ok: false };
+    }
+  }
+
+  request(method, params, options = {}) {
+    if (!this.alive) {
+      return Promise.reject(new Error("predictor session is not running"));
+    }
+    const id = this.nextId++;
+    const timeoutMs = options.timeoutMs ?? this.requestTimeoutMs;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // a late response for this id is dropped in handleLine
+        this.pending.delete(id);
+        reject(new Error(`predictor request ${id} (${method}) timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.child.stdin.write(JSON.stringify({ id, method, params }) + "\n");
+    });
+  }
+
+  async close(options = {}) {
+    if (!this.alive) return;
+    const graceMs = options.graceMs ?? 5_000;
+    const exited = new Promise((resolve) => this.child.once("close", resolve));
+    try {
+      await this.request("shutdown", {}, { timeoutMs: graceMs });
+    } catch {
+      // fall through to closing stdin / killing
+    }
+    this.child.stdin.end();
+    const timer = setTimeout(() => this.child?.kill("SIGTERM"), graceMs);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  async kill() {
+    if (!this.alive) return;
+    const exited = new Promise((resolve) => this.child.once("close", resolve));
+    this.child.kill("SIGTERM");
+    await exited;
+  }
+
+  handleLine(line) {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      // not part of the protocol (stray print from the model code); ignore
+      return;
+    }
+    if (msg.type === "hello") {
+      this.onHello?.(msg);
+      return;
+    }
+    const entry = this.pending.get(msg.id);
+    if (!entry) return;
+    this.pending.delete(msg.id);
+    clearTimeout(entry.timer);
+    if (msg.error) {
+      entry.reject(new Error(`predictor error: ${msg.error.message ?? JSON.stringify(msg.error)}`));
+    } else {
+      entry.resolve(msg.result ?? {});
+    }
+  }
+
+  handleExit(err) {
+    if (this.exited) return;
+    this.exited = true;
+    this.onStartFailure?.(err);
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(err);
+    }
+    this.pending.clear();
   }
 }
 
+export class PythonPredictor {
+  constructor(scriptPath, options = {}) {
+    this.options = { ...options, scriptPath: scriptPath ?? options.scriptPath };
+    this.session = undefined;
+  }
+
+  // Starts (or restarts, if the previous process died) the persistent session.
+  async ensureSession() {
+    if (this.session?.alive) return this.session;
+    this.session = new PredictorSession(this.options);
+    await this.session.start();
+    return this.session;
+  }
+
+  async modelInfo() {
+    return (await this.ensureSession()).model ?? {};
+  }
+
+  async predict(queries, options = {}) {
+    const session = await this.ensureSession();
+    return session.predict(queries, options);
+  }
+
+  async close() {
+    await this.session?.close();
+    this.session = undefined;
+  }
+}
@@ -0,0 +1,125 @@
+import fs from "node:fs/promises";
+import { existsSync, readFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import ts from "typescript";
+import { registerCleanup } from "./cleanup.js";
+import { readTsconfig } from "./tsconfig.js";
+
+// Consumers split into several TypeScript projects: an entry tsconfig whose `references`
+// (followed transitively) name the other projects, checked together with `tsc -b`.
+//
+// Build mode cannot use --noEmit (a referenced project may not disable emit), so every project
+// of the graph gets a generated <name>.injected.json next to its tsconfig. It extends the
+// original, points its references at the generated configs of the referenced projects and
+// sends declarations and .tsbuildinfo to a temporary directory, so the consumer's own build
+// output is neither read nor written.
+export const INJECTED_CONFIG_SUFFIX = ".injected.json";
+
+// Projects reachable from `entryPath`, entry first: [{ tsconfigPath, dir, options, fileNames,
+// references }]. A missing or unparsable project throws.
+export function loadProjectGraph(entryPath) {
+  const projects = [];
+  const seen = new Set();
+  const visit = (tsconfigPath, from) => {
+    if (seen.has(tsconfigPath)) return;
+    seen.add(tsconfigPath);
+    if (!existsSync(tsconfigPath)) {
+      throw new Error(from ? `${from}: referenced project ${tsconfigPath} not found` : `${tsconfigPath} not found`);
+    }
+    const { options, fileNames, references } = readTsconfig(tsconfigPath);
+    projects.push({ tsconfigPath, dir: path.dirname(tsconfigPath), options, fileNames, references });
+    for (const ref of references) visit(ref, tsconfigPath);
+  };
+  visit(path.resolve(entryPath));
+  return projects;
+}
+
+// tsconfig.json -> tsconfig.injected.json, tsconfig.app.json -> tsconfig.app.injected.json
+export function injectedConfigPath(tsconfigPath) {
+  return tsconfigPath.replace(/(\.json)?$/, INJECTED_CONFIG_SUFFIX);
+}
+
+// The names of `libNames` that some source file of the project imports (import/export from,
+// import = require, require(), import()), subpaths included.
+export function importedLibraries(project, libNames) {
+  const found = new Set();
+  for (const file of project.fileNames) {
+    const { importedFiles } = ts.preProcessFile(readFileSync(file, "utf8"), true, true);
+    for (const { fileName } of importedFiles) {
+      const name = libNames.find((lib) => fileName === lib || fileName.startsWith(`${lib}/`));
+      if (name) found.add(name);
+    }
+  }
+  return libNames.filter((name) => found.has(name));
+}
+
+// Writes the generated config of every project. `fragments` maps a tsconfig path to extra
+// { compilerOptions, files } (the injection); `compilerOptions` goes into every project, as
+// tsc -b takes no compiler-option flags. `track(artifact, undo)` registers what to remove.
+// Returns the generated config of the entry, to be passed to tsc -b.
+export async function writeBuildConfigs(graph, track, { fragments = new Map(), compilerOptions } = {}) {
+  const outRoot = await fs.mkdtemp(path.join(os.tmpdir(), "injected-build-"));
+  track(outRoot, () => fs.rm(outRoot, { recursive: true, force: true }));
+  for (const [i, project] of graph.entries()) {
+    const fragment = fragments.get(project.tsconfigPath) ?? {};
+    const outDir = path.join(outRoot, String(i));
+    const options = { ...compilerOptions, ...fragment.compilerOptions, outDir, tsBuildInfoFile: path.join(outDir, "tsbuildinfo") };
+    if (project.options.declarationDir) options.declarationDir = outDir;
+    if (project.options.composite || project.options.declaration) options.emitDeclarationOnly = true;
+    const generatedPath = injectedConfigPath(project.tsconfigPath);
+    track(generatedPath, () => fs.rm(generatedPath, { force: true }));
+    const config = {
+      extends: `./${path.basename(project.tsconfigPath)}`,
+      ...fragment,
+      compilerOptions: options,
+      references: project.references.map((ref) => ({ path: path.relative(project.dir, injectedConfigPath(ref)) })),
+    };
+    await fs.writeFile(generatedPath, JSON.stringify(config, null, 2));
+  }
+  return injectedConfigPath(graph[0].tsconfigPath);
+}
+
+// writeBuildConfigs on its own, for a check without injection. Returns { project, restore }.
+export async function prepareBuild(graph, options) {
+  const undo = [];
+  const restore = async () => {
+    for (const fn of undo) await fn();
+  };
+  try {
+    const project = await writeBuildConfigs(graph, (artifact, fn) => undo.unshift(registerCleanup(artifact, fn)), options);
+    return { project, restore };
+  } catch (err) {
+    await restore();
+    throw err;
+  }
+}
+
+// Errors per project of the graph. A diagnostic belongs to the project that lists its file,
+// otherwise to the deepest project directory containing it (e.g. tsconfig diagnostics); global
+// diagnostics and files outside every project are left out. The graph was read at `root`,
+// the diagnostics name files under `sourceRoot` (they differ for an overlay). `injected` maps
+// a tsconfig path to the libraries injected into it.
+export function summarizeByProject(graph, diagnostics, { root, sourceRoot = root, injected = new Map() }) {
+  const rel = (p, from) => path.relative(from, p).split(path.sep).join("/");
+  const rows = graph.map((project) => ({
+    tsconfig: rel(project.tsconfigPath, root),
+    dir: rel(project.dir, root),
+    files: new Set(project.fileNames.map((f) => rel(f, root))),
+    libraries: injected.get(project.tsconfigPath) ?? [],
+    errorCount: 0,
+    errorCounts: {},
+  }));
+  const byDepth = [...rows].sort((a, b) => b.dir.length - a.dir.length);
+  for (const d of diagnostics) {
+    if (d.category !== "error" || !d.filePath) continue;
+    const file = rel(d.filePath, sourceRoot);
+    const row =
+      rows.find((r) => r.files.has(file)) ??
+      byDepth.find((r) => !file.startsWith("..") && (r.dir === "" || file.startsWith(`${r.dir}/`)));
+    if (!row) continue;
+    row.errorCount++;
+    row.errorCounts[d.code] = (row.errorCounts[d.code] ?? 0) + 1;
+  }
+  return rows.map(({ tsconfig, libraries, errorCount, errorCounts }) => ({ tsconfig, libraries, errorCount, errorCounts }));
+}
@@ -1,32 +1,146 @@
+// Slot ids per export kind (owner = export name, or "default" for default / `export =` exports):
+//   function  <owner>:param:<i>, <owner>:return
+//   const     <owner>:value
+//   class     <owner>:ctor:param:<i>
+//             <owner>:method:<m>:param:<i>, <owner>:method:<m>:return  (staticMethod for static)
+//             <owner>:prop:<p>                                         (staticProp for static)
+//   object    members use the dotted path as owner, e.g. utils.isEmpty:return
 export function buildQueries(surface) {
   const queries = [];
   for (const item of surface.exports) {
-    if (item.kind !== "function") continue;
-    const params = item.params ?? [];
-    const paramMasks = params.map((_, idx) => `[MASK_${idx}]`);
-
-    // param slots
-    for (let i = 0; i < params.length; i++) {
-      const maskedParams = params.map((p, idx) =>
-        idx === i ? `${p}: [MASK]` : `${p}: ${paramMasks[idx]}`,
+    if (!isDeclarableName(item.name) && !isDefaultExport(item)) continue;
+    queries.push(...exportQueries(item, exportOwner(item), [], displayName(item)));
+  }
+  return queries;
+}
+
+function exportQueries(item, owner, namespacePath, name) {
+  const wrapNs = (decl) =>
+    namespacePath.length ? `declare namespace ${namespacePath.join(".")} { ${decl} }` : `declare ${decl}`;
+
+  if (item.kind === "function") {
+    return signatureQueries(owner, item.params ?? [], {
+      render: (sig, ret) => wrapNs(`function ${name}(${sig}): ${ret};`),
+      target: { name: item.name },
+    });
+  }
+
+  if (item.kind === "const") {
+    const hint = item.init !== undefined ? ` // = ${item.init}` : "";
+    return [{
+      id: `${owner}:value`,
+      query: wrapNs(`const ${name}: [MASK];`) + hint,
+      target: { name: item.name, slot: "value" },
+    }];
+  }
+
+  if (item.kind === "class") {
+    const wrapClass = (member) => wrapNs(`class ${name} { ${member} }`);
+    const queries = signatureQueries(`${owner}:ctor`, item.ctorParams ?? [], {
+      render: (sig) => wrapClass(`constructor(${sig});`),
+      target: { name: item.name, member: "constructor" },
+      noReturn: true,
+    });
+    for (const m of item.methods ?? []) {
+      if (!isDeclarableMember(m.name)) continue;
+      const kind = m.static ? "staticMethod" : "method";
+      queries.push(
+        ...signatureQueries(`${owner}:${kind}:${m.name}`, m.params ?? [], {
+          render: (sig, ret) => wrapClass(`${m.static ? "static " : ""}${memberName(m.name)}(${sig}): ${ret};`),
+          target: { name: item.name, member: m.name },
+        }),
       );
-      const q = `declare function ${item.name}(${maskedParams.join(", ")}): [MASK_RETURN];`;
+    }
+    for (const p of item.properties ?? []) {
+      if (!isDeclarableMember(p.name)) continue;
+      const kind = p.static ? "staticProp" : "prop";
       queries.push({
-        id: `${item.name}:param:${i}`,
-        query: q,
-        target: { name: item.name, slot: `param_${i}` },
+        id: `${owner}:${kind}:${p.name}`,
+        query: wrapClass(`${p.static ? "static " : ""}${memberName(p.name)}: [MASK];`),
+        target: { name: item.name, member: p.name, slot: "value" },
       });
     }
+    return queries;
+  }
+
+  if (item.kind === "object") {
+    const queries = [];
+    for (const member of item.members ?? []) {
+      if (!isDeclarableName(member.name)) continue;
+      queries.push(...exportQueries(member, `${owner}.${member.name}`, [...namespacePath, name], member.name));
+    }
+    return queries;
+  }
+
+  return [];
+}
 
-    // return slot
-    const maskedParams = params.map((p, idx) => `${p}: ${paramMasks[idx]}`);
-    const q = `declare function ${item.name}(${maskedParams.join(", ")}): [MASK];`;
+function signatureQueries(prefix, params, { render, target, noReturn }) {
+  const queries = [];
+  const paramMasks = params.map((_, idx) => `[MASK_${idx}]`);
+
+  // param slots
+  for (let i = 0; i < params.length; i++) {
+    const maskedParams = params.map((p, idx, all) =>
+      idx === i ? `${formatParam(p, idx, all)}: [MASK]` : `${formatParam(p, idx, all)}: ${paramMasks[idx]}`,
+    );
     queries.push({
-      id: `${item.name}:return`,
-      query: q,
-      target: { name: item.name, slot: "return" },
+      id: `${prefix}:param:${i}`,
+      query: render(maskedParams.join(", "), "[MASK_RETURN]"),
+      target: { ...target, slot: `param_${i}` },
     });
   }
+  if (noReturn) return queries;
+
+  // return slot
+  const maskedParams = params.map((p, idx, all) => `${formatParam(p, idx, all)}: ${paramMasks[idx]}`);
+  queries.push({
+    id: `${prefix}:return`,
+    query: render(maskedParams.join(", "), "[MASK]"),
+    target: { ...target, slot: "return" },
+  });
   return queries;
 }
 
+// Params are either a plain name or `{ name, default?, rest? }` (as written by extract-api).
+// A defaulted param becomes optional only when nothing required follows it.
+export function formatParam(p, idx, params) {
+  if (typeof p === "string") return p;
+  if (p.rest) return `...${p.name}`;
+  const optional =
+    (p.default !== undefined || p.optional) &&
+    params.slice(idx + 1).every((q) => typeof q !== "string" && (q.rest || q.optional || q.default !== undefined));
+  return optional ? `${p.name}?` : p.name;
+}
+
+export function isDefaultExport(item) {
+  return Boolean(item.default || item.exportEquals);
+}
+
+export function exportOwner(item) {
+  return isDefaultExport(item) ? "default" : item.name;
+}
+
+// Name used for the declaration itself; anonymous default exports get a placeholder.
+export function displayName(item) {
+  return isDeclarableName(item.name) ? item.name : "_default";
+}
+
+const RESERVED = new Set([
+  "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+  "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "import", "in",
+  "instanceof", "new", "null", "return", "super", "switch", "this", "throw", "true", "try", "typeof",
+  "var", "void", "while", "with",
+]);
+
+export function isDeclarableName(name) {
+  return name !== undefined && /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && !RESERVED.has(name);
+}
+
+function isDeclarableMember(name) {
+  return typeof name === "string" && name.length > 0;
+}
+
+export function memberName(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
@@ -1,44 +1,190 @@
+export type ApiParam =
+  | string
+  | { name: string; default?: string; rest?: boolean; optional?: boolean };
+
+export interface ApiMethod {
+  name: string;
+  params?: ApiParam[];
+  static?: boolean;
+}
+
+export interface ApiProperty {
+  name: string;
+  static?: boolean;
+}
+
+export type ApiExport =
+  | ({ kind: "function"; params: ApiParam[] } & ApiExportBase)
+  | ({ kind: "const"; init?: string } & ApiExportBase)
+  | ({ kind: "class"; ctorParams?: ApiParam[]; methods?: ApiMethod[]; properties?: ApiProperty[] } & ApiExportBase)
+  | ({ kind: "object"; members?: ApiExport[] } & ApiExportBase);
+
+interface ApiExportBase {
+  name: string;
+  default?: boolean;
+  exportEquals?: boolean;
+}
+
 export interface ApiSurface {
   libName: string;
-  exports: Array<{
-    kind: "function";
-    name: string;
-    params: string[];
-  }>;
+  exports: ApiExport[];
 }
 
 export interface Query {
   id: string;
   query: string;
-  target: { name: string; slot: string };
+  target: { name: string; member?: string; slot: string };
+}
+
+interface SignatureOptions {
+  render: (sig: string, ret: string) => string;
+  target: { name: string; member?: string };
+  noReturn?: boolean;
 }
 
+// Slot ids per export kind (owner = export name, or "default" for default / `export =` exports):
+//   function  <owner>:param:<i>, <owner>:return
+//   const     <owner>:value
+//   class     <owner>:ctor:param:<i>
+//             <owner>:method:<m>:param:<i>, <owner>:method:<m>:return  (staticMethod for static)
+//             <owner>:prop:<p>                                         (staticProp for static)
+//   object    members use the dotted path as owner, e.g. utils.isEmpty:return
 export function buildQueries(surface: ApiSurface): Query[] {
   const queries: Query[] = [];
   for (const item of surface.exports) {
-    if (item.kind !== "function") continue;
-    const params = item.params ?? [];
-    const parts = params.map((p, idx) => `${p}: [MASK_${idx}]`);
-    const paramMasks = params.map((_, idx) => `[MASK_${idx}]`);
-    for (let i = 0; i < params.length; i++) {
-      const maskedParams = params.map((p, idx) =>
-        idx === i ? `${p}: [MASK]` : `${p}: ${paramMasks[idx]}`,
+    if (!isDeclarableName(item.name) && !isDefaultExport(item)) continue;
+    queries.push(...exportQueries(item, exportOwner(item), [], displayName(item)));
+  }
+  return queries;
+}
+
+function exportQueries(item: ApiExport, owner: string, namespacePath: string[], name: string): Query[] {
+  const wrapNs = (decl: string) =>
+    namespacePath.length ? `declare namespace ${namespacePath.join(".")} { ${decl} }` : `declare ${decl}`;
+
+  if (item.kind === "function") {
+    return signatureQueries(owner, item.params ?? [], {
+      render: (sig, ret) => wrapNs(`function ${name}(${sig}): ${ret};`),
+      target: { name: item.name },
+    });
+  }
+
+  if (item.kind === "const") {
+    const hint = item.init !== undefined ? ` // = ${item.init}` : "";
+    return [{
+      id: `${owner}:value`,
+      query: wrapNs(`const ${name}: [MASK];`) + hint,
+      target: { name: item.name, slot: "value" },
+    }];
+  }
+
+  if (item.kind === "class") {
+    const wrapClass = (member: string) => wrapNs(`class ${name} { ${member} }`);
+    const queries = signatureQueries(`${owner}:ctor`, item.ctorParams ?? [], {
+      render: (sig) => wrapClass(`constructor(${sig});`),
+      target: { name: item.name, member: "constructor" },
+      noReturn: true,
+    });
+    for (const m of item.methods ?? []) {
+      if (!isDeclarableMember(m.name)) continue;
+      const kind = m.static ? "staticMethod" : "method";
+      queries.push(
+        ...signatureQueries(`${owner}:${kind}:${m.name}`, m.params ?? [], {
+          render: (sig, ret) => wrapClass(`${m.static ? "static " : ""}${memberName(m.name)}(${sig}): ${ret};`),
+          target: { name: item.name, member: m.name },
+        }),
       );
-      const q = `declare function ${item.name}(${maskedParams.join(", ")}): [MASK_RETURN];`;
+    }
+    for (const p of item.properties ?? []) {
+      if (!isDeclarableMember(p.name)) continue;
+      const kind = p.static ? "staticProp" : "prop";
       queries.push({
-        id: `${item.name}:param:${i}`,
-        query: q,
-        target: { name: item.name, slot: `param_${i}` },
+        id: `${owner}:${kind}:${p.name}`,
+        query: wrapClass(`${p.static ? "static " : ""}${memberName(p.name)}: [MASK];`),
+        target: { name: item.name, member: p.name, slot: "value" },
       });
     }
-    const maskedParams = params.map((p, idx) => `${p}: ${paramMasks[idx]}`);
-    const q = `declare function ${item.name}(${maskedParams.join(", ")}): [MASK];`;
+    return queries;
+  }
+
+  if (item.kind === "object") {
+    const queries: Query[] = [];
+    for (const member of item.members ?? []) {
+      if (!isDeclarableName(member.name)) continue;
+      queries.push(...exportQueries(member, `${owner}.${member.name}`, [...namespacePath, name], member.name));
+    }
+    return queries;
+  }
+
+  return [];
+}
+
+function signatureQueries(prefix: string, params: ApiParam[], { render, target, noReturn }: SignatureOptions): Query[] {
+  const queries: Query[] = [];
+  const paramMasks = params.map((_, idx) => `[MASK_${idx}]`);
+
+  // param slots
+  for (let i = 0; i < params.length; i++) {
+    const maskedParams = params.map((p, idx, all) =>
+      idx === i ? `${formatParam(p, idx, all)}: [MASK]` : `${formatParam(p, idx, all)}: ${paramMasks[idx]}`,
+    );
     queries.push({
-      id: `${item.name}:return`,
-      query: q,
-      target: { name: item.name, slot: "return" },
+      id: `${prefix}:param:${i}`,
+      query: render(maskedParams.join(", "), "[MASK_RETURN]"),
+      target: { ...target, slot: `param_${i}` },
     });
   }
+  if (noReturn) return queries;
+
+  // return slot
+  const maskedParams = params.map((p, idx, all) => `${formatParam(p, idx, all)}: ${paramMasks[idx]}`);
+  queries.push({
+    id: `${prefix}:return`,
+    query: render(maskedParams.join(", "), "[MASK]"),
+    target: { ...target, slot: "return" },
+  });
   return queries;
 }
 
+// Params are either a plain name or `{ name, default?, rest? }` (as written by extract-api).
+// A defaulted param becomes optional only when nothing required follows it.
+export function formatParam(p: ApiParam, idx: number, params: ApiParam[]): string {
+  if (typeof p === "string") return p;
+  if (p.rest) return `...${p.name}`;
+  const optional =
+    (p.default !== undefined || p.optional) &&
+    params.slice(idx + 1).every((q) => typeof q !== "string" && (q.rest || q.optional || q.default !== undefined));
+  return optional ? `${p.name}?` : p.name;
+}
+
+export function isDefaultExport(item: ApiExport): boolean {
+  return Boolean(item.default || item.exportEquals);
+}
+
+export function exportOwner(item: ApiExport): string {
+  return isDefaultExport(item) ? "default" : item.name;
+}
+
+// Name used for the declaration itself; anonymous default exports get a placeholder.
+export function displayName(item: ApiExport): string {
+  return isDeclarableName(item.name) ? item.name : "_default";
+}
+
+const RESERVED = new Set([
+  "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+  "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "import", "in",
+  "instanceof", "new", "null", "return", "super", "switch", "this", "throw", "true", "try", "typeof",
+  "var", "void", "while", "with",
+]);
+
+export function isDeclarableName(name: string | undefined): boolean {
+  return name !== undefined && /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && !RESERVED.has(name);
+}
+
+function isDeclarableMember(name: unknown): boolean {
+  return typeof name === "string" && name.length > 0;
+}
+
+export function memberName(name: string): string {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
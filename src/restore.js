@@ -0,0 +1,131 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { INJECTED_TYPE_ROOT, PACKAGE_JSON_BACKUP, PACKAGE_TYPES_FILE, REFERENCE_FILE } from "./injection.js";
+import { INJECTED_CONFIG_SUFFIX } from "./project_refs.js";
+
+// Undoes what an interrupted in-place run leaves in a consumer directory. In the directory and
+// every directory below it (node_modules and .git aside, so the referenced projects of a
+// monorepo consumer are covered):
+//   tsconfig*.json.bak, <tsconfig>.bak          -> copied back (<tsconfig>: entries of `tsconfigs`)
+//   *.injected.json                             -> removed (tsconfig.injected.json, build configs)
+//   .injected-types/, injected-types.reference.d.ts -> removed (type-roots / reference injection)
+//   node_modules/<lib>/package.json.bak_inject  -> copied back over package.json, and
+//   node_modules/<lib>/index.injected.d.ts      -> removed (package-types injection)
+// and in the directory itself:
+//   node_modules/@types/<lib>/index.d.ts.bak_phase5 -> copied back over index.d.ts
+//   node_modules/@types/<lib>/index.d.ts        -> removed (with the then-empty directories)
+//     when <lib> is one of `libNames` and the directory holds nothing but the injected file
+// Returns one `{ path, action }` entry per change; with `dryRun` nothing is touched.
+export async function restoreConsumer(dir, options = {}) {
+  const libNames = options.libNames ?? [];
+  const tsconfigs = new Set((options.tsconfigs ?? []).map((p) => path.resolve(dir, p)));
+  const dryRun = Boolean(options.dryRun);
+  const changes = [];
+  const record = async (p, action, fn) => {
+    if (!dryRun) await fn();
+    changes.push({ path: p, action });
+  };
+
+  for (const projectDir of await listProjectDirs(dir)) {
+    for (const entry of await readDirOrEmpty(projectDir)) {
+      const p = path.join(projectDir, entry.name);
+      const original = p.slice(0, -".bak".length);
+      if (
+        entry.isFile() &&
+        entry.name.endsWith(".json.bak") &&
+        (entry.name.startsWith("tsconfig") || tsconfigs.has(original))
+      ) {
+        await record(original, "restored", async () => {
+          await fs.copyFile(p, original);
+          await fs.rm(p, { force: true });
+        });
+      } else if (entry.isFile() && entry.name.endsWith(INJECTED_CONFIG_SUFFIX)) {
+        await record(p, "removed", () => fs.rm(p, { force: true }));
+      } else if (entry.name === INJECTED_TYPE_ROOT || entry.name === REFERENCE_FILE) {
+        await record(p, "removed", () => fs.rm(p, { recursive: true, force: true }));
+      }
+    }
+    for (const libName of libNames) {
+      const pkgDir = path.join(projectDir, "node_modules", ...libName.split("/"));
+      const backup = path.join(pkgDir, PACKAGE_JSON_BACKUP);
+      if (existsSync(backup)) {
+        await record(path.join(pkgDir, "package.json"), "restored", async () => {
+          await fs.copyFile(backup, path.join(pkgDir, "package.json"));
+          await fs.rm(backup, { force: true });
+        });
+      }
+      const typesFile = path.join(pkgDir, PACKAGE_TYPES_FILE);
+      if (existsSync(typesFile)) await record(typesFile, "removed", () => fs.rm(typesFile, { force: true }));
+    }
+  }
+
+  const typesRoot = path.join(dir, "node_modules", "@types");
+  for (const typesDir of await listTypesPackages(typesRoot)) {
+    const target = path.join(typesDir, "index.d.ts");
+    const backup = `${target}.bak_phase5`;
+    if (existsSync(backup)) {
+      await record(target, "restored", async () => {
+        await fs.copyFile(backup, target);
+        await fs.rm(backup, { force: true });
+      });
+      continue;
+    }
+    const libName = path.relative(typesRoot, typesDir).split(path.sep).join("/");
+    if (!libNames.includes(libName)) continue;
+    const entries = await fs.readdir(typesDir);
+    if (entries.length === 1 && entries[0] === "index.d.ts") {
+      await record(typesDir, "removed", async () => {
+        await fs.rm(typesDir, { recursive: true, force: true });
+        if (libName.startsWith("@")) await removeIfEmpty(path.dirname(typesDir));
+        await removeIfEmpty(typesRoot);
+      });
+    }
+  }
+
+  return changes;
+}
+
+// `dir` and its subdirectories, leaving out node_modules, .git and injected type roots.
+async function listProjectDirs(dir) {
+  const out = [dir];
+  for (const entry of await readDirOrEmpty(dir)) {
+    if (!entry.isDirectory() || [".git", "node_modules", INJECTED_TYPE_ROOT].includes(entry.name)) continue;
+    out.push(...(await listProjectDirs(path.join(dir, entry.name))));
+  }
+  return out;
+}
+
+// @types/<name> and @types/<@scope>/<name> directories; symlinked packages (installed by a
+// package manager) are never the result of an injection and are skipped.
+async function listTypesPackages(typesRoot) {
+  const out = [];
+  for (const entry of await readDirOrEmpty(typesRoot)) {
+    if (!entry.isDirectory()) continue;
+    const p = path.join(typesRoot, entry.name);
+    if (entry.name.startsWith("@")) {
+      for (const inner of await readDirOrEmpty(p)) {
+        if (inner.isDirectory()) out.push(path.join(p, inner.name));
+      }
+    } else {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+async function readDirOrEmpty(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+async function removeIfEmpty(dir) {
+  try {
+    if ((await fs.readdir(dir)).length === 0) await fs.rmdir(dir);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,132 @@
+// Paired comparison statistics for experiment aggregates. Inputs are pass/fail outcomes
+// (booleans) of two conditions on the same scenarios, in the same order.
+
+// Small seeded PRNG (mulberry32) so bootstrap intervals are reproducible run to run.
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Percentile bootstrap over resampled indices 0..n-1; `statistic(indices)` -> number.
+export function bootstrapCI(n, statistic, options = {}) {
+  const iterations = options.iterations ?? 2000;
+  const confidence = options.confidence ?? 0.95;
+  const rng = options.rng ?? createRng(options.seed ?? 1);
+  if (n === 0) return [NaN, NaN];
+  const samples = new Array(iterations);
+  const idx = new Array(n);
+  for (let i = 0; i < iterations; i++) {
+    for (let j = 0; j < n; j++) idx[j] = Math.floor(rng() * n);
+    samples[i] = statistic(idx);
+  }
+  samples.sort((x, y) => x - y);
+  const tail = (1 - confidence) / 2;
+  return [quantile(samples, tail), quantile(samples, 1 - tail)];
+}
+
+export function successRateCI(passes, options = {}) {
+  const xs = passes.map(Number);
+  return bootstrapCI(xs.length, (idx) => mean(idx.map((i) => xs[i])), options);
+}
+
+// McNemar's test on the discordant pairs: `onlyA` = A passed / B failed, `onlyB` the reverse.
+// Exact two-sided binomial test for fewer than 25 discordant pairs, otherwise the
+// continuity-corrected chi-square approximation.
+export function mcnemar(onlyA, onlyB) {
+  const n = onlyA + onlyB;
+  if (n === 0) return { onlyA, onlyB, method: "exact", statistic: null, pValue: 1 };
+  if (n < 25) {
+    const k = Math.min(onlyA, onlyB);
+    let tail = 0;
+    for (let i = 0; i <= k; i++) tail += Math.exp(logChoose(n, i) - n * Math.LN2);
+    return { onlyA, onlyB, method: "exact", statistic: null, pValue: Math.min(1, 2 * tail) };
+  }
+  const statistic = (Math.abs(onlyA - onlyB) - 1) ** 2 / n;
+  return { onlyA, onlyB, method: "chi2_cc", statistic, pValue: chiSquare1Sf(statistic) };
+}
+
+// Effect sizes for success rates pA -> pB: risk difference, Cohen's h and the paired
+// (discordant-pair) odds ratio with a 0.5 Haldane correction when a cell is empty.
+export function effectSizes(pA, pB, onlyA, onlyB) {
+  const cohensH = 2 * Math.asin(Math.sqrt(pB)) - 2 * Math.asin(Math.sqrt(pA));
+  const corr = onlyA === 0 || onlyB === 0 ? 0.5 : 0;
+  return {
+    riskDifference: pB - pA,
+    cohensH,
+    pairedOddsRatio: (onlyB + corr) / (onlyA + corr),
+  };
+}
+
+// Full paired comparison of condition B against condition A.
+export function comparePaired(passesA, passesB, options = {}) {
+  if (passesA.length !== passesB.length) {
+    throw new Error("paired comparison needs outcomes for the same scenarios");
+  }
+  const n = passesA.length;
+  const a = passesA.map(Number);
+  const b = passesB.map(Number);
+  let onlyA = 0;
+  let onlyB = 0;
+  for (let i = 0; i < n; i++) {
+    if (a[i] && !b[i]) onlyA++;
+    if (b[i] && !a[i]) onlyB++;
+  }
+  const pA = mean(a);
+  const pB = mean(b);
+  const deltaCI = bootstrapCI(n, (idx) => mean(idx.map((i) => b[i] - a[i])), options);
+  return {
+    n,
+    successRateA: pA,
+    successRateB: pB,
+    delta: pB - pA,
+    deltaCI,
+    mcnemar: mcnemar(onlyA, onlyB),
+    effectSize: effectSizes(pA, pB, onlyA, onlyB),
+  };
+}
+
+function logChoose(n, k) {
+  return logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+}
+
+function logFactorial(n) {
+  let s = 0;
+  for (let i = 2; i <= n; i++) s += Math.log(i);
+  return s;
+}
+
+// P(X > x) for a chi-square variable with one degree of freedom = erfc(sqrt(x / 2)).
+function chiSquare1Sf(x) {
+  return erfc(Math.sqrt(x / 2));
+}
+
+// Complementary error function (Numerical Recipes erfcc, |error| < 1.2e-7).
+const ERFC_COEFFS = [
+  -1.26551223, 1.00002368, 0.37409196, 0.09678418, -0.18628806, 0.27886807, -1.13520398, 1.48851587,
+  -0.82215223, 0.17087277,
+];
+
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  let poly = 0;
+  for (let i = ERFC_COEFFS.length - 1; i >= 0; i--) poly = ERFC_COEFFS[i] + t * poly;
+  const r = t * Math.exp(-z * z + poly);
+  return x >= 0 ? r : 2 - r;
+}
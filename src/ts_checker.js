@@ -0,0 +1,102 @@
+import path from "node:path";
+import bundledTs from "typescript";
+
+// In-process replacement for `tsc --noEmit -p <config>` used by the repair loop.
+// The consumer program lives in a LanguageService; only the generated declaration file is
+// virtual, so each check re-parses that one file and reuses everything else. Diagnostics are
+// collected, ordered and formatted the way the tsc CLI does for a non-pretty (piped) run.
+// `typescript` is the compiler API to check with (default: this repository's own).
+export class InProcessChecker {
+  constructor({ projectPath, configPath, dtsPath, typescript }) {
+    const ts = (this.ts = typescript ?? bundledTs);
+    this.projectPath = path.resolve(projectPath);
+    this.dtsPath = path.resolve(dtsPath);
+    this.dtsContent = undefined;
+    this.dtsVersion = 0;
+
+    const configDiagnostics = [];
+    const parseHost = {
+      ...ts.sys,
+      getCurrentDirectory: () => this.projectPath,
+      onUnRecoverableConfigFileDiagnostic: (d) => configDiagnostics.push(d),
+    };
+    const parsed = ts.getParsedCommandLineOfConfigFile(path.resolve(configPath), undefined, parseHost);
+    this.parsed = parsed;
+    this.configDiagnostics = [...configDiagnostics, ...(parsed?.errors ?? [])];
+
+    const host = {
+      getScriptFileNames: () => parsed?.fileNames ?? [],
+      getScriptVersion: (fileName) => (this.isDts(fileName) ? String(this.dtsVersion) : "0"),
+      getScriptSnapshot: (fileName) => {
+        const text = this.readFile(fileName);
+        return text === undefined ? undefined : ts.ScriptSnapshot.fromString(text);
+      },
+      getCurrentDirectory: () => this.projectPath,
+      getCompilationSettings: () => parsed?.options ?? {},
+      getProjectReferences: () => parsed?.projectReferences,
+      getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+      fileExists: (fileName) => this.isDts(fileName) || ts.sys.fileExists(fileName),
+      readFile: (fileName) => this.readFile(fileName),
+      readDirectory: ts.sys.readDirectory,
+      directoryExists: ts.sys.directoryExists,
+      getDirectories: ts.sys.getDirectories,
+      realpath: ts.sys.realpath,
+      useCaseSensitiveFileNames: () => ts.sys.useCaseSensitiveFileNames,
+    };
+    this.service = ts.createLanguageService(host, ts.createDocumentRegistry());
+    this.formatHost = {
+      getCurrentDirectory: () => this.projectPath,
+      getCanonicalFileName: (f) => (ts.sys.useCaseSensitiveFileNames ? f : f.toLowerCase()),
+      getNewLine: () => ts.sys.newLine,
+    };
+  }
+
+  isDts(fileName) {
+    return path.resolve(fileName) === this.dtsPath;
+  }
+
+  readFile(fileName) {
+    if (this.isDts(fileName)) return this.dtsContent ?? this.ts.sys.readFile(fileName);
+    return this.ts.sys.readFile(fileName);
+  }
+
+  // Returns the same shape as runCommand so callers can treat both backends alike.
+  check(dtsContent) {
+    if (dtsContent !== this.dtsContent) {
+      this.dtsContent = dtsContent;
+      this.dtsVersion++;
+    }
+    const ts = this.ts;
+    const program = this.service.getProgram();
+    const diagnostics = collectDiagnostics(ts, program, this.configDiagnostics);
+    const stdout = ts.formatDiagnostics(diagnostics, this.formatHost);
+    const errorCount = diagnostics.filter((d) => d.category === ts.DiagnosticCategory.Error).length;
+    return {
+      // tsc exits with DiagnosticsPresent_OutputsGenerated (2) under --noEmit
+      exitCode: errorCount > 0 ? 2 : 0,
+      stdout,
+      stderr: "",
+      timedOut: false,
+    };
+  }
+
+  dispose() {
+    this.service.dispose();
+  }
+}
+
+// Mirrors emitFilesAndReportErrors in tsc: config errors, then syntactic; only when those are
+// clean, options + global; and only when still clean, semantic.
+function collectDiagnostics(ts, program, configDiagnostics) {
+  const all = [...configDiagnostics];
+  const configCount = all.length;
+  all.push(...program.getSyntacticDiagnostics());
+  if (all.length === configCount) {
+    all.push(...program.getOptionsDiagnostics());
+    all.push(...program.getGlobalDiagnostics());
+    if (all.length === configCount) {
+      all.push(...program.getSemanticDiagnostics());
+    }
+  }
+  return ts.sortAndDeduplicateDiagnostics(all);
+}
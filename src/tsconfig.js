@@ -0,0 +1,110 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import ts from "typescript";
+import { registerCleanup } from "./cleanup.js";
+
+// Consumer tsconfig.json handling with TypeScript's own config parser: comments, trailing commas
+// and `extends` chains (relative files and packages) behave as they do for tsc.
+//
+// Normalization rewrites a consumer's tsconfig.json for the duration of a check so that configs
+// tsc would reject for reasons unrelated to the injected types still type-check. Each rule is
+//   { id, when: { <option>: <value>, ... }, set: { <option>: <value>, ... } }
+// with values written as in tsconfig.json. A rule applies when every `when` option has that
+// effective value (after `extends`) and some `set` option does not; its `set` options are then
+// written into the consumer's own compilerOptions, overriding any base config. Rules apply in
+// order, each seeing the options set by the ones before it.
+export const DEFAULT_NORMALIZATION_RULES = [
+  { id: "nodenext-module", when: { moduleResolution: "NodeNext" }, set: { module: "NodeNext" } },
+  { id: "node16-module", when: { moduleResolution: "Node16" }, set: { module: "Node16" } },
+];
+
+export function validateNormalizationRules(rules, where) {
+  if (!Array.isArray(rules)) throw new Error(`${where}: tsconfig rules must be an array`);
+  const seen = new Set();
+  for (const rule of rules) {
+    if (typeof rule?.id !== "string" || !rule.id || seen.has(rule.id)) {
+      throw new Error(`${where}: every tsconfig rule needs a unique string id`);
+    }
+    seen.add(rule.id);
+    for (const key of ["when", "set"]) {
+      if (!rule[key] || typeof rule[key] !== "object" || Array.isArray(rule[key])) {
+        throw new Error(`${where}: rule "${rule.id}" needs a "${key}" object of compiler options`);
+      }
+      const { errors } = ts.convertCompilerOptionsFromJson(rule[key], process.cwd());
+      if (errors.length > 0) {
+        throw new Error(`${where}: rule "${rule.id}" ${key}: ${messageOf(errors[0])}`);
+      }
+    }
+    if (Object.keys(rule.set).length === 0) throw new Error(`${where}: rule "${rule.id}" sets nothing`);
+  }
+  return rules;
+}
+
+// { config, options, fileNames, references }: the file's own JSON (comments dropped), the
+// effective compiler options across its `extends` chain, the source files it includes and the
+// tsconfig paths of its project `references`. A file that does not parse throws.
+export function readTsconfig(tsconfigPath) {
+  const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+  if (error) throw new Error(messageOf(error));
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${tsconfigPath}: expected a JSON object`);
+  }
+  const dir = path.dirname(tsconfigPath);
+  // the parser adds defaults (compileOnSave) to the object it is given
+  const parsed = ts.parseJsonConfigFileContent(structuredClone(config), ts.sys, dir, undefined, tsconfigPath);
+  // a broken `extends` is a config error; "no inputs" and the like are left for tsc to report
+  const extendsError = parsed.errors.find((d) => d.code === 5083 || d.code === 6053);
+  if (extendsError) throw new Error(messageOf(extendsError));
+  const references = (parsed.projectReferences ?? []).map((ref) => ts.resolveProjectReferencePath(ref));
+  return { config, options: parsed.options, fileNames: parsed.fileNames, references };
+}
+
+// The rules that apply to a config and the compilerOptions they set, without writing anything.
+export function planNormalization(tsconfigPath, rules = DEFAULT_NORMALIZATION_RULES) {
+  const { config, options } = readTsconfig(tsconfigPath);
+  const dir = path.dirname(tsconfigPath);
+  const effective = { ...options };
+  const set = {};
+  const applied = [];
+  for (const rule of rules) {
+    const when = ts.convertCompilerOptionsFromJson(rule.when, dir).options;
+    const wanted = ts.convertCompilerOptionsFromJson(rule.set, dir).options;
+    const matches = Object.keys(rule.when).every((name) => sameValue(effective[name], when[name]));
+    const changes = Object.keys(rule.set).some((name) => !sameValue(effective[name], wanted[name]));
+    if (!matches || !changes) continue;
+    Object.assign(set, rule.set);
+    Object.assign(effective, wanted);
+    applied.push(rule.id);
+  }
+  return { config, set, applied };
+}
+
+// Applies the rules to tsconfig.json in place, keeping tsconfig.json.bak for restore().
+// Returns { normalized, applied, restore }; the rewritten file is plain JSON.
+export async function normalizeTsconfig(tsconfigPath, rules = DEFAULT_NORMALIZATION_RULES) {
+  const { config, set, applied } = planNormalization(tsconfigPath, rules);
+  const backupPath = `${tsconfigPath}.bak`;
+  const restore = registerCleanup(backupPath, async () => {
+    if (!existsSync(backupPath)) return; // interrupted before the backup was taken
+    await fs.copyFile(backupPath, tsconfigPath);
+    await fs.rm(backupPath, { force: true });
+  });
+  await fs.copyFile(tsconfigPath, backupPath);
+
+  const normalized = applied.length > 0;
+  if (normalized) {
+    const data = { ...config, compilerOptions: { ...config.compilerOptions, ...set } };
+    await fs.writeFile(tsconfigPath, JSON.stringify(data, null, 2));
+  }
+  return { normalized, applied, restore };
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+function messageOf(diagnostic) {
+  return ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+}
@@ -0,0 +1,72 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ts from "typescript";
+
+// Candidate types come straight from the predictor and are pasted into declarations such as
+// `export function f(a: ${type}): ${type};`. One malformed candidate (`{ foo: number`, a leftover
+// `[MASK]`, `number // note`) breaks the whole file, so every candidate is parsed first.
+export const DEFAULT_FALLBACK_TYPE = "any";
+
+// Query placeholders (query_builder.js) that a model may echo back; `[MASK]` alone would even
+// parse, as a tuple of a type named MASK.
+const MASK_TOKEN = /\[MASK(_\w+)?\]|<mask>/i;
+
+// { ok: true, type } with the trimmed type text, or { ok: false, reason }.
+export function checkTypeString(text) {
+  if (typeof text !== "string" || !text.trim()) return { ok: false, reason: "empty type" };
+  const type = text.trim();
+  if (MASK_TOKEN.test(type)) return { ok: false, reason: "contains a mask token" };
+  // parsed in both positions it is emitted in, on one line as renderDeclarations writes it
+  const source = `declare function __slot(x: ${type}): ${type};`;
+  const sf = ts.createSourceFile("slot.d.ts", source, ts.ScriptTarget.Latest, true);
+  const [diag] = sf.parseDiagnostics ?? [];
+  if (diag) return { ok: false, reason: ts.flattenDiagnosticMessageText(diag.messageText, " ") };
+  const fn = sf.statements[0];
+  const whole =
+    sf.statements.length === 1 &&
+    ts.isFunctionDeclaration(fn) &&
+    fn.type?.getText() === type &&
+    fn.parameters[0]?.type?.getText() === type;
+  return whole ? { ok: true, type } : { ok: false, reason: "not a single type expression" };
+}
+
+// Drops invalid candidates of one slot, keeping their order and scores. When none is left the
+// slot gets `fallback` instead. Each rejected candidate is reported as
+// { slotId, rank, type, reason, action: "dropped" | "replaced", replacement? }.
+export function sanitizeCandidates(slotId, candidates, fallback = DEFAULT_FALLBACK_TYPE) {
+  const kept = [];
+  const rejections = [];
+  (candidates ?? []).forEach((c, rank) => {
+    const checked = checkTypeString(c?.type);
+    if (checked.ok) kept.push({ ...c, type: checked.type });
+    else rejections.push({ slotId, rank, type: c?.type, reason: checked.reason, action: "dropped" });
+  });
+  if (kept.length === 0 && rejections.length > 0) {
+    kept.push({ type: fallback, score: 0, fallback: true });
+    for (const r of rejections) Object.assign(r, { action: "replaced", replacement: fallback });
+  }
+  return { candidates: kept, rejections };
+}
+
+// A predictions/<lib>.json object with every slot sanitized (see sanitizeCandidates).
+export function sanitizePredictions(preds, fallback = DEFAULT_FALLBACK_TYPE) {
+  const rejections = [];
+  const slots = (preds.slots ?? []).map((slot) => {
+    const sanitized = sanitizeCandidates(slot.slotId, slot.candidates, fallback);
+    rejections.push(...sanitized.rejections);
+    return { ...slot, candidates: sanitized.candidates };
+  });
+  return { preds: { ...preds, slots }, rejections };
+}
+
+// Sidecar of a generated declaration file: <dir>/rejected-types.jsonl, one rejection per line.
+// Only written when something was rejected; a stale report from an earlier run is removed.
+export async function writeRejectionReport(dtsPath, rejections) {
+  const reportPath = path.join(path.dirname(dtsPath), "rejected-types.jsonl");
+  if (rejections.length === 0) {
+    await fs.rm(reportPath, { force: true });
+    return undefined;
+  }
+  await fs.writeFile(reportPath, rejections.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+  return reportPath;
+}
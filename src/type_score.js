@@ -0,0 +1,290 @@
+import fs from "node:fs/promises";
+import ts from "typescript";
+
+// Type accuracy of predicted declarations against a reference .d.ts of the same library.
+// Both sides are reduced to slots (the ids of query_builder.js / renderDeclarations: `add:param:0`,
+// `default:return`, `Foo:method:bar:return`, `utils.VERSION:value`, ...), so slots line up by
+// export name and parameter position rather than by parameter names. Each reference slot gets
+//   exact       the type text is the same (whitespace aside)
+//   normalized  the same after expanding local type aliases, sorting union/intersection members,
+//               writing Array<T> as T[] and dropping parameter names and namespace qualifiers
+//   baseType    the same coarse kind: string, number, boolean, array, function, object, Promise, ...
+// A `.d.ts` full of `any` passes tsc but scores 0 on all three.
+
+// { libName?, slots: Map<slotId, TypeNode>, aliases: Map<name, TypeNode> } of a .d.ts file or a
+// predictions/<lib>.json file (top-1 candidate of every slot).
+export async function loadSlots(filePath) {
+  const text = await fs.readFile(filePath, "utf8");
+  if (filePath.endsWith(".json")) return slotsFromPredictions(JSON.parse(text));
+  return extractSlots(text, filePath);
+}
+
+export function slotsFromPredictions(preds) {
+  const slots = new Map();
+  for (const slot of preds.slots ?? []) {
+    const top = slot.candidates?.[0]?.type;
+    const node = typeof top === "string" && top.trim() ? parseType(top) : undefined;
+    if (node) slots.set(slot.slotId, node);
+  }
+  return { libName: preds.libName, slots, aliases: new Map() };
+}
+
+function parseType(text) {
+  const sf = ts.createSourceFile("slot.ts", `type __Slot = ${text};`, ts.ScriptTarget.Latest, true);
+  const decl = sf.statements[0];
+  return ts.isTypeAliasDeclaration(decl) ? decl.type : undefined;
+}
+
+export function extractSlots(text, fileName = "index.d.ts") {
+  const sf = ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true);
+  // `declare module "lib" { ... }` (what gen-dts writes) or a plain module file (DefinitelyTyped)
+  const ambient = sf.statements.find(
+    (s) => ts.isModuleDeclaration(s) && ts.isStringLiteral(s.name) && s.body && ts.isModuleBlock(s.body),
+  );
+  const statements = ambient ? ambient.body.statements : sf.statements;
+  const slots = new Map();
+  const aliases = new Map();
+  const declsByName = new Map();
+  for (const s of statements) {
+    if (ts.isTypeAliasDeclaration(s)) aliases.set(s.name.text, s.type);
+    for (const name of declaredNames(s)) declsByName.set(name, [...(declsByName.get(name) ?? []), s]);
+  }
+
+  const exportAssignment = statements.find((s) => ts.isExportAssignment(s) && s.isExportEquals);
+  // inside `declare module "x" {}` every declaration is exported unless the block uses explicit
+  // exports; at the top level of a module file only `export` ones are
+  const implicitExports =
+    Boolean(ambient) &&
+    !statements.some((s) => hasExportModifier(s) || ts.isExportDeclaration(s) || ts.isExportAssignment(s));
+  for (const s of statements) {
+    if (ts.isExportAssignment(s)) {
+      if (!ts.isIdentifier(s.expression)) continue;
+      for (const decl of declsByName.get(s.expression.text) ?? []) {
+        // `export =` merges a namespace into the exported function/class: its members are the
+        // module's named exports; otherwise the namespace itself is the default export
+        const merged =
+          s.isExportEquals && ts.isModuleDeclaration(decl) && declsByName.get(s.expression.text).length > 1;
+        addDeclaration(slots, decl, merged ? "" : "default", s.expression.text);
+      }
+    } else if (ts.isExportDeclaration(s) && !s.moduleSpecifier && s.exportClause && ts.isNamedExports(s.exportClause)) {
+      for (const el of s.exportClause.elements) {
+        const local = (el.propertyName ?? el.name).text;
+        for (const decl of declsByName.get(local) ?? []) addDeclaration(slots, decl, el.name.text, local);
+      }
+    } else if (!exportAssignment && (implicitExports || hasExportModifier(s))) {
+      const isDefault = s.modifiers?.some((m) => m.kind === ts.SyntaxKind.DefaultKeyword);
+      for (const name of declaredNames(s)) addDeclaration(slots, s, isDefault ? "default" : name, name);
+      if (isDefault && declaredNames(s).length === 0) addDeclaration(slots, s, "default");
+    }
+  }
+  return { libName: ambient?.name.text, slots, aliases };
+}
+
+function declaredNames(s) {
+  if (ts.isVariableStatement(s)) {
+    return s.declarationList.declarations.filter((d) => ts.isIdentifier(d.name)).map((d) => d.name.text);
+  }
+  if ((ts.isFunctionDeclaration(s) || ts.isClassDeclaration(s) || ts.isModuleDeclaration(s)) && s.name) {
+    return ts.isIdentifier(s.name) ? [s.name.text] : [];
+  }
+  return [];
+}
+
+function hasExportModifier(s) {
+  return Boolean(ts.canHaveModifiers(s) && s.modifiers?.some((m) => m.kind === ts.SyntaxKind.ExportKeyword));
+}
+
+// owner "" means "the members of this namespace are top-level owners"; `name` picks the
+// variable of a multi-declaration statement.
+function addDeclaration(slots, decl, owner, name) {
+  const set = (id, type) => {
+    if (type && !slots.has(id)) slots.set(id, type); // first overload wins
+  };
+  const prefixed = (member) => (owner ? `${owner}.${member}` : member);
+  if (ts.isFunctionDeclaration(decl)) {
+    addSignature(set, owner, decl);
+  } else if (ts.isVariableStatement(decl)) {
+    for (const d of decl.declarationList.declarations) {
+      if (ts.isIdentifier(d.name) && (name === undefined || d.name.text === name)) set(`${owner}:value`, d.type);
+    }
+  } else if (ts.isClassDeclaration(decl)) {
+    for (const m of decl.members) {
+      const isStatic = m.modifiers?.some((mod) => mod.kind === ts.SyntaxKind.StaticKeyword);
+      if (ts.isConstructorDeclaration(m)) {
+        m.parameters.forEach((p, i) => set(`${owner}:ctor:param:${i}`, p.type));
+      } else if (ts.isMethodDeclaration(m) && m.name) {
+        addSignature(set, `${owner}:${isStatic ? "staticMethod" : "method"}:${propertyName(m.name)}`, m);
+      } else if (ts.isPropertyDeclaration(m) && m.name) {
+        set(`${owner}:${isStatic ? "staticProp" : "prop"}:${propertyName(m.name)}`, m.type);
+      }
+    }
+  } else if (ts.isModuleDeclaration(decl) && decl.body && ts.isModuleBlock(decl.body)) {
+    for (const s of decl.body.statements) {
+      for (const member of declaredNames(s)) addDeclaration(slots, s, prefixed(member), member);
+    }
+  }
+}
+
+function addSignature(set, prefix, sig) {
+  set(`${prefix}:return`, sig.type);
+  sig.parameters.forEach((p, i) => set(`${prefix}:param:${i}`, p.type));
+}
+
+function propertyName(name) {
+  return ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name) ? name.text : name.getText();
+}
+
+// Per-slot comparison. Slots missing from the prediction count as misses; predicted slots the
+// reference does not have are listed as extra and not scored. `default.x` and `x` are the same
+// slot (a namespace exported with `export =` versus its members merged into the module). Each
+// side expands its own aliases: the same alias name may stand for different types in the two files.
+export function scoreSlots(predicted, reference) {
+  const predictedIds = new Set(predicted.slots.keys());
+  const alternative = (id) => (id.startsWith("default.") ? id.slice("default.".length) : `default.${id}`);
+  const slots = [];
+  for (const [slotId, refNode] of reference.slots) {
+    const predId = [slotId, alternative(slotId)].find((id) => predicted.slots.has(id));
+    predictedIds.delete(predId);
+    const predNode = predId ? predicted.slots.get(predId) : undefined;
+    const row = { slotId, reference: typeText(refNode), predicted: predNode ? typeText(predNode) : undefined };
+    if (!predNode) {
+      slots.push({ ...row, exact: false, normalized: false, baseType: false });
+      continue;
+    }
+    const refBase = baseType(refNode, reference.aliases, 0);
+    const predBase = baseType(predNode, predicted.aliases, 0);
+    slots.push({
+      ...row,
+      referenceBase: refBase,
+      predictedBase: predBase,
+      exact: row.reference === row.predicted,
+      normalized: canonical(refNode, reference.aliases, 0) === canonical(predNode, predicted.aliases, 0),
+      baseType: refBase === predBase,
+    });
+  }
+  const extra = [...predictedIds].map((slotId) => ({ slotId, predicted: typeText(predicted.slots.get(slotId)) }));
+  return { slots, extra };
+}
+
+// Totals over slot rows (of one library, or of every library of a condition).
+export function aggregateScores(slots, extraCount = 0) {
+  const count = (key) => slots.filter((s) => s[key]).length;
+  const total = slots.length;
+  const rate = (n) => (total ? n / total : 0);
+  const exact = count("exact");
+  const normalized = count("normalized");
+  const baseTypeMatches = count("baseType");
+  return {
+    reference_slots: total,
+    predicted_slots: slots.filter((s) => s.predicted !== undefined).length,
+    missing_slots: slots.filter((s) => s.predicted === undefined).length,
+    extra_slots: extraCount,
+    exact,
+    normalized,
+    base_type: baseTypeMatches,
+    exact_rate: rate(exact),
+    normalized_rate: rate(normalized),
+    base_type_rate: rate(baseTypeMatches),
+  };
+}
+
+function typeText(node) {
+  return node ? node.getText().replace(/\s+/g, " ").trim() : "any";
+}
+
+// Canonical text of a type, see the header. Aliases are expanded a few levels deep only, so
+// recursive aliases stay finite.
+function canonical(node, aliases, depth) {
+  if (!node) return "any";
+  const sub = (n) => canonical(n, aliases, depth);
+  if (ts.isParenthesizedTypeNode(node)) return sub(node.type);
+  if (ts.isUnionTypeNode(node) || ts.isIntersectionTypeNode(node)) {
+    const parts = [...new Set(node.types.map(sub))].sort();
+    return parts.length === 1 ? parts[0] : parts.join(ts.isUnionTypeNode(node) ? " | " : " & ");
+  }
+  if (ts.isArrayTypeNode(node)) return arrayOf(sub(node.elementType));
+  if (ts.isTypeOperatorNode(node) && node.operator === ts.SyntaxKind.ReadonlyKeyword) return sub(node.type);
+  if (ts.isTypeReferenceNode(node)) {
+    const name = ts.isQualifiedName(node.typeName) ? node.typeName.right.text : node.typeName.text;
+    const args = node.typeArguments ?? [];
+    if ((name === "Array" || name === "ReadonlyArray") && args.length === 1) return arrayOf(sub(args[0]));
+    if (args.length === 0 && aliases.has(name) && depth < 5) return canonical(aliases.get(name), aliases, depth + 1);
+    return args.length ? `${name}<${args.map(sub).join(", ")}>` : name;
+  }
+  if (ts.isFunctionTypeNode(node) || ts.isConstructorTypeNode(node)) {
+    const params = node.parameters.map(
+      (p) => `${p.dotDotDotToken ? "..." : ""}${sub(p.type)}${p.questionToken ? "?" : ""}`,
+    );
+    return `${ts.isConstructorTypeNode(node) ? "new " : ""}(${params.join(", ")}) => ${sub(node.type)}`;
+  }
+  if (ts.isTupleTypeNode(node)) return `[${node.elements.map(sub).join(", ")}]`;
+  if (ts.isNamedTupleMember(node)) return sub(node.type);
+  if (ts.isTypeLiteralNode(node)) {
+    const members = node.members.map((m) => {
+      if (ts.isPropertySignature(m)) return `${m.name.getText()}${m.questionToken ? "?" : ""}: ${sub(m.type)}`;
+      if (ts.isMethodSignature(m)) {
+        return `${m.name.getText()}(${m.parameters.map((p) => sub(p.type)).join(", ")}): ${sub(m.type)}`;
+      }
+      return m.getText().replace(/\s+/g, " ").replace(/;$/, "");
+    });
+    return `{ ${members.sort().join("; ")} }`;
+  }
+  return node.getText().replace(/\s+/g, " ").trim();
+}
+
+function arrayOf(element) {
+  return /[|&>]|=>/.test(element) && !element.endsWith("]") ? `(${element})[]` : `${element}[]`;
+}
+
+const KEYWORD_BASES = new Map([
+  [ts.SyntaxKind.StringKeyword, "string"],
+  [ts.SyntaxKind.NumberKeyword, "number"],
+  [ts.SyntaxKind.BooleanKeyword, "boolean"],
+  [ts.SyntaxKind.BigIntKeyword, "bigint"],
+  [ts.SyntaxKind.SymbolKeyword, "symbol"],
+  [ts.SyntaxKind.AnyKeyword, "any"],
+  [ts.SyntaxKind.UnknownKeyword, "unknown"],
+  [ts.SyntaxKind.VoidKeyword, "void"],
+  [ts.SyntaxKind.UndefinedKeyword, "undefined"],
+  [ts.SyntaxKind.NeverKeyword, "never"],
+  [ts.SyntaxKind.ObjectKeyword, "object"],
+]);
+
+// Coarse kind of a type: literals fold into their primitive, arrays/tuples into "array",
+// function types into "function", object literals and interface/class references into "object";
+// other references keep their name (Promise, Date, Map). Unions list the distinct kinds.
+function baseType(node, aliases, depth) {
+  if (!node) return "any";
+  const sub = (n) => baseType(n, aliases, depth);
+  if (KEYWORD_BASES.has(node.kind)) return KEYWORD_BASES.get(node.kind);
+  if (ts.isParenthesizedTypeNode(node)) return sub(node.type);
+  if (ts.isLiteralTypeNode(node)) {
+    const lit = node.literal;
+    if (ts.isStringLiteral(lit) || ts.isNoSubstitutionTemplateLiteral(lit)) return "string";
+    if (ts.isNumericLiteral(lit) || ts.isPrefixUnaryExpression(lit)) return "number";
+    if (lit.kind === ts.SyntaxKind.TrueKeyword || lit.kind === ts.SyntaxKind.FalseKeyword) return "boolean";
+    if (lit.kind === ts.SyntaxKind.NullKeyword) return "null";
+    return "literal";
+  }
+  if (ts.isTemplateLiteralTypeNode(node)) return "string";
+  if (ts.isUnionTypeNode(node)) return [...new Set(node.types.map(sub))].sort().join(" | ");
+  if (ts.isArrayTypeNode(node) || ts.isTupleTypeNode(node)) return "array";
+  if (ts.isTypeOperatorNode(node)) return sub(node.type);
+  if (ts.isFunctionTypeNode(node) || ts.isConstructorTypeNode(node)) return "function";
+  if (ts.isTypeLiteralNode(node) || ts.isMappedTypeNode(node) || ts.isIntersectionTypeNode(node)) return "object";
+  if (ts.isTypeReferenceNode(node)) {
+    const name = ts.isQualifiedName(node.typeName) ? node.typeName.right.text : node.typeName.text;
+    if (name === "Array" || name === "ReadonlyArray") return "array";
+    if (name === "Record" || name === "Partial" || name === "Readonly" || name === "Object") return "object";
+    if (name === "Function") return "function";
+    if (aliases.has(name) && depth < 5) return baseType(aliases.get(name), aliases, depth + 1);
+    // interfaces and classes of the library itself
+    return BUILTIN_REFERENCES.has(name) ? name : "object";
+  }
+  return "other";
+}
+
+const BUILTIN_REFERENCES = new Set([
+  "Promise", "PromiseLike", "Date", "RegExp", "Map", "Set", "WeakMap", "WeakSet", "Error", "Buffer",
+  "Uint8Array", "ArrayBuffer", "Iterable", "Iterator", "AsyncIterable", "AsyncIterator",
+]);
@@ -0,0 +1,35 @@
+import { existsSync, readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+// A TypeScript installation given by the directory of its package (node_modules/typescript,
+// or a package unpacked into an offline cache such as /opt/ts-cache/typescript-5.4.5/package).
+// The version comes from its package.json, so it is known without running the compiler.
+export function resolveTypeScriptInstall(dir) {
+  const root = path.resolve(dir);
+  const pkgPath = path.join(root, "package.json");
+  const tsc = path.join(root, "bin", "tsc");
+  if (!existsSync(pkgPath)) {
+    throw new Error(`No typescript package at ${dir} (package.json not found)`);
+  }
+  const pkg = JSON.parse(readFileSync(pkgPath, "utf8"));
+  if (pkg.name !== "typescript" || !existsSync(tsc)) {
+    throw new Error(`${dir} is not a typescript package (expected name "typescript" with bin/tsc)`);
+  }
+  return { path: root, version: pkg.version, tsc };
+}
+
+// The installation a consumer's own typecheck script would pick up, if it has one.
+export function findProjectTypeScript(projectDir) {
+  const dir = path.join(projectDir, "node_modules", "typescript");
+  try {
+    return resolveTypeScriptInstall(dir);
+  } catch {
+    return undefined;
+  }
+}
+
+// Compiler API of an installation (for the in-process checker).
+export function loadTypeScriptModule(install) {
+  return createRequire(path.join(install.path, "package.json"))(install.path);
+}
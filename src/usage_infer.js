@@ -0,0 +1,497 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ts from "typescript";
+import { glob } from "glob";
+import { isDeclarableName } from "./query_builder.js";
+
+// Usage-derived declarations for a library the consumer imports: every binding of the library is
+// followed through the consumer's TypeScript sources, and what is done with it decides its shape.
+//   f(a, b)        callable, arity 2 (arities seen across calls make the extra params optional)
+//   new C()        constructable; uses of the instance describe the instance type
+//   x.p / x["p"]   property p (its own uses describe its type)
+//   x === "a"      literal type compared against (also `switch (x) { case "a": }`)
+//   x = 1          literal assigned, widened to its primitive type
+//   const v: number = x   annotated target type, when it only uses built-in types
+//   await x        promise of the awaited uses
+//   let v: T / T<A>       used as a type (with the number of type arguments)
+// Bindings come from default, named, namespace and type-only imports, `import x = require()`,
+// `const x = require()`, `import()` and `import("lib").T` types. Local aliases
+// (`const app = lib()`, `const { a } = lib`) are followed within a file; shadowing is not tracked.
+//
+// A usage is { named: Map<name, Shape>, default: Shape, module: Shape, bindings }; `module` is the
+// namespace / require binding, whose properties are the named exports.
+
+export const CONSUMER_SOURCE_GLOB = "**/*.{ts,tsx,mts,cts}";
+
+export function createUsage() {
+  const module = newShape();
+  const usage = { module, named: module.props, default: newShape(), bindings: 0 };
+  module.props.set("default", usage.default);
+  return usage;
+}
+
+// Usage of `libName` over the consumer's sources (node_modules excluded).
+export async function collectUsage(consumerPath, libName) {
+  const usage = createUsage();
+  const files = await glob(CONSUMER_SOURCE_GLOB, {
+    cwd: consumerPath,
+    absolute: true,
+    ignore: ["**/node_modules/**"],
+  });
+  for (const file of files.sort()) {
+    analyzeSource(usage, await fs.readFile(file, "utf8"), file, libName);
+  }
+  return usage;
+}
+
+// Adds the uses of `libName` in one source text to `usage`.
+export function analyzeSource(usage, text, fileName, libName) {
+  const sf = ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true);
+  const identifiers = new Map();
+  const aliases = [];
+  const bind = (name, shape) => aliases.push([name, shape]);
+  const isLib = (node) => node && ts.isStringLiteralLike(node) && node.text === libName;
+
+  const visit = (node) => {
+    if (ts.isIdentifier(node)) {
+      const list = identifiers.get(node.text) ?? [];
+      list.push(node);
+      identifiers.set(node.text, list);
+    } else if (ts.isImportDeclaration(node) && isLib(node.moduleSpecifier)) {
+      usage.bindings++;
+      const clause = node.importClause;
+      const typeOnly = Boolean(clause?.isTypeOnly);
+      if (clause?.name) bindImported(usage.default, clause.name.text, typeOnly, bind);
+      const bound = clause?.namedBindings;
+      if (bound && ts.isNamespaceImport(bound)) bind(bound.name.text, usage.module);
+      if (bound && ts.isNamedImports(bound)) {
+        for (const el of bound.elements) {
+          const imported = (el.propertyName ?? el.name).text;
+          bindImported(memberOf(usage.module, imported), el.name.text, typeOnly || el.isTypeOnly, bind);
+        }
+      }
+    } else if (
+      ts.isImportEqualsDeclaration(node) &&
+      ts.isExternalModuleReference(node.moduleReference) &&
+      isLib(node.moduleReference.expression)
+    ) {
+      usage.bindings++;
+      bind(node.name.text, usage.module);
+    } else if (ts.isCallExpression(node) && isLib(node.arguments[0])) {
+      usage.bindings++;
+      if (node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+        // import("lib") is a promise of the module
+        const promise = newShape();
+        promise.awaited = usage.module;
+        followExpression(node, promise, bind);
+      } else if (ts.isIdentifier(node.expression) && node.expression.text === "require") {
+        followExpression(node, usage.module, bind);
+      }
+    } else if (ts.isImportTypeNode(node) && ts.isLiteralTypeNode(node.argument) && isLib(node.argument.literal)) {
+      usage.bindings++;
+      if (node.qualifier) {
+        recordTypeUse(memberOf(usage.module, leftmost(node.qualifier)), node.typeArguments);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sf);
+
+  // aliases found while following one binding are followed in turn
+  const done = new Set();
+  while (aliases.length) {
+    const [name, shape] = aliases.shift();
+    const key = `${name}\0${shapeId(shape)}`;
+    if (done.has(key)) continue;
+    done.add(key);
+    for (const id of identifiers.get(name) ?? []) {
+      if (isReference(id)) recordUse(id, shape, bind);
+    }
+  }
+  return usage;
+}
+
+function bindImported(shape, localName, typeOnly, bind) {
+  if (!typeOnly) shape.imported = true;
+  bind(localName, shape);
+}
+
+// Shape: what has been seen done with one value.
+function newShape() {
+  return {
+    props: new Map(),
+    calls: undefined, // { min, max, rest }
+    returns: undefined,
+    constructs: undefined,
+    instance: undefined,
+    awaited: undefined,
+    literals: new Set(),
+    hints: new Set(),
+    indexed: false,
+    imported: false,
+    value: false,
+    typeArgs: undefined, // number of type arguments when used as a type
+  };
+}
+
+const shapeIds = new WeakMap();
+function shapeId(shape) {
+  if (!shapeIds.has(shape)) shapeIds.set(shape, shapeIds.size + 1);
+  return shapeIds.get(shape);
+}
+
+function memberOf(shape, name) {
+  if (!shape.props.has(name)) shape.props.set(name, newShape());
+  return shape.props.get(name);
+}
+
+function addArity(prev, args) {
+  const rest = args.some((a) => ts.isSpreadElement(a));
+  const n = args.filter((a) => !ts.isSpreadElement(a)).length;
+  if (!prev) return { min: n, max: n, rest };
+  return { min: Math.min(prev.min, n), max: Math.max(prev.max, n), rest: prev.rest || rest };
+}
+
+function recordTypeUse(shape, typeArguments) {
+  shape.typeArgs = Math.max(shape.typeArgs ?? 0, typeArguments?.length ?? 0);
+}
+
+function leftmost(entityName) {
+  return ts.isQualifiedName(entityName) ? leftmost(entityName.left) : entityName.text;
+}
+
+// Identifiers that refer to a binding, as opposed to declaring one or naming a property.
+function isReference(id) {
+  const p = id.parent;
+  if (ts.isPropertyAccessExpression(p) && p.name === id) return false;
+  if (ts.isQualifiedName(p) && p.right === id) return false;
+  if (ts.isPropertyAssignment(p) && p.name === id) return false;
+  if (ts.isBindingElement(p) && p.propertyName === id) return false;
+  if (
+    (ts.isVariableDeclaration(p) ||
+      ts.isParameter(p) ||
+      ts.isBindingElement(p) ||
+      ts.isFunctionDeclaration(p) ||
+      ts.isClassDeclaration(p) ||
+      ts.isInterfaceDeclaration(p) ||
+      ts.isTypeAliasDeclaration(p) ||
+      ts.isPropertyDeclaration(p) ||
+      ts.isMethodDeclaration(p) ||
+      ts.isPropertySignature(p) ||
+      ts.isMethodSignature(p) ||
+      ts.isImportEqualsDeclaration(p)) &&
+    p.name === id
+  ) {
+    return false;
+  }
+  return !(ts.isImportClause(p) || ts.isImportSpecifier(p) || ts.isNamespaceImport(p) || ts.isExportSpecifier(p));
+}
+
+function recordUse(id, shape, bind) {
+  const p = id.parent;
+  if (ts.isTypeReferenceNode(p)) return recordTypeUse(shape, p.typeArguments);
+  if (ts.isQualifiedName(p)) {
+    // ns.T in a type position
+    let q = p;
+    let member = memberOf(shape, p.right.text);
+    while (ts.isQualifiedName(q.parent)) {
+      q = q.parent;
+      member = memberOf(member, q.right.text);
+    }
+    if (ts.isTypeReferenceNode(q.parent)) recordTypeUse(member, q.parent.typeArguments);
+    return;
+  }
+  if (ts.isExpressionWithTypeArguments(p) && ts.isHeritageClause(p.parent)) {
+    recordTypeUse(shape, p.typeArguments);
+    const cls = p.parent.parent;
+    if (p.parent.token === ts.SyntaxKind.ExtendsKeyword && (ts.isClassDeclaration(cls) || ts.isClassExpression(cls))) {
+      shape.value = true;
+      shape.constructs = { ...(shape.constructs ?? { min: 0, max: 0 }), rest: true };
+      shape.instance ??= newShape();
+      shape.instance.indexed = true; // members of the subclass are not followed
+    }
+    return;
+  }
+  if (ts.isTypeQueryNode(p)) return;
+  followExpression(id, shape, bind);
+}
+
+// Uses of an expression whose value has `shape`.
+function followExpression(node, shape, bind) {
+  shape.value = true;
+  let expr = node;
+  while (
+    ts.isParenthesizedExpression(expr.parent) ||
+    ts.isNonNullExpression(expr.parent) ||
+    (ts.isAsExpression(expr.parent) && isConstAssertion(expr.parent.type))
+  ) {
+    expr = expr.parent;
+  }
+  const p = expr.parent;
+  if (ts.isPropertyAccessExpression(p) && p.expression === expr) {
+    return followExpression(p, memberOf(shape, p.name.text), bind);
+  }
+  if (ts.isElementAccessExpression(p) && p.expression === expr) {
+    const arg = p.argumentExpression;
+    if (ts.isStringLiteralLike(arg) || ts.isNumericLiteral(arg)) return followExpression(p, memberOf(shape, arg.text), bind);
+    shape.indexed = true;
+    return;
+  }
+  if (ts.isCallExpression(p) && p.expression === expr) {
+    shape.calls = addArity(shape.calls, p.arguments);
+    shape.returns ??= newShape();
+    return followExpression(p, shape.returns, bind);
+  }
+  if (ts.isNewExpression(p) && p.expression === expr) {
+    shape.constructs = addArity(shape.constructs, p.arguments ?? []);
+    shape.instance ??= newShape();
+    return followExpression(p, shape.instance, bind);
+  }
+  if (ts.isTaggedTemplateExpression(p) && p.tag === expr) {
+    shape.calls = addArity(shape.calls, []);
+    shape.calls.rest = true;
+    shape.returns ??= newShape();
+    return followExpression(p, shape.returns, bind);
+  }
+  if (ts.isAwaitExpression(p)) {
+    shape.awaited ??= newShape();
+    return followExpression(p, shape.awaited, bind);
+  }
+  if (ts.isBinaryExpression(p)) {
+    const op = p.operatorToken.kind;
+    const other = p.left === expr ? p.right : p.left;
+    if (EQUALITY_OPERATORS.includes(op)) {
+      const literal = literalType(other);
+      if (literal) shape.literals.add(literal);
+    } else if (op === ts.SyntaxKind.EqualsToken && p.left === expr) {
+      const literal = literalType(p.right);
+      if (literal) shape.hints.add(widen(literal));
+    }
+    return;
+  }
+  if (ts.isSwitchStatement(p) && p.expression === expr) {
+    for (const clause of p.caseBlock.clauses) {
+      const literal = ts.isCaseClause(clause) ? literalType(clause.expression) : undefined;
+      if (literal) shape.literals.add(literal);
+    }
+    return;
+  }
+  if (ts.isVariableDeclaration(p) && p.initializer === expr) {
+    if (p.type && isBuiltinType(p.type)) shape.hints.add(p.type.getText());
+    if (ts.isIdentifier(p.name)) bind(p.name.text, shape);
+    else if (ts.isObjectBindingPattern(p.name)) bindPattern(p.name, shape, bind);
+  }
+}
+
+function bindPattern(pattern, shape, bind) {
+  for (const el of pattern.elements) {
+    if (el.dotDotDotToken) continue;
+    const key = el.propertyName ?? el.name;
+    if (!ts.isIdentifier(key) && !ts.isStringLiteralLike(key)) continue;
+    const member = memberOf(shape, key.text);
+    member.value = true;
+    if (ts.isIdentifier(el.name)) bind(el.name.text, member);
+    else if (ts.isObjectBindingPattern(el.name)) bindPattern(el.name, member, bind);
+  }
+}
+
+const EQUALITY_OPERATORS = [
+  ts.SyntaxKind.EqualsEqualsEqualsToken,
+  ts.SyntaxKind.ExclamationEqualsEqualsToken,
+  ts.SyntaxKind.EqualsEqualsToken,
+  ts.SyntaxKind.ExclamationEqualsToken,
+];
+
+function isConstAssertion(type) {
+  return ts.isTypeReferenceNode(type) && ts.isIdentifier(type.typeName) && type.typeName.text === "const";
+}
+
+// Type text of a literal expression, or undefined.
+function literalType(node) {
+  if (ts.isStringLiteralLike(node)) return JSON.stringify(node.text);
+  if (ts.isNumericLiteral(node)) return String(Number(node.text));
+  if (
+    ts.isPrefixUnaryExpression(node) &&
+    node.operator === ts.SyntaxKind.MinusToken &&
+    ts.isNumericLiteral(node.operand)
+  ) {
+    return String(-Number(node.operand.text));
+  }
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return "true";
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return "false";
+  if (node.kind === ts.SyntaxKind.NullKeyword) return "null";
+  if (ts.isIdentifier(node) && node.text === "undefined") return "undefined";
+  return undefined;
+}
+
+function widen(literal) {
+  if (literal.startsWith('"')) return "string";
+  if (literal === "true" || literal === "false") return "boolean";
+  if (literal === "null" || literal === "undefined") return literal;
+  return "number";
+}
+
+// Annotations that mean the same thing in the generated declaration file.
+function isBuiltinType(type) {
+  if (ts.isParenthesizedTypeNode(type)) return isBuiltinType(type.type);
+  if (ts.isArrayTypeNode(type)) return isBuiltinType(type.elementType);
+  if (ts.isUnionTypeNode(type)) return type.types.every(isBuiltinType);
+  if (ts.isLiteralTypeNode(type)) return true;
+  return BUILTIN_TYPE_KINDS.includes(type.kind);
+}
+
+const BUILTIN_TYPE_KINDS = [
+  ts.SyntaxKind.StringKeyword,
+  ts.SyntaxKind.NumberKeyword,
+  ts.SyntaxKind.BooleanKeyword,
+  ts.SyntaxKind.BigIntKeyword,
+  ts.SyntaxKind.SymbolKeyword,
+  ts.SyntaxKind.UnknownKeyword,
+  ts.SyntaxKind.AnyKeyword,
+  ts.SyntaxKind.NullKeyword,
+  ts.SyntaxKind.UndefinedKeyword,
+];
+
+// ---- rendering ----
+
+// Type text of a shape; `any` when nothing constrains it.
+export function renderShapeType(shape) {
+  if (!shape) return "any";
+  const members = [];
+  if (shape.calls) members.push(`(${renderParams(shape.calls)}): ${renderShapeType(shape.returns)}`);
+  if (shape.constructs) members.push(`new (${renderParams(shape.constructs)}): ${renderShapeType(shape.instance)}`);
+  for (const [name, prop] of shape.props) {
+    members.push(`${propertyKey(name)}: ${renderShapeType(prop)}`);
+  }
+  if (shape.indexed) members.push("[key: string]: any");
+  if (members.length === 1 && shape.calls) {
+    return `(${renderParams(shape.calls)}) => ${renderShapeType(shape.returns)}`;
+  }
+  if (members.length) return `{ ${members.join("; ")} }`;
+  const primitives = [...shape.hints, ...shape.literals];
+  if (primitives.length) return [...new Set(primitives)].join(" | ");
+  if (shape.awaited) return `Promise<${renderShapeType(shape.awaited)}>`;
+  return "any";
+}
+
+function renderParams({ min, max, rest }) {
+  const params = [];
+  for (let i = 0; i < max; i++) params.push(`a${i}${i < min ? "" : "?"}: any`);
+  if (rest) params.push("...rest: any[]");
+  return params.join(", ");
+}
+
+function propertyKey(name) {
+  return isDeclarableName(name) || /^\d+$/.test(name) ? name : JSON.stringify(name);
+}
+
+function typeParams(shape) {
+  const n = shape.typeArgs ?? 0;
+  return n ? `<${Array.from({ length: n }, (_, i) => `T${i} = any`).join(", ")}>` : "";
+}
+
+// Declarations of one binding, e.g. ["export class Foo { ... }", "export type Bar = any;"].
+function renderBinding(name, shape, prefix) {
+  const lines = [];
+  const isClass = shape.constructs && !shape.calls;
+  const isValue = shape.value || shape.imported || shape.typeArgs === undefined;
+  if (isClass) {
+    const body = [`constructor(${renderParams(shape.constructs)});`];
+    for (const [prop, propShape] of shape.props) {
+      if (isDeclarableName(prop)) body.push(`static ${prop}: ${renderShapeType(propShape)};`);
+    }
+    for (const [prop, propShape] of shape.instance?.props ?? []) {
+      body.push(`${propertyKey(prop)}: ${renderShapeType(propShape)};`);
+    }
+    if (shape.instance?.indexed) body.push("[key: string]: any;");
+    lines.push(`${prefix}class ${name}${typeParams(shape)} {\n${indent(body)}\n}`);
+    return lines;
+  }
+  if (isValue) {
+    if (shape.calls && shape.props.size === 0 && !shape.indexed) {
+      lines.push(`${prefix}function ${name}(${renderParams(shape.calls)}): ${renderShapeType(shape.returns)};`);
+    } else {
+      lines.push(`${prefix}const ${name}: ${renderShapeType(shape)};`);
+    }
+  }
+  if (shape.typeArgs !== undefined) lines.push(`${prefix}type ${name}${typeParams(shape)} = any;`);
+  return lines;
+}
+
+function indent(lines) {
+  return lines.map((l) => `  ${l.replace(/\n/g, "\n  ")}`).join("\n");
+}
+
+// `declare module "<libName>"` block for a usage. Named exports become `export` declarations and
+// the default import `export default`. A namespace / require binding that is called or
+// constructed makes the module `export =` a function or class, merged with a namespace holding
+// the named exports. Without any binding the module is `export = any`, as the plain stub was.
+export function renderUsageDts(libName, usage) {
+  const named = [...usage.named].filter(([name]) => name !== "default" && isDeclarableName(name));
+  let body;
+  if (usage.bindings === 0) {
+    body = ["const _default: any;", "export = _default;"];
+  } else if (usage.module.calls || usage.module.constructs) {
+    const mod = usage.module;
+    const head = mod.constructs
+      ? renderBinding("_exports", { ...mod, calls: undefined, props: new Map() }, "")
+      : [`function _exports(${renderParams(mod.calls)}): ${renderShapeType(mod.returns)};`];
+    const members = named.flatMap(([name, shape]) => renderBinding(name, shape, "export "));
+    body = [...head];
+    if (members.length) body.push(`namespace _exports {\n${indent(members)}\n}`);
+    body.push("export = _exports;");
+  } else {
+    body = named.flatMap(([name, shape]) => renderBinding(name, shape, "export "));
+    const def = usage.default;
+    body.push(...(def.value || def.imported ? renderBinding("_default", def, "") : ["const _default: any;"]));
+    body.push("export default _default;");
+  }
+  return `declare module "${libName}" {\n${indent(body)}\n}\n`;
+}
+
+// API surface entries (extract-api format) for the named exports of a usage, so that the
+// predictor gets one slot per observed parameter, return, member and value.
+export function usageSurfaceExports(usage) {
+  return [...usage.named]
+    .filter(([name, shape]) => name !== "default" && isDeclarableName(name) && (shape.value || shape.imported))
+    .map(([name, shape]) => surfaceItem(name, shape));
+}
+
+function surfaceItem(name, shape) {
+  if (shape.constructs && !shape.calls) {
+    const instanceProps = [...(shape.instance?.props ?? [])].filter(([n]) => isDeclarableName(n));
+    const staticProps = [...shape.props].filter(([n]) => isDeclarableName(n));
+    const members = [
+      ...instanceProps.map(([n, s]) => [n, s, false]),
+      ...staticProps.map(([n, s]) => [n, s, true]),
+    ];
+    return {
+      kind: "class",
+      name,
+      ctorParams: surfaceParams(shape.constructs),
+      methods: members.filter(([, s]) => s.calls).map(([n, s, isStatic]) => ({ name: n, static: isStatic, params: surfaceParams(s.calls) })),
+      properties: members.filter(([, s]) => !s.calls).map(([n, , isStatic]) => ({ name: n, static: isStatic })),
+    };
+  }
+  if (shape.calls) return { kind: "function", name, params: surfaceParams(shape.calls) };
+  const members = [...shape.props].filter(([n]) => isDeclarableName(n));
+  if (members.length) return { kind: "object", name, members: members.map(([n, s]) => surfaceItem(n, s)) };
+  return { kind: "const", name };
+}
+
+function surfaceParams({ min, max, rest }) {
+  const params = [];
+  for (let i = 0; i < max; i++) params.push(i < min ? `a${i}` : { name: `a${i}`, optional: true });
+  if (rest) params.push({ name: "rest", rest: true });
+  return params;
+}
+
+// Writes <baseDir>/<libName>/index.d.ts for the consumer's usage of libName.
+export async function writeUsageDts(libName, baseDir, consumerPath) {
+  const usage = consumerPath ? await collectUsage(consumerPath, libName) : createUsage();
+  const dir = path.join(baseDir, libName);
+  await fs.mkdir(dir, { recursive: true });
+  const outPath = path.join(dir, "index.d.ts");
+  await fs.writeFile(outPath, renderUsageDts(libName, usage), "utf8");
+  return outPath;
+}
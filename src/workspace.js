@@ -0,0 +1,99 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { registerCleanup, unregisterCleanup } from "./cleanup.js";
+
+// Throwaway overlay of a consumer project for non-destructive evaluation.
+// Project files are copied (they are small and get rewritten: tsconfig normalization,
+// tsconfig.injected.json); each node_modules entry is symlinked to the original, so installs
+// are shared without being copied. Anything under node_modules that is about to be written
+// must first go through detach(), which swaps the symlinks on that path for real directories.
+export class Overlay {
+  constructor(sourceDir, root) {
+    this.sourceDir = sourceDir;
+    this.root = root;
+  }
+
+  // Makes `relPath` (and every directory leading to it) private to the overlay. Directories
+  // that were symlinks become real directories whose children are symlinks to the original.
+  async detach(relPath) {
+    let current = this.root;
+    for (const part of path.normalize(relPath).split(path.sep).filter(Boolean)) {
+      current = path.join(current, part);
+      const stat = await lstatOrUndefined(current);
+      if (!stat?.isSymbolicLink()) continue;
+      const target = await fs.realpath(current);
+      await fs.unlink(current);
+      if ((await fs.stat(target)).isDirectory()) {
+        await fs.mkdir(current);
+        await linkChildren(target, current);
+      } else {
+        await fs.copyFile(target, current);
+      }
+    }
+    return current;
+  }
+
+  // Maps a path inside the overlay back to the original project (e.g. diagnostic file paths).
+  toSource(p) {
+    const rel = path.relative(this.root, p);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) return p;
+    return path.join(this.sourceDir, rel);
+  }
+
+  async dispose() {
+    unregisterCleanup(this.root);
+    // fs.rm unlinks symlinks instead of following them, so the original tree is left alone
+    await fs.rm(this.root, { recursive: true, force: true });
+  }
+}
+
+export async function createOverlay(sourceDir, options = {}) {
+  const source = path.resolve(sourceDir);
+  const tmpRoot = options.tmpRoot ?? os.tmpdir();
+  await fs.mkdir(tmpRoot, { recursive: true });
+  // realpath: tsc reports resolved paths, which must line up with toSource()
+  const root = await fs.realpath(await fs.mkdtemp(path.join(tmpRoot, `overlay-${path.basename(source)}-`)));
+  try {
+    await copyTree(source, root);
+  } catch (err) {
+    await fs.rm(root, { recursive: true, force: true });
+    throw err;
+  }
+  const overlay = new Overlay(source, root);
+  registerCleanup(root, () => fs.rm(root, { recursive: true, force: true }));
+  return overlay;
+}
+
+async function copyTree(from, to) {
+  for (const entry of await fs.readdir(from, { withFileTypes: true })) {
+    const src = path.join(from, entry.name);
+    const dest = path.join(to, entry.name);
+    if (entry.isSymbolicLink()) {
+      // point at what the original link resolves to; a relative link would dangle in the copy
+      await fs.symlink(path.resolve(from, await fs.readlink(src)), dest);
+    } else if (entry.isDirectory() && (entry.name === "node_modules" || entry.name === ".git")) {
+      await fs.mkdir(dest);
+      await linkChildren(src, dest);
+    } else if (entry.isDirectory()) {
+      await fs.mkdir(dest);
+      await copyTree(src, dest);
+    } else if (entry.isFile()) {
+      await fs.copyFile(src, dest);
+    }
+  }
+}
+
+async function linkChildren(from, to) {
+  for (const name of await fs.readdir(from)) {
+    await fs.symlink(path.join(from, name), path.join(to, name));
+  }
+}
+
+async function lstatOrUndefined(p) {
+  try {
+    return await fs.lstat(p);
+  } catch {
+    return undefined;
+  }
+}
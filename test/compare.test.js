@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function writeJsonl(p, rows) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, rows.map((r) => JSON.stringify(r)).join("\n") + "\n");
+}
+
+function compare(...args) {
+  return spawnSync("node", ["run.js", "compare", ...args], { encoding: "utf8" });
+}
+
+test("compare matches experiment rows by scenario, mode and condition and fails on regressions", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "compare-"));
+  try {
+    const row = (conditionId, scenarioId, mode, status, extra = {}) => ({
+      scenarioId,
+      mode,
+      status,
+      conditionId,
+      durationMs: 1000,
+      ...extra,
+    });
+    const expA = path.join(tmp, "exp-a");
+    const expB = path.join(tmp, "exp-b");
+    writeJsonl(path.join(expA, "OURS", "results.eval.jsonl"), [
+      row("OURS", "s1", "predicted", "success"),
+      row("OURS", "s2", "predicted", "type_error", { errorCode: "TS2322", errorCounts: { TS2322: 2 } }),
+      row("OURS", "s3", "predicted", "success"),
+    ]);
+    writeJsonl(path.join(expB, "OURS", "results.eval.jsonl"), [
+      row("OURS", "s1", "predicted", "type_error", { errorCode: "TS2339", errorCounts: { TS2339: 1 } }),
+      row("OURS", "s2", "predicted", "success"),
+      row("OURS", "s3", "predicted", "success", { durationMs: 4000 }),
+      row("OURS", "s4", "predicted", "success"),
+    ]);
+
+    const jsonPath = path.join(tmp, "cmp.json");
+    const res = compare(expA, expB, "--json", jsonPath);
+    assert.equal(res.status, 1, res.stderr);
+    assert.match(res.stdout, /Regressions \(success -> failure\): 1/);
+    assert.match(res.stdout, /s1 \[OURS\/predicted\]: success -> type_error/);
+    assert.match(res.stdout, /s2 \[OURS\/predicted\]: type_error -> success/);
+    assert.match(res.stdout, /s1 \[OURS\/predicted\]: TS2339 \+1/);
+    assert.match(res.stdout, /s2 \[OURS\/predicted\]: TS2322 -2/);
+    assert.match(res.stdout, /s3 \[OURS\/predicted\]: 1000ms -> 4000ms \(\+3000ms\)/);
+
+    const cmp = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    assert.equal(cmp.matched, 3);
+    assert.deepEqual(cmp.onlyB, ["s4 [OURS/predicted]"]);
+    assert.deepEqual(cmp.fixes.map((f) => f.label), ["s2 [OURS/predicted]"]);
+
+    // a condition dir on one side and its results file on the other; no regressions -> exit 0
+    const same = compare(path.join(expB, "OURS"), path.join(expB, "OURS", "results.eval.jsonl"));
+    assert.equal(same.status, 0, same.stderr);
+    assert.match(same.stdout, /Matched rows: 4 \(only in A: 0, only in B: 0\)/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("compare reads harness and repair run directories", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "compare-"));
+  try {
+    const project = path.join(tmp, "proj");
+    const harnessA = path.join(tmp, "a-harness");
+    const harnessB = path.join(tmp, "b-harness");
+    writeJsonl(path.join(harnessA, "results.jsonl"), [{ project, status: "success", condition: "legacy", durationMs: 10 }]);
+    writeJsonl(path.join(harnessB, "results.jsonl"), [{ project, status: "success", condition: "legacy", durationMs: 900 }]);
+    const out = execFileSync("node", ["run.js", "compare", harnessA, harnessB], { encoding: "utf8" });
+    assert.match(out, /Matched rows: 1 \(only in A: 0, only in B: 0\)/);
+    assert.match(out, /Regressions \(success -> failure\): 0/);
+    assert.match(out, /10ms -> 900ms/);
+
+    const repairA = path.join(tmp, "a-repair");
+    const repairB = path.join(tmp, "b-repair");
+    for (const [dir, repaired] of [
+      [repairA, "success"],
+      [repairB, "type_error"],
+    ]) {
+      writeJsonl(path.join(dir, "results.baseline.jsonl"), [{ project, status: "type_error", condition: "repair" }]);
+      writeJsonl(path.join(dir, "results.repaired.jsonl"), [{ project, status: repaired, condition: "repair" }]);
+    }
+    const res = compare(repairA, repairB);
+    assert.equal(res.status, 1);
+    assert.match(res.stdout, /Matched rows: 2 /);
+    assert.match(res.stdout, /proj \[repair\/repaired\]: success -> type_error/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
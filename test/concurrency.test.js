@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { KeyedLock, mapPool } from "../src/concurrency.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestScenarioRunDir() {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith("-scenarios"))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+test("mapPool bounds in-flight work and keeps results in input order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const delays = [30, 5, 20, 1, 10];
+  const out = await mapPool(delays, 2, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test("KeyedLock serializes tasks with the same key only", async () => {
+  const lock = new KeyedLock();
+  const events = [];
+  const task = (key, name, ms) =>
+    lock.run(key, async () => {
+      events.push(`${name}:start`);
+      await sleep(ms);
+      events.push(`${name}:end`);
+    });
+  await Promise.all([task("a", "a1", 20), task("a", "a2", 1), task("b", "b1", 1)]);
+  assert.ok(events.indexOf("a2:start") > events.indexOf("a1:end"), "same key waits");
+  assert.ok(events.indexOf("b1:end") < events.indexOf("a1:end"), "other keys run alongside");
+});
+
+test("eval --concurrency: scenarios sharing a consumer do not collide and results stay in order", async (t) => {
+  ensureFixtureNodeModules();
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const tsconfigBefore = fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scenarios-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ids = ["c-third", "a-first", "b-second"];
+  for (const id of ids) {
+    fs.writeFileSync(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({
+        id,
+        consumerPath: consumer,
+        libraryName: "lib-no-types",
+        predictedDtsPath: path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"),
+      }),
+    );
+  }
+
+  execFileSync("node", ["run.js", "eval", "--scenarios", `${dir}/*.json`, "--concurrency", "3"], {
+    stdio: "inherit",
+  });
+
+  const runDir = latestScenarioRunDir();
+  const rows = readJsonl(path.join(runDir, "results.eval.jsonl"));
+  assert.deepEqual(
+    rows.map((r) => `${r.scenarioId}/${r.mode}`),
+    ["a-first", "b-second", "c-third"].flatMap((id) => [`${id}/baseline`, `${id}/predicted`]),
+  );
+  for (const r of rows) {
+    assert.equal(r.status, r.mode === "baseline" ? "type_error" : "success");
+    assert.ok(fs.existsSync(path.resolve(process.cwd(), r.logPath)));
+  }
+  assert.equal(new Set(rows.map((r) => r.logPath)).size, rows.length);
+
+  // the consumer is left exactly as found
+  assert.equal(fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8"), tsconfigBefore);
+  assert.equal(fs.existsSync(path.join(consumer, "tsconfig.json.bak")), false);
+  assert.equal(fs.existsSync(path.join(consumer, "node_modules", "@types", "lib-no-types")), false);
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { diffDiagnostics, parseDiagnostics, summarizeDiagnostics } from "../src/diagnostics.js";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestRunDir(suffix) {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith(suffix))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+test("parseDiagnostics keeps every diagnostic with its continuation lines", () => {
+  const output = [
+    "src/a.ts(3,7): error TS2322: Type '{ foo: string; }' is not assignable to type 'Foo'.",
+    "  Types of property 'foo' are incompatible.",
+    "    Type 'string' is not assignable to type 'number'.",
+    "src/b.ts(10,1): error TS2322: Type 'string' is not assignable to type 'number'.",
+    "error TS5023: Unknown compiler option 'nope'.",
+    "",
+  ].join("\n");
+  const diags = parseDiagnostics(output, "/proj");
+  assert.deepEqual(
+    diags.map((d) => [d.filePath, d.line, d.col, d.code, d.related.length]),
+    [
+      ["/proj/src/a.ts", 3, 7, "TS2322", 2],
+      ["/proj/src/b.ts", 10, 1, "TS2322", 0],
+      [undefined, undefined, undefined, "TS5023", 0],
+    ],
+  );
+  assert.equal(diags[0].message, "Type '{ foo: string; }' is not assignable to type 'Foo'.");
+  assert.equal(diags[0].related[1], "Type 'string' is not assignable to type 'number'.");
+  assert.deepEqual(summarizeDiagnostics(diags), { errorCount: 3, errorCounts: { TS2322: 2, TS5023: 1 } });
+});
+
+test("scenario and project rows carry the full diagnostic list and per-code counts", async () => {
+  ensureFixtureNodeModules();
+
+  execFileSync("node", ["run.js", "eval", "--scenarios", "./scenarios/*.json"], { stdio: "inherit" });
+  const scenarioDir = latestRunDir("-scenarios");
+  const rows = readJsonl(path.join(scenarioDir, "results.eval.jsonl"));
+  const baseline = rows.find((r) => r.mode === "baseline");
+  assert.equal(baseline.errorCount, 1);
+  assert.deepEqual(baseline.errorCounts, { TS7016: 1 });
+  const [d] = baseline.diagnostics;
+  assert.equal(d.filePath, path.resolve(process.cwd(), "fixtures", "consumer-strict", "src", "index.ts"));
+  assert.equal(d.code, "TS7016");
+  assert.match(d.message, /Could not find a declaration file for module 'lib-no-types'/);
+  assert.match(d.related[0], /npm i --save-dev @types\/lib-no-types/);
+  const predicted = rows.find((r) => r.mode === "predicted");
+  assert.deepEqual(predicted.diagnostics, []);
+  assert.equal(predicted.errorCount, 0);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(scenarioDir, "summary.json"), "utf8"));
+  assert.equal(summary.metrics.baseline_error_total, 1);
+  assert.equal(summary.metrics.predicted_error_total, 0);
+
+  execFileSync("node", ["run.js", "--projects", "./fixtures/bad-project"], { stdio: "inherit" });
+  const [bad] = readJsonl(path.join(latestRunDir("-harness"), "results.jsonl"));
+  assert.deepEqual(bad.errorCounts, { TS2322: 1 });
+  assert.deepEqual([bad.diagnostics[0].line, bad.diagnostics[0].col], [2, 7]);
+});
+
+test("diffDiagnostics matches by fingerprint, ignoring line shifts", () => {
+  const d = (line, code, message) => ({ filePath: "/proj/src/a.ts", line, col: 1, code, message, related: [] });
+  const baseline = [
+    d(1, "TS7016", "Could not find a declaration file for module 'x'. '/proj/node_modules/x/index.js'"),
+    d(5, "TS2322", "Type 'string' is not assignable to type 'number'."),
+  ];
+  const predicted = [
+    d(7, "TS2322", "Type 'string' is not assignable to type 'number'."),
+    d(9, "TS2339", "Property 'a' does not exist on type 'X'."),
+    d(12, "TS2339", "Property 'b' does not exist on type 'X'."),
+  ];
+
+  const { resolved, introduced, persisted } = diffDiagnostics(baseline, predicted, "/proj");
+  assert.deepEqual(resolved.map((x) => x.code), ["TS7016"]);
+  assert.match(resolved[0].fingerprint, /^src\/a\.ts\|TS7016\|.*'<root>\/node_modules\/x\/index\.js'$/);
+  assert.deepEqual(introduced.map((x) => [x.code, x.line]), [["TS2339", 9], ["TS2339", 12]]);
+  assert.deepEqual(persisted.map((x) => [x.code, x.baselineLine, x.line]), [["TS2322", 5, 7]]);
+});
+
+test("eval writes diff.jsonl and tells a clean win from a mixed result", async (t) => {
+  ensureFixtureNodeModules();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-scenarios-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const wrongDts = path.join(dir, "wrong", "index.d.ts");
+  fs.mkdirSync(path.dirname(wrongDts));
+  fs.writeFileSync(wrongDts, 'declare module "lib-no-types" {\n  export const foo: string;\n}\n');
+  const scenario = (id, predictedDtsPath) =>
+    fs.writeFileSync(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({
+        id,
+        consumerPath: path.resolve(process.cwd(), "fixtures", "consumer-strict"),
+        libraryName: "lib-no-types",
+        predictedDtsPath,
+      }),
+    );
+  scenario("clean", path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"));
+  scenario("mixed", wrongDts);
+
+  execFileSync("node", ["run.js", "eval", "--scenarios", `${dir}/*.json`], { stdio: "inherit" });
+  const runDir = latestRunDir("-scenarios");
+  const diffs = readJsonl(path.join(runDir, "diff.jsonl"));
+  assert.deepEqual(diffs.map((d) => [d.scenarioId, d.outcome]), [["clean", "clean_win"], ["mixed", "mixed"]]);
+  assert.deepEqual(diffs[1].resolvedByCode, { TS7016: 1 });
+  assert.deepEqual(diffs[1].introducedByCode, { TS2322: 1 });
+  assert.equal(diffs[1].introduced[0].file, "src/index.ts");
+
+  const summary = JSON.parse(fs.readFileSync(path.join(runDir, "summary.json"), "utf8"));
+  assert.deepEqual(summary.diagnostic_diff.outcomes, { clean_win: 1, mixed: 1, regression: 0, unchanged: 0 });
+  assert.deepEqual(summary.diagnostic_diff.resolved_by_code, { TS7016: 2 });
+  assert.deepEqual(summary.diagnostic_diff.introduced_by_code, { TS2322: 1 });
+});
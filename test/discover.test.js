@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { inspectPackage, isBareSpecifier, untypedImports } from "../src/discover.js";
+
+function latestRunDir(suffix) {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith(suffix))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+function writePackage(nodeModules, name, pkg, files = {}) {
+  const dir = path.join(nodeModules, ...name.split("/"));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ name, version: "1.2.3", ...pkg }));
+  for (const [file, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  return dir;
+}
+
+// alpha and @scope/beta are untyped; gamma ships types through `exports` only, which
+// moduleResolution "Node" does not read (TS7016 all the same); missing is not installed.
+function writeConsumer(root) {
+  const consumer = path.join(root, "projects", "app");
+  fs.mkdirSync(path.join(consumer, "src"), { recursive: true });
+  fs.writeFileSync(
+    path.join(consumer, "tsconfig.json"),
+    JSON.stringify({
+      compilerOptions: { target: "ES2020", module: "CommonJS", moduleResolution: "Node", strict: true, noEmit: true },
+      include: ["src/**/*.ts"],
+    }),
+  );
+  fs.writeFileSync(
+    path.join(consumer, "src", "index.ts"),
+    [
+      'import { a } from "alpha";',
+      'import { b } from "@scope/beta/sub";',
+      'import { g } from "gamma";',
+      'import { m } from "missing";',
+      'import { l } from "./local";',
+      "void [a, b, g, m, l];",
+      "",
+    ].join("\n"),
+  );
+  const nm = path.join(consumer, "node_modules");
+  writePackage(nm, "alpha", { main: "index.js" }, { "index.js": "exports.a = 1;\n" });
+  writePackage(nm, "@scope/beta", {}, { "index.js": "", "sub.js": "exports.b = 1;\n" });
+  writePackage(
+    nm,
+    "gamma",
+    { main: "index.js", exports: { ".": { types: "./types.d.ts", default: "./index.js" } } },
+    { "index.js": "exports.g = 1;\n", "types.d.ts": "export declare const g: number;\n" },
+  );
+  return consumer;
+}
+
+test("discover-scenarios writes one scenario per untyped library and skips typed or missing ones", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "discover-"));
+  try {
+    const consumer = writeConsumer(tmp);
+    const outDir = path.join(tmp, "scenarios");
+    const tsconfigBefore = fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8");
+
+    execFileSync("node", ["run.js", "discover-scenarios", "--projects", path.join(tmp, "projects", "*"), "--out", outDir], {
+      stdio: "inherit",
+    });
+
+    assert.deepEqual(fs.readdirSync(outDir).sort(), ["app--_scope_beta.json", "app--alpha.json"]);
+    const alpha = JSON.parse(fs.readFileSync(path.join(outDir, "app--alpha.json"), "utf8"));
+    assert.deepEqual(alpha, { id: "app--alpha", consumerPath: "../projects/app", libraryName: "alpha" });
+    assert.equal(fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8"), tsconfigBefore);
+
+    const decisions = readJsonl(path.join(latestRunDir("-discover"), "discovery.jsonl"));
+    const byLib = Object.fromEntries(decisions.map((d) => [d.libraryName, d]));
+    assert.equal(byLib.alpha.action, "written");
+    assert.equal(byLib.alpha.version, "1.2.3");
+    assert.equal(byLib["@scope/beta"].action, "written");
+    assert.deepEqual([byLib.gamma.action, byLib.gamma.reason], ["skipped", "ships_types"]);
+    assert.deepEqual([byLib.missing.action, byLib.missing.reason], ["skipped", "not_installed"]);
+
+    // the written files are loadable scenarios
+    const restore = execFileSync("node", ["run.js", "restore", "--scenarios", path.join(outDir, "*.json"), "--dry-run"], {
+      encoding: "utf8",
+    });
+    assert.match(restore, /Nothing to restore in 1 project/);
+    // ... but eval needs predicted types for them
+    const evalRun = spawnSync("node", ["run.js", "eval", "--scenarios", path.join(outDir, "*.json")], { encoding: "utf8" });
+    assert.equal(evalRun.status, 1);
+    assert.match(evalRun.stderr, /predictedDtsPath is required for eval --scenarios: app--@scope\/beta \(@scope\/beta\)/);
+
+    // hand-edited scenarios survive a second discovery
+    fs.writeFileSync(path.join(outDir, "app--alpha.json"), JSON.stringify({ ...alpha, predictedDtsPath: "x.d.ts" }));
+    execFileSync("node", ["run.js", "discover-scenarios", "--projects", path.join(tmp, "projects", "*"), "--out", outDir], {
+      stdio: "inherit",
+    });
+    assert.equal(JSON.parse(fs.readFileSync(path.join(outDir, "app--alpha.json"), "utf8")).predictedDtsPath, "x.d.ts");
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("inspectPackage recognizes bundled declarations, @types packages and hoisted installs", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "discover-"));
+  try {
+    const root = path.join(tmp, "repo");
+    const consumer = path.join(root, "packages", "app");
+    fs.mkdirSync(consumer, { recursive: true });
+    const nm = path.join(root, "node_modules");
+    writePackage(nm, "plain", {}, { "index.js": "" });
+    writePackage(nm, "typed", { types: "lib/index.d.ts" });
+    writePackage(nm, "sibling", { main: "dist/main.js" }, { "dist/main.js": "", "dist/main.d.ts": "" });
+    writePackage(nm, "@scope/dt", {});
+    writePackage(nm, "@types/scope__dt", { types: "index.d.ts" });
+
+    assert.equal(inspectPackage(consumer, "plain").status, "untyped");
+    assert.deepEqual(
+      [inspectPackage(consumer, "typed").status, inspectPackage(consumer, "typed").types],
+      ["ships_types", "lib/index.d.ts"],
+    );
+    assert.equal(inspectPackage(consumer, "sibling").status, "ships_types");
+    assert.equal(inspectPackage(consumer, "@scope/dt").status, "has_types_package");
+    assert.equal(inspectPackage(consumer, "absent").status, "not_installed");
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("untypedImports keeps bare specifiers of TS7016/TS2307 by package name", () => {
+  const diags = [
+    { code: "TS7016", message: "Could not find a declaration file for module 'lib/sub'. '/x/index.js' implicitly has an 'any' type." },
+    { code: "TS2307", message: "Cannot find module '@s/pkg' or its corresponding type declarations." },
+    { code: "TS2307", message: "Cannot find module './local' or its corresponding type declarations." },
+    { code: "TS2307", message: "Cannot find module 'node:fs' or its corresponding type declarations." },
+    { code: "TS2322", message: "Type 'string' is not assignable to type 'number'." },
+  ];
+  assert.deepEqual(untypedImports(diags), ["@s/pkg", "lib"]);
+  assert.equal(isBareSpecifier("#internal"), false);
+  assert.equal(isBareSpecifier("/abs/path"), false);
+});
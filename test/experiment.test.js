@@ -44,13 +44,27 @@ test("experiment runs matrix and writes aggregate.json with expected success rat
   assert.ok(bl0);
   assert.ok(bl1);
 
-  // With 1 scenario: BL0 predicted runs without injection -> fails; BL1 predicted injects any-stub -> succeeds.
+  // With 1 scenario: BL0 predicted runs without injection -> fails; BL1 predicted injects a usage stub -> succeeds.
   assert.equal(bl0.total, 1);
   assert.equal(bl1.total, 1);
   assert.equal(bl0.passed, 0);
   assert.equal(bl1.passed, 1);
   assert.equal(bl0.success_rate, 0);
   assert.equal(bl1.success_rate, 1);
+  assert.deepEqual(bl1.success_rate_ci, [1, 1]);
+  // `const x: number = foo` in the consumer types the stub's foo
+  const stub = fs.readFileSync(
+    path.join(outDir, "BL1", "generated-dts", "BL1", "fixture-lib-no-types", "lib-no-types", "index.d.ts"),
+    "utf8",
+  );
+  assert.match(stub, /export const foo: number;/);
+
+  // no reference in the matrix: every pair is compared on the shared scenarios
+  assert.equal(agg.comparisons.length, 1);
+  const [cmp] = agg.comparisons;
+  assert.deepEqual([cmp.a, cmp.b, cmp.n, cmp.delta], ["BL0", "BL1", 1, 1]);
+  assert.deepEqual([cmp.mcnemar.only_a, cmp.mcnemar.only_b, cmp.mcnemar.p_value], [0, 1, 1]);
+  assert.ok(cmp.effect_size.cohens_h > 3);
 
   // resume should skip conditions (no error)
   execFileSync(
@@ -68,6 +82,162 @@ test("experiment runs matrix and writes aggregate.json with expected success rat
     ],
     { stdio: "inherit" },
   );
+
+  // a reference condition compares every other condition against it
+  const matrixPath = path.join(outDir, "matrix.reference.json");
+  fs.writeFileSync(
+    matrixPath,
+    JSON.stringify({ reference: "BL1", conditions: [{ id: "BL0", mode: "BL0" }, { id: "BL1", mode: "BL1" }] }),
+  );
+  execFileSync(
+    "node",
+    ["run.js", "experiment", "--scenarios", "./scenarios/*.json", "--matrix", matrixPath, "--out", outDir, "--resume"],
+    { stdio: "inherit" },
+  );
+  const aggRef = JSON.parse(fs.readFileSync(aggregatePath, "utf8"));
+  assert.equal(aggRef.reference, "BL1");
+  assert.deepEqual(aggRef.comparisons.map((c) => [c.a, c.b, c.delta]), [["BL1", "BL0", -1]]);
 });
 
 
+
+test("experiment crosses matrix axes into cells that resume and aggregate independently", async () => {
+  ensureFixtureNodeModules();
+
+  const outDir = path.resolve(process.cwd(), "runs", "test-exp-axes");
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  const matrixPath = path.join(outDir, "matrix.json");
+  fs.writeFileSync(
+    matrixPath,
+    JSON.stringify({
+      reference: "BL0",
+      conditions: [
+        { id: "BL0", mode: "BL0" },
+        { id: "BL1", mode: "BL1" },
+      ],
+      axes: {
+        compilerOptions: [
+          { id: "strict", options: { strict: true } },
+          { id: "loose", options: { noImplicitAny: false } },
+        ],
+        typescript: [{ id: "local", path: "node_modules/typescript" }],
+      },
+    }),
+  );
+  const run = (...extra) =>
+    execFileSync(
+      "node",
+      ["run.js", "experiment", "--scenarios", "./scenarios/*.json", "--matrix", matrixPath, "--out", outDir, ...extra],
+      { encoding: "utf8" },
+    );
+  run();
+
+  const cellIds = ["BL0__strict__local", "BL0__loose__local", "BL1__strict__local", "BL1__loose__local"];
+  const agg = JSON.parse(fs.readFileSync(path.join(outDir, "aggregate.json"), "utf8"));
+  assert.deepEqual(agg.conditions.map((c) => c.conditionId), cellIds);
+  for (const id of cellIds) assert.ok(fs.existsSync(path.join(outDir, id, "summary.json")));
+  const cell = agg.conditions.find((c) => c.conditionId === "BL0__loose__local");
+  assert.deepEqual(cell.axes, { condition: "BL0", compilerOptions: "loose", typescript: "local" });
+  // without noImplicitAny the untyped import is no longer an error, even with nothing injected
+  assert.equal(cell.passed, 1);
+  assert.equal(agg.conditions.find((c) => c.conditionId === "BL0__strict__local").passed, 0);
+
+  const rows = fs
+    .readFileSync(path.join(outDir, "BL0__loose__local", "results.eval.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.deepEqual(rows[0].compilerOptions, { noImplicitAny: false });
+  assert.equal(rows[0].conditionId, "BL0__loose__local");
+
+  // the reference condition is compared within each compilerOptions/typescript combination
+  assert.deepEqual(
+    agg.comparisons.map((c) => [c.a, c.b, c.delta]),
+    [
+      ["BL0__strict__local", "BL1__strict__local", 1],
+      ["BL0__loose__local", "BL1__loose__local", 0],
+    ],
+  );
+  assert.deepEqual(agg.slices.compilerOptions.strict, {
+    cells: ["BL0__strict__local", "BL1__strict__local"],
+    total: 2,
+    passed: 1,
+    error_total: 1,
+    success_rate: 0.5,
+  });
+  assert.equal(agg.slices.condition.BL1.success_rate, 1);
+  assert.equal(agg.slices.typescript.local.total, 4);
+
+  // --resume works per cell: only the cell without a summary runs again
+  fs.rmSync(path.join(outDir, "BL1__loose__local"), { recursive: true, force: true });
+  const out = run("--resume");
+  assert.equal(out.match(/Skipping /g)?.length, 3);
+  assert.ok(!out.includes("Skipping BL1__loose__local"));
+  assert.ok(fs.existsSync(path.join(outDir, "BL1__loose__local", "summary.json")));
+  const aggResumed = JSON.parse(fs.readFileSync(path.join(outDir, "aggregate.json"), "utf8"));
+  assert.deepEqual(aggResumed.slices, agg.slices);
+});
+
+test("OURS modes predict from the installed library and REPAIR searches the candidates", async () => {
+  ensureFixtureNodeModules();
+
+  const outDir = path.resolve(process.cwd(), "runs", "test-exp-ours");
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  // the dummy predictor with a wrong top-1: `foo` is used as a number by consumer-strict
+  const script = fs
+    .readFileSync("scripts/predict.py", "utf8")
+    .replace(/DUMMY_CANDIDATES = \[[^\]]*\]/, 'DUMMY_CANDIDATES = [("string", 0.0), ("number", -1.0)]');
+  fs.writeFileSync(path.join(outDir, "predict.py"), script);
+  const matrixPath = path.join(outDir, "matrix.json");
+  fs.writeFileSync(
+    matrixPath,
+    JSON.stringify({
+      conditions: [
+        { id: "TOP1", mode: "OURS_TOP1", predictor: "predict.py", topk: 2 },
+        { id: "REPAIR", mode: "OURS_REPAIR", predictor: "predict.py", topk: 2 },
+      ],
+    }),
+  );
+  execFileSync(
+    "node",
+    ["run.js", "experiment", "--scenarios", "./scenarios/*.json", "--matrix", matrixPath, "--out", outDir],
+    { stdio: "inherit" },
+  );
+
+  const agg = JSON.parse(fs.readFileSync(path.join(outDir, "aggregate.json"), "utf8"));
+  const top1 = agg.conditions.find((c) => c.conditionId === "TOP1");
+  const repair = agg.conditions.find((c) => c.conditionId === "REPAIR");
+  assert.equal(top1.passed, 0);
+  assert.equal(top1.repair, undefined);
+  assert.equal(repair.passed, 1);
+
+  // one search step (string -> number) after the search's own baseline check
+  assert.equal(repair.repair.iters_used, 1);
+  assert.equal(repair.repair.tsc_runs, 4);
+  const [scenario] = repair.repair.per_scenario;
+  assert.deepEqual([scenario.scenarioId, scenario.iters, scenario.tsc_runs, scenario.repaired], [
+    "fixture-lib-no-types",
+    1,
+    4,
+    true,
+  ]);
+  assert.ok(scenario.wall_time_ms > 0);
+
+  const dts = (cond) =>
+    fs.readFileSync(
+      path.join(outDir, cond, "generated-dts", `OURS_${cond}`, "fixture-lib-no-types", "lib-no-types", "index.d.ts"),
+      "utf8",
+    );
+  assert.match(dts("TOP1"), /export const foo: string;/);
+  assert.match(dts("REPAIR"), /export const foo: number;/);
+
+  const [, predicted] = fs
+    .readFileSync(path.join(outDir, "REPAIR", "results.eval.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.equal(predicted.generation.libraries[0].source, "predicted");
+  assert.deepEqual(predicted.generation.libraries[0].assignment, { "foo:value": 1 });
+});
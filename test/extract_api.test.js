@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function extract(libDir) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "extract-api-"));
+  try {
+    const outPath = path.join(dir, "surface.json");
+    execFileSync("node", ["run.js", "extract-api", "--lib", libDir, "--out", outPath], { stdio: "inherit" });
+    return JSON.parse(fs.readFileSync(outPath, "utf8"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function findExport(surface, name) {
+  return surface.exports.find((e) => e.name === name);
+}
+
+test("extract-api reads CommonJS exports (exports.x, module.exports = {...}) with defaults and rest params", async () => {
+  const fixture = extract("./fixtures/lib-no-types");
+  assert.equal(fixture.libName, "lib-no-types");
+  assert.deepEqual(fixture.exports, [{ kind: "const", name: "foo", init: "123" }]);
+
+  const surface = extract("./fixtures/lib-api-cjs");
+  assert.equal(surface.libName, "lib-api-cjs");
+  assert.equal(surface.entry, "lib/main.js");
+
+  assert.deepEqual(findExport(surface, "add"), { kind: "function", name: "add", params: ["a", "b"] });
+  assert.deepEqual(findExport(surface, "pad").params, [
+    "str",
+    { name: "width", default: "10" },
+    { name: "ch", default: '" "' },
+  ]);
+  assert.deepEqual(findExport(surface, "join").params, ["sep", { name: "parts", rest: true }]);
+  assert.equal(findExport(surface, "limit").kind, "const");
+  assert.equal(findExport(surface, "VERSION").kind, "const");
+
+  // prototype-based constructor is recognised as a class
+  const counter = findExport(surface, "Counter");
+  assert.equal(counter.kind, "class");
+  assert.deepEqual(counter.ctorParams, ["start"]);
+  assert.deepEqual(counter.methods, [{ name: "inc", params: ["step"] }]);
+});
+
+test("extract-api reads ESM exports including re-exports and default export", async () => {
+  const surface = extract("./fixtures/lib-api-esm");
+  assert.equal(surface.libName, "lib-api-esm");
+
+  assert.deepEqual(findExport(surface, "clamp").params, [
+    "value",
+    { name: "min", default: "0" },
+    { name: "max", default: "1" },
+  ]);
+  assert.deepEqual(findExport(surface, "sum").params, [{ name: "values", rest: true }]);
+  assert.equal(findExport(surface, "Queue").kind, "class");
+  assert.equal(findExport(surface, "utils").kind, "object");
+
+  // `export * from "./extra.js"` is followed
+  assert.ok(findExport(surface, "describe"));
+  assert.ok(findExport(surface, "DEFAULT_CAPACITY"));
+
+  const def = surface.exports.find((e) => e.default);
+  assert.equal(def.name, "createQueue");
+  assert.equal(def.kind, "function");
+});
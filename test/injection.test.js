@@ -0,0 +1,189 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const STRATEGIES = ["types-package", "paths", "type-roots", "ambient", "reference", "package-types"];
+
+// A private copy of consumer-strict (package-types patches the installed library) and a
+// scenario pointing at it.
+function makeScenario(dir, extra = {}) {
+  const consumer = path.join(dir, "consumer");
+  fs.cpSync(path.resolve(process.cwd(), "fixtures", "consumer-strict", "src"), path.join(consumer, "src"), {
+    recursive: true,
+  });
+  for (const f of ["package.json", "tsconfig.json"]) {
+    fs.copyFileSync(path.resolve(process.cwd(), "fixtures", "consumer-strict", f), path.join(consumer, f));
+  }
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+  fs.mkdirSync(path.join(consumer, "node_modules", "lib-no-types"), { recursive: true });
+  for (const f of ["package.json", "index.js"]) {
+    fs.copyFileSync(path.join(lib, f), path.join(consumer, "node_modules", "lib-no-types", f));
+  }
+  const scenarioPath = path.join(dir, "scenario.json");
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({
+      id: "inject-me",
+      consumerPath: consumer,
+      libraryName: "lib-no-types",
+      predictedDtsPath: path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"),
+      ...extra,
+    }),
+  );
+  return { consumer, scenarioPath };
+}
+
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map((f) => String(f))
+    .sort();
+}
+
+function readJsonl(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => JSON.parse(line));
+}
+
+test("every injection strategy gives the same outcome and leaves the consumer as it was", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "injection-"));
+  try {
+    const { consumer, scenarioPath } = makeScenario(dir);
+    const before = listFiles(consumer);
+    const libPackageJson = fs.readFileSync(path.join(consumer, "node_modules", "lib-no-types", "package.json"), "utf8");
+    const matrixPath = path.join(dir, "matrix.json");
+    fs.writeFileSync(
+      matrixPath,
+      JSON.stringify({
+        conditions: [{ id: "BL1", mode: "BL1" }],
+        axes: { injection: STRATEGIES.map((id) => ({ id })) },
+      }),
+    );
+    const outDir = path.join(dir, "exp");
+    execFileSync(
+      "node",
+      ["run.js", "experiment", "--scenarios", scenarioPath, "--matrix", matrixPath, "--out", outDir],
+      { stdio: "ignore" },
+    );
+
+    const agg = JSON.parse(fs.readFileSync(path.join(outDir, "aggregate.json"), "utf8"));
+    assert.deepEqual(
+      agg.conditions.map((c) => [c.conditionId, c.passed, c.injection_modes]),
+      STRATEGIES.map((s) => [`BL1__${s}`, 1, [s]]),
+    );
+    // cells differing only in the strategy are compared: no pair differs
+    assert.equal(agg.comparisons.length, (STRATEGIES.length * (STRATEGIES.length - 1)) / 2);
+    assert.ok(agg.comparisons.every((c) => c.delta === 0));
+    assert.deepEqual(Object.keys(agg.slices.injection), STRATEGIES);
+
+    for (const s of STRATEGIES) {
+      const rows = readJsonl(path.join(outDir, `BL1__${s}`, "results.eval.jsonl"));
+      assert.deepEqual(
+        rows.map((r) => [r.mode, r.injectionMode]),
+        [
+          ["baseline", undefined],
+          ["predicted", s],
+        ],
+      );
+    }
+    assert.deepEqual(listFiles(consumer), before);
+    assert.equal(
+      fs.readFileSync(path.join(consumer, "node_modules", "lib-no-types", "package.json"), "utf8"),
+      libPackageJson,
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a scenario picks its strategy, and wrong types fail under it as well", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "injection-"));
+  try {
+    const wrongDts = path.join(dir, "wrong.d.ts");
+    fs.writeFileSync(wrongDts, 'declare module "lib-no-types" {\n  export const foo: string;\n}\n');
+    const { scenarioPath } = makeScenario(dir, { injection: "package-types", predictedDtsPath: wrongDts });
+    const out = execFileSync("node", ["run.js", "eval", "--scenarios", scenarioPath, "--isolate"], {
+      encoding: "utf8",
+    });
+    const runDir = path.resolve(out.match(/Saved results to (.+)results\.eval\.jsonl/)[1]);
+    const predicted = readJsonl(path.join(runDir, "results.eval.jsonl")).find((r) => r.mode === "predicted");
+    assert.equal(predicted.injectionMode, "package-types");
+    assert.deepEqual(predicted.errorCounts, { TS2322: 1 });
+
+    fs.writeFileSync(scenarioPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(scenarioPath, "utf8")), injection: "symlink" }));
+    const bad = spawnSync("node", ["run.js", "eval", "--scenarios", scenarioPath], { encoding: "utf8" });
+    assert.notEqual(bad.status, 0);
+    assert.match(bad.stderr, /unknown injection strategy "symlink"/);
+
+    const badFlag = spawnSync("node", ["run.js", "eval", "--scenarios", scenarioPath, "--injection", "nope"], {
+      encoding: "utf8",
+    });
+    assert.equal(badFlag.status, 1);
+    assert.match(badFlag.stderr, /--injection must be one of types-package, paths/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a consumer without an include keeps its own files and errors under every strategy", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "injection-"));
+  try {
+    const { consumer, scenarioPath } = makeScenario(dir);
+    const tsconfigPath = path.join(consumer, "tsconfig.json");
+    const { include, ...config } = JSON.parse(fs.readFileSync(tsconfigPath, "utf8"));
+    assert.ok(include);
+    fs.writeFileSync(tsconfigPath, JSON.stringify(config));
+    fs.writeFileSync(path.join(consumer, "src", "broken.ts"), "export const s: string = 1;\n");
+
+    for (const s of STRATEGIES) {
+      const out = execFileSync("node", ["run.js", "eval", "--scenarios", scenarioPath, "--injection", s, "--isolate"], {
+        encoding: "utf8",
+      });
+      const runDir = path.resolve(out.match(/Saved results to (.+)results\.eval\.jsonl/)[1]);
+      const predicted = readJsonl(path.join(runDir, "results.eval.jsonl")).find((r) => r.mode === "predicted");
+      assert.equal(predicted.status, "type_error", s);
+      assert.deepEqual(predicted.errorCounts, { TS2322: 1 }, s);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a manifest run whose injection fails leaves the consumer as it was", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "injection-"));
+  try {
+    const { consumer } = makeScenario(dir);
+    // normalized before the check (module CommonJS with NodeNext resolution)
+    const tsconfigPath = path.join(consumer, "tsconfig.json");
+    const tsconfig = JSON.parse(fs.readFileSync(tsconfigPath, "utf8"));
+    tsconfig.compilerOptions.moduleResolution = "NodeNext";
+    fs.writeFileSync(tsconfigPath, JSON.stringify(tsconfig));
+    const original = fs.readFileSync(tsconfigPath, "utf8");
+    fs.rmSync(path.join(consumer, "node_modules"), { recursive: true });
+    const before = listFiles(consumer);
+    const manifestPath = path.join(dir, "manifest.json");
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({
+        workspaceDir: "./workspace",
+        timeoutSec: 120,
+        projects: [{ name: "inject-me", source: { type: "local", path: consumer }, typecheckCommand: "tsc --noEmit" }],
+      }),
+    );
+    const dts = path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts");
+    const args = ["--manifest", manifestPath, "--condition", "BL1", "--libName", "lib-no-types", "--dts", dts];
+    const run = spawnSync("node", ["run.js", "eval", ...args, "--injection", "package-types"], { encoding: "utf8" });
+    assert.notEqual(run.status, 0);
+    assert.match(run.stderr, /package-types injection needs lib-no-types installed/);
+    assert.deepEqual(listFiles(consumer), before);
+    assert.equal(fs.readFileSync(tsconfigPath, "utf8"), original);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
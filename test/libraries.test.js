@@ -0,0 +1,161 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function latestScenarioRunDir() {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith("-scenarios"))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+// A strict consumer of two untyped packages; "alpha" gets a correct .d.ts, "beta" a wrong one.
+function writeTwoLibraryScenario(root) {
+  const consumer = path.join(root, "consumer");
+  fs.mkdirSync(path.join(consumer, "src"), { recursive: true });
+  fs.writeFileSync(
+    path.join(consumer, "tsconfig.json"),
+    JSON.stringify({
+      compilerOptions: { target: "ES2020", module: "CommonJS", moduleResolution: "Node", strict: true, noEmit: true },
+      include: ["src/**/*.ts"],
+    }),
+  );
+  fs.writeFileSync(
+    path.join(consumer, "src", "index.ts"),
+    ['import { a } from "alpha";', 'import { b } from "beta";', "", "const x: number = a;", "const y: number = b;", "void x;", "void y;", ""].join("\n"),
+  );
+  for (const [name, body] of [
+    ["alpha", "exports.a = 1;\n"],
+    ["beta", "exports.b = 2;\n"],
+  ]) {
+    const dir = path.join(consumer, "node_modules", name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ name, version: "1.0.0", main: "index.js" }));
+    fs.writeFileSync(path.join(dir, "index.js"), body);
+  }
+  fs.mkdirSync(path.join(root, "dts"));
+  fs.writeFileSync(path.join(root, "dts", "alpha.d.ts"), "export declare const a: number;\n");
+  fs.writeFileSync(path.join(root, "dts", "beta.d.ts"), "export declare const b: string;\n");
+
+  const scenarioPath = path.join(root, "two-libs.json");
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({
+      id: "two-libs",
+      consumerPath: consumer,
+      libraries: [
+        { name: "alpha", predictedDtsPath: path.join(root, "dts", "alpha.d.ts") },
+        { name: "beta", predictedDtsPath: path.join(root, "dts", "beta.d.ts") },
+      ],
+    }),
+  );
+  return { consumer, scenarioPath };
+}
+
+test("scenario with several libraries injects and restores all of them and attributes errors per library", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "two-libs-"));
+  try {
+    const { consumer, scenarioPath } = writeTwoLibraryScenario(tmp);
+
+    execFileSync("node", ["run.js", "eval", "--scenarios", scenarioPath], { stdio: "inherit" });
+    const runDir = latestScenarioRunDir();
+    const rows = readJsonl(path.join(runDir, "results.eval.jsonl"));
+    const baseline = rows.find((r) => r.mode === "baseline");
+    const predicted = rows.find((r) => r.mode === "predicted");
+
+    assert.equal(baseline.status, "type_error");
+    assert.deepEqual(
+      baseline.libraries.map((l) => [l.name, l.errorCounts]),
+      [
+        ["alpha", { TS7016: 1 }],
+        ["beta", { TS7016: 1 }],
+      ],
+    );
+
+    // alpha's types are right, beta's make the consumer fail
+    assert.equal(predicted.status, "type_error");
+    assert.equal(predicted.errorCode, "TS2322");
+    const [alpha, beta] = predicted.libraries;
+    assert.equal(alpha.name, "alpha");
+    assert.equal(alpha.errorCount, 0);
+    assert.equal(beta.errorCount, 1);
+    assert.deepEqual(beta.errorCounts, { TS2322: 1 });
+    assert.ok(alpha.predictedDtsPath.endsWith("alpha.d.ts"));
+
+    // both injections are gone after the run
+    assert.equal(fs.existsSync(path.join(consumer, "node_modules", "@types")), false);
+
+    const [diff] = readJsonl(path.join(runDir, "diff.jsonl"));
+    assert.deepEqual(diff.byLibrary.alpha, { resolved: 1, introduced: 0, persisted: 0 });
+    assert.deepEqual(diff.byLibrary.beta, { resolved: 1, introduced: 1, persisted: 0 });
+
+    const summary = JSON.parse(fs.readFileSync(path.join(runDir, "summary.json"), "utf8"));
+    assert.equal(summary.metrics.predicted_success_rate, 0);
+    assert.equal(summary.libraries.alpha.baseline_clean_rate, 0);
+    assert.equal(summary.libraries.alpha.predicted_clean_rate, 1);
+    assert.equal(summary.libraries.beta.predicted_clean_rate, 0);
+    assert.equal(summary.libraries.beta.predicted_error_total, 1);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("OURS_REPAIR searches each library with the others injected, under the cell's options and strategy", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "libraries-"));
+  try {
+    const { scenarioPath } = writeTwoLibraryScenario(tmp);
+    // loose consumer: `number | undefined` only fails under the cell's strict compiler options
+    const script = fs
+      .readFileSync("scripts/predict.py", "utf8")
+      .replace(/DUMMY_CANDIDATES = \[[^\]]*\]/, 'DUMMY_CANDIDATES = [("number | undefined", 0.0), ("number", -1.0)]');
+    fs.writeFileSync(path.join(tmp, "predict.py"), script);
+    const tsconfigPath = path.join(tmp, "consumer", "tsconfig.json");
+    const tsconfig = JSON.parse(fs.readFileSync(tsconfigPath, "utf8"));
+    tsconfig.compilerOptions.strict = false;
+    fs.writeFileSync(tsconfigPath, JSON.stringify(tsconfig));
+    const matrixPath = path.join(tmp, "matrix.json");
+    fs.writeFileSync(
+      matrixPath,
+      JSON.stringify({
+        conditions: [{ id: "REPAIR", mode: "OURS_REPAIR", predictor: "predict.py", topk: 2, timeoutSec: 60 }],
+        axes: {
+          compilerOptions: [{ id: "strict", options: { strict: true } }],
+          injection: [{ id: "type-roots" }],
+        },
+      }),
+    );
+    const outDir = path.join(tmp, "exp");
+    execFileSync(
+      "node",
+      ["run.js", "experiment", "--scenarios", scenarioPath, "--matrix", matrixPath, "--out", outDir],
+      { stdio: "ignore" },
+    );
+
+    const [, predicted] = readJsonl(path.join(outDir, "REPAIR__strict__type-roots", "results.eval.jsonl"));
+    assert.equal(predicted.status, "success");
+    // alpha is searched while beta is still wrong, beta once alpha is repaired
+    assert.deepEqual(
+      predicted.generation.libraries.map((l) => [l.name, l.assignment, l.repaired, l.tscRuns]),
+      [
+        ["alpha", { "a:value": 1 }, false, 2],
+        ["beta", { "b:value": 1 }, true, 2],
+      ],
+    );
+    const logsDir = path.join(outDir, "REPAIR__strict__type-roots", "repair", "two-libs", "logs");
+    assert.match(fs.readFileSync(path.join(logsDir, "baseline-beta.log"), "utf8"), /TS2322/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
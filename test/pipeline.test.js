@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestRepairRunDir() {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith("-repair"))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+test("extract-api -> gen-dts (top-k) -> repair runs end to end without hand-written predictions", async (t) => {
+  ensureFixtureNodeModules();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "pipeline-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const apiPath = path.join(tmp, "api.json");
+  const predsDir = path.join(tmp, "predictions");
+  const queriesDir = path.join(tmp, "queries");
+
+  execFileSync("node", ["run.js", "extract-api", "--lib", "./fixtures/lib-no-types", "--out", apiPath], {
+    stdio: "inherit",
+  });
+  execFileSync(
+    "node",
+    [
+      "run.js",
+      "gen-dts",
+      "--api",
+      apiPath,
+      "--out",
+      path.join(tmp, "dts"),
+      "--topk",
+      "3",
+      "--predsDir",
+      predsDir,
+      "--queriesDir",
+      queriesDir,
+    ],
+    { stdio: "inherit" },
+  );
+  assert.ok(fs.existsSync(path.join(queriesDir, "lib-no-types.jsonl")));
+
+  const predsPath = path.join(predsDir, "lib-no-types.json");
+  const preds = JSON.parse(fs.readFileSync(predsPath, "utf8"));
+  assert.equal(preds.libName, "lib-no-types");
+  assert.equal(preds.model.name, "dummy-any");
+  assert.deepEqual(preds.slots.map((s) => s.slotId), ["foo:value"]);
+  const candidates = preds.slots[0].candidates;
+  assert.equal(candidates.length, 3);
+  assert.equal(candidates[0].type, "any");
+  for (let i = 1; i < candidates.length; i++) {
+    assert.ok(candidates[i - 1].score >= candidates[i].score, "candidates are sorted best-first");
+  }
+
+  execFileSync(
+    "node",
+    ["run.js", "--projects", "./fixtures/consumer-strict", "--repair", "--topk", "3", "--preds", predsPath],
+    { stdio: "inherit" },
+  );
+
+  const runDir = latestRepairRunDir();
+  const repaired = readJsonl(path.join(runDir, "results.repaired.jsonl"));
+  assert.equal(repaired.length, 1);
+  assert.equal(repaired[0].libName, "lib-no-types");
+  assert.equal(repaired[0].status, "success");
+  assert.deepEqual(repaired[0].assignment, { "foo:value": 0 });
+});
+
+test("gen-dts rejects a --topk that is not a positive integer", () => {
+  const bad = spawnSync("node", ["run.js", "gen-dts", "--api", "./missing.json", "--out", os.tmpdir(), "--topk", "0"], {
+    encoding: "utf8",
+  });
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /--topk expects a positive integer \(got 0\)/);
+});
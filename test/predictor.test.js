@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PredictorSession, PythonPredictor } from "../src/predictor_python.js";
+
+test("predictor session: handshake, several predict requests on one process, health and shutdown", async () => {
+  const session = new PredictorSession();
+  const model = await session.start();
+  assert.equal(model.name, "dummy-any");
+  assert.ok(model.version);
+
+  const pid = session.child.pid;
+  const first = await session.predict([{ id: "add:return", query: "declare function add(): [MASK];" }]);
+  const second = await session.predict([
+    { id: "a:value", query: "declare const a: [MASK];" },
+    { id: "b:value", query: "declare const b: [MASK];" },
+  ]);
+  assert.deepEqual(first.map((p) => p.id), ["add:return"]);
+  assert.deepEqual(second.map((p) => p.id), ["a:value", "b:value"]);
+  assert.equal(session.child.pid, pid);
+
+  const health = await session.health();
+  assert.equal(health.ok, true);
+  assert.equal(health.model.name, "dummy-any");
+
+  await session.close();
+  assert.equal(session.alive, false);
+  assert.deepEqual(await session.health(), { ok: false });
+});
+
+test("predictor session: per-request timeout rejects without killing the session", async (t) => {
+  // Replies to health but never to predict.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "predictor-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const scriptPath = path.join(dir, "stuck.py");
+  fs.writeFileSync(
+    scriptPath,
+    [
+      "import sys, json",
+      'print(json.dumps({"type": "hello", "protocol": 1, "model": {"name": "stuck"}}), flush=True)',
+      "for line in sys.stdin:",
+      "    req = json.loads(line)",
+      '    if req["method"] == "predict":',
+      "        continue",
+      '    print(json.dumps({"id": req["id"], "result": {"ok": True}}), flush=True)',
+      '    if req["method"] == "shutdown":',
+      "        break",
+      "",
+    ].join("\n"),
+  );
+
+  const predictor = new PythonPredictor(scriptPath, { requestTimeoutMs: 300 });
+  await assert.rejects(
+    predictor.predict([{ id: "x:value", query: "declare const x: [MASK];" }]),
+    /timed out/,
+  );
+  const session = await predictor.ensureSession();
+  assert.equal((await session.health()).ok, true);
+  await predictor.close();
+  assert.equal(session.alive, false);
+});
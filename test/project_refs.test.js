@@ -0,0 +1,222 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { importedLibraries, injectedConfigPath, loadProjectGraph, summarizeByProject } from "../src/project_refs.js";
+
+const PROJECT = { compilerOptions: { composite: true, strict: true, module: "CommonJS", moduleResolution: "Node" } };
+
+// A monorepo consumer: the solution tsconfig (JSONC) references packages/b and packages/c;
+// b references a. a and c import lib-no-types, b only imports a.
+function makeMonorepo(dir, extra = {}) {
+  const consumer = path.join(dir, "consumer");
+  const write = (rel, text) => {
+    fs.mkdirSync(path.dirname(path.join(consumer, rel)), { recursive: true });
+    fs.writeFileSync(path.join(consumer, rel), text);
+  };
+  write(
+    "tsconfig.json",
+    '{\n  // solution\n  "files": [],\n  "references": [{ "path": "./packages/b" }, { "path": "./packages/c/tsconfig.json" },],\n}\n',
+  );
+  for (const p of ["a", "c"]) {
+    write(`packages/${p}/tsconfig.json`, JSON.stringify({ ...PROJECT, include: ["src"] }));
+    write(`packages/${p}/src/index.ts`, 'import { foo } from "lib-no-types";\nexport const x: number = foo;\n');
+  }
+  write("packages/b/tsconfig.json", JSON.stringify({ ...PROJECT, include: ["src"], references: [{ path: "../a" }] }));
+  write("packages/b/src/index.ts", 'import { x } from "../../a/src/index";\nexport const y: number = x;\n');
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+  for (const f of ["package.json", "index.js"]) {
+    write(path.join("node_modules", "lib-no-types", f), fs.readFileSync(path.join(lib, f)));
+  }
+
+  const scenarioPath = path.join(dir, "scenario.json");
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({
+      id: "mono",
+      consumerPath: consumer,
+      libraryName: "lib-no-types",
+      predictedDtsPath: path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"),
+      build: true,
+      ...extra,
+    }),
+  );
+  return { consumer, scenarioPath };
+}
+
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map((f) => String(f))
+    .sort();
+}
+
+function readJsonl(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => JSON.parse(line));
+}
+
+function evalRun(args) {
+  const out = execFileSync("node", ["run.js", "eval", ...args], { encoding: "utf8" });
+  const resultsPath = path.resolve(out.match(/Saved results to (.+\.jsonl)/)[1]);
+  return { rows: readJsonl(resultsPath), runDir: path.dirname(resultsPath) };
+}
+
+const errorsByProject = (row) => Object.fromEntries(row.projects.map((p) => [p.tsconfig, p.errorCounts]));
+
+test("the project graph follows references and finds the projects importing a library", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-refs-"));
+  try {
+    const { consumer } = makeMonorepo(dir);
+    const graph = loadProjectGraph(path.join(consumer, "tsconfig.json"));
+    const rel = (p) => path.relative(consumer, p).split(path.sep).join("/");
+    assert.deepEqual(
+      graph.map((p) => [rel(p.tsconfigPath), p.references.map(rel)]),
+      [
+        ["tsconfig.json", ["packages/b/tsconfig.json", "packages/c/tsconfig.json"]],
+        ["packages/b/tsconfig.json", ["packages/a/tsconfig.json"]],
+        ["packages/a/tsconfig.json", []],
+        ["packages/c/tsconfig.json", []],
+      ],
+    );
+    assert.deepEqual(
+      graph.map((p) => importedLibraries(p, ["lib-no-types", "other"])),
+      [[], [], ["lib-no-types"], ["lib-no-types"]],
+    );
+    assert.equal(injectedConfigPath("/x/tsconfig.json"), "/x/tsconfig.injected.json");
+    assert.equal(injectedConfigPath("/x/tsconfig.app.json"), "/x/tsconfig.app.injected.json");
+
+    const diagnostics = [
+      { category: "error", code: "TS2322", filePath: path.join(consumer, "packages", "a", "src", "index.ts") },
+      { category: "error", code: "TS6310", filePath: path.join(consumer, "packages", "b", "tsconfig.json") },
+      { category: "error", code: "TS5023" },
+    ];
+    assert.deepEqual(
+      summarizeByProject(graph, diagnostics, { root: consumer }).map((p) => [p.tsconfig, p.errorCount]),
+      [
+        ["tsconfig.json", 0],
+        ["packages/b/tsconfig.json", 1],
+        ["packages/a/tsconfig.json", 1],
+        ["packages/c/tsconfig.json", 0],
+      ],
+    );
+
+    fs.writeFileSync(path.join(consumer, "packages", "b", "tsconfig.json"), '{ "references": [{ "path": "../gone" }] }');
+    assert.throws(() => loadProjectGraph(path.join(consumer, "tsconfig.json")), /referenced project .*gone.* not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("build-mode scenarios inject into every importing project and break results down per project", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-refs-"));
+  try {
+    const { consumer, scenarioPath } = makeMonorepo(dir);
+    const before = listFiles(consumer);
+
+    const { rows, runDir } = evalRun(["--scenarios", scenarioPath]);
+    const [baseline, predicted] = rows;
+    assert.equal(baseline.status, "type_error");
+    assert.deepEqual(errorsByProject(baseline), {
+      "tsconfig.json": {},
+      "packages/b/tsconfig.json": {},
+      "packages/a/tsconfig.json": { TS7016: 1 },
+      "packages/c/tsconfig.json": { TS7016: 1 },
+    });
+    assert.equal(predicted.status, "success");
+    assert.equal(predicted.build, true);
+    assert.deepEqual(
+      predicted.projects.map((p) => [p.tsconfig, p.libraries]),
+      [
+        ["tsconfig.json", []],
+        ["packages/b/tsconfig.json", []],
+        ["packages/a/tsconfig.json", ["lib-no-types"]],
+        ["packages/c/tsconfig.json", ["lib-no-types"]],
+      ],
+    );
+    const summary = JSON.parse(fs.readFileSync(path.join(runDir, "summary.json"), "utf8"));
+    assert.deepEqual(summary.projects.mono["packages/a/tsconfig.json"], {
+      libraries: ["lib-no-types"],
+      baseline_error_total: 1,
+      predicted_error_total: 0,
+    });
+    // no build output, generated config or backup is left behind
+    assert.deepEqual(listFiles(consumer), before);
+
+    // wrong types fail in both importing projects, whichever way they are injected
+    const wrongDts = path.join(dir, "wrong.d.ts");
+    fs.writeFileSync(wrongDts, 'declare module "lib-no-types" {\n  export const foo: string;\n}\n');
+    const wrong = makeMonorepo(path.join(dir, "wrong"), { predictedDtsPath: wrongDts });
+    for (const injection of ["paths", "package-types"]) {
+      const [, p] = evalRun(["--scenarios", wrong.scenarioPath, "--injection", injection, "--isolate"]).rows;
+      assert.equal(p.injectionMode, injection);
+      assert.deepEqual(errorsByProject(p)["packages/a/tsconfig.json"], { TS2322: 1 });
+      assert.deepEqual(errorsByProject(p)["packages/c/tsconfig.json"], { TS2322: 1 });
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("manifest projects take an entry tsconfig and build mode", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-refs-"));
+  try {
+    const { consumer } = makeMonorepo(dir);
+    fs.renameSync(path.join(consumer, "tsconfig.json"), path.join(consumer, "tsconfig.solution.json"));
+    const manifestPath = path.join(dir, "manifest.json");
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({
+        workspaceDir: "./workspace",
+        timeoutSec: 120,
+        projects: [
+          {
+            name: "mono",
+            source: { type: "local", path: consumer },
+            typecheckCommand: "tsc -b",
+            tsconfig: "tsconfig.solution.json",
+            build: true,
+          },
+        ],
+      }),
+    );
+    const dts = path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts");
+    const [row] = evalRun(["--manifest", manifestPath, "--condition", "BL1", "--libName", "lib-no-types", "--dts", dts]).rows;
+    assert.equal(row.status, "success");
+    assert.equal(row.tsconfigPath, path.join(consumer, "tsconfig.solution.json"));
+    assert.deepEqual(
+      row.projects.filter((p) => p.libraries.length > 0).map((p) => p.tsconfig),
+      ["packages/a/tsconfig.json", "packages/c/tsconfig.json"],
+    );
+    assert.equal(fs.existsSync(path.join(consumer, "packages", "a", "tsconfig.injected.json")), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("restore removes what an interrupted build-mode run left in referenced projects", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-refs-"));
+  try {
+    const { consumer, scenarioPath } = makeMonorepo(dir);
+    const before = listFiles(consumer);
+    const original = fs.readFileSync(path.join(consumer, "packages", "a", "tsconfig.json"), "utf8");
+    const a = (...p) => path.join(consumer, "packages", "a", ...p);
+    fs.copyFileSync(a("tsconfig.json"), a("tsconfig.json.bak"));
+    fs.writeFileSync(a("tsconfig.json"), "{}");
+    fs.writeFileSync(a("tsconfig.injected.json"), "{}");
+    fs.writeFileSync(path.join(consumer, "packages", "c", "tsconfig.injected.json"), "{}");
+    fs.mkdirSync(a(".injected-types", "lib-no-types"), { recursive: true });
+    fs.writeFileSync(a("injected-types.reference.d.ts"), "");
+
+    execFileSync("node", ["run.js", "restore", "--scenarios", scenarioPath], { encoding: "utf8" });
+    assert.deepEqual(listFiles(consumer), before);
+    assert.equal(fs.readFileSync(a("tsconfig.json"), "utf8"), original);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildQueries } from "../src/query_builder.js";
+import { renderDeclarations } from "../src/dts_generate_ours.js";
+
+const surface = {
+  libName: "kinds-lib",
+  exports: [
+    { kind: "const", name: "foo", init: "123" },
+    { kind: "function", name: "add", params: ["a", { name: "b", default: "1" }] },
+    {
+      kind: "class",
+      name: "Queue",
+      ctorParams: ["items"],
+      methods: [{ name: "push", params: ["item"] }, { name: "create", params: [], static: true }],
+      properties: [{ name: "size" }],
+    },
+    { kind: "object", name: "utils", members: [{ kind: "function", name: "isEmpty", params: ["q"] }] },
+    { kind: "function", name: "createQueue", params: ["items"], default: true },
+  ],
+};
+
+test("buildQueries emits a slot per const, class member, namespace member and default export", () => {
+  const ids = buildQueries(surface).map((q) => q.id);
+  assert.deepEqual(ids, [
+    "foo:value",
+    "add:param:0",
+    "add:param:1",
+    "add:return",
+    "Queue:ctor:param:0",
+    "Queue:method:push:param:0",
+    "Queue:method:push:return",
+    "Queue:staticMethod:create:return",
+    "Queue:prop:size",
+    "utils.isEmpty:param:0",
+    "utils.isEmpty:return",
+    "default:param:0",
+    "default:return",
+  ]);
+});
+
+test("renderDeclarations fills every slot and produces a declaration file tsc accepts", (t) => {
+  const decls = renderDeclarations(surface, (slotId) => (slotId === "foo:value" ? "number" : "any"));
+  const slots = decls.flatMap((d) => d.slots).sort();
+  assert.deepEqual(slots, buildQueries(surface).map((q) => q.id).sort());
+
+  const content = `declare module "${surface.libName}" {\n${decls.map((d) => d.text).join("\n")}\n}\n`;
+  assert.match(content, /export const foo: number;/);
+  assert.match(content, /export default function createQueue\(items: any\): any;/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kinds-lib-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "index.d.ts"), content);
+  const tsc = path.resolve(process.cwd(), "node_modules", "typescript", "bin", "tsc");
+  execFileSync("node", [tsc, "--noEmit", "--strict", path.join(dir, "index.d.ts")], { stdio: "inherit" });
+});
+
+test("renderDeclarations keeps the named exports of an `export =` const", (t) => {
+  const eqSurface = {
+    libName: "eq-const-lib",
+    exports: [
+      { kind: "const", name: "settings", exportEquals: true },
+      { kind: "function", name: "parse", params: ["text"] },
+      { kind: "const", name: "version" },
+    ],
+  };
+  const types = { "default:value": "{ debug: boolean } | null", "parse:return": "number", "version:value": "string" };
+  const decls = renderDeclarations(eqSurface, (slotId) => types[slotId] ?? "any");
+  const slots = decls.flatMap((d) => d.slots).sort();
+  assert.deepEqual(slots, buildQueries(eqSurface).map((q) => q.id).sort());
+
+  const content = `declare module "${eqSurface.libName}" {\n${decls.map((d) => d.text).join("\n")}\n}\n`;
+  assert.match(content, /const settings: \(\{ debug: boolean \} \| null\) & typeof settings_exports;/);
+  assert.match(content, /export = settings;/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "eq-const-lib-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "index.d.ts"), content);
+  fs.writeFileSync(
+    path.join(dir, "use.ts"),
+    [
+      `import settings = require("${eqSurface.libName}");`,
+      "const n: number = settings.parse('x');",
+      "const v: string = settings.version;",
+      "const d: boolean | undefined = settings?.debug;",
+      "export { n, v, d };",
+    ].join("\n"),
+  );
+  const tsc = path.resolve(process.cwd(), "node_modules", "typescript", "bin", "tsc");
+  const files = ["index.d.ts", "use.ts"].map((f) => path.join(dir, f));
+  execFileSync("node", [tsc, "--noEmit", "--strict", "--module", "commonjs", ...files], { stdio: "inherit" });
+});
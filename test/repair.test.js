@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { execFileSync } from "node:child_process";
+import { execFileSync, spawnSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
 
@@ -55,3 +55,85 @@ test("repair loop can fix type_error by switching candidates (prefers non-trivia
 });
 
 
+
+test("beam search switches several slots, de-duplicates assignments and reports the beam per iteration", async () => {
+  execFileSync("node", [
+    "run.js",
+    "--projects",
+    "./fixtures/repair-beam-project",
+    "--repair",
+    "--topk",
+    "2",
+    "--maxIters",
+    "5",
+    "--beam",
+    "2",
+  ], { stdio: "inherit" });
+
+  const runDir = latestRepairRunDir();
+  const repaired = readJsonl(path.join(runDir, "results.repaired.jsonl"));
+  assert.equal(repaired.length, 1);
+  const r = repaired[0];
+
+  assert.equal(r.status, "success");
+  assert.deepEqual(r.assignment, { "getA:return": 1, "getB:return": 1 });
+  assert.equal(r.beamWidth, 2);
+  assert.equal(r.iters, 2);
+
+  // iter 1: both single-slot switches survive in the beam (1 error each)
+  assert.equal(r.beamTrace[0].beam.length, 2);
+  assert.deepEqual(r.beamTrace[0].beam.map((b) => b.errorCount), [1, 1]);
+  // iter 2: both parents lead to the same two-slot assignment, which is evaluated only once
+  assert.equal(r.beamTrace[1].evaluated, 1);
+  assert.equal(r.tscRuns, 3);
+});
+
+test("--checker inproc reports the same diagnostics and search trace as the tsc CLI", async () => {
+  const runWith = (project, checker) => {
+    execFileSync("node", [
+      "run.js",
+      "--projects",
+      project,
+      "--repair",
+      "--topk",
+      "3",
+      "--beam",
+      "2",
+      "--checker",
+      checker,
+    ], { stdio: "inherit" });
+    const runDir = latestRepairRunDir();
+    return [
+      ...readJsonl(path.join(runDir, "results.baseline.jsonl")),
+      ...readJsonl(path.join(runDir, "results.repaired.jsonl")),
+    ];
+  };
+  const comparable = (r) => ({
+    status: r.status,
+    exitCode: r.exitCode,
+    errorCode: r.errorCode,
+    errorCount: r.errorCount,
+    diagnostics: r.diagnostics,
+    assignment: r.assignment,
+    beamTrace: r.beamTrace,
+  });
+
+  for (const project of ["./fixtures/repair-project", "./fixtures/repair-beam-project"]) {
+    const cli = runWith(project, "cli");
+    const inproc = runWith(project, "inproc");
+    assert.deepEqual(inproc.map((r) => r.checker), ["inproc", "inproc"]);
+    assert.deepEqual(inproc.map(comparable), cli.map(comparable));
+    // the injected tsconfig only lives for the duration of the in-process session
+    assert.ok(!fs.existsSync(path.join(project, "tsconfig.injected.json")));
+  }
+});
+
+test("repair search flags reject values that are not positive integers", () => {
+  for (const [flag, value] of [["--topk", "0"], ["--maxIters", "abc"], ["--beam", "0"], ["--expandSlots", "1.5"]]) {
+    const bad = spawnSync("node", ["run.js", "--projects", "./fixtures/repair-project", "--repair", flag, value], {
+      encoding: "utf8",
+    });
+    assert.equal(bad.status, 1, `${flag} ${value}`);
+    assert.match(bad.stderr, new RegExp(`${flag} expects a positive integer \\(got ${value.replace(".", "\\.")}\\)`));
+  }
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+test("report renders an experiment as self-contained html and markdown", () => {
+  ensureFixtureNodeModules();
+
+  const outDir = path.resolve(process.cwd(), "runs", "test-report-exp");
+  fs.rmSync(outDir, { recursive: true, force: true });
+  execFileSync(
+    "node",
+    [
+      "run.js",
+      "experiment",
+      "--scenarios",
+      "./scenarios/*.json",
+      "--matrix",
+      "experiments/matrix.example.json",
+      "--out",
+      outDir,
+      "--isolate",
+    ],
+    { stdio: "inherit" },
+  );
+
+  execFileSync("node", ["run.js", "report", "--exp", outDir, "--format", "html"], { stdio: "inherit" });
+  const html = fs.readFileSync(path.join(outDir, "report.html"), "utf8");
+  assert.match(html, /<td>BL0<\/td><td>BL0<\/td><td>0 \/ 1<\/td><td>0\.0%<\/td>/);
+  assert.match(html, /<td>BL1<\/td><td>BL1<\/td><td>1 \/ 1<\/td><td>100\.0%<\/td>/);
+  assert.ok(html.includes('<a href="BL1/logs/fixture-lib-no-types.predicted.log">success</a>'));
+  assert.ok(html.includes('<a href="BL0/logs/fixture-lib-no-types.predicted.log">type_error TS7016</a>'));
+  assert.ok(fs.existsSync(path.join(outDir, "BL1", "logs", "fixture-lib-no-types.predicted.log")));
+  assert.equal(html.match(/<svg /g)?.length, 2);
+  assert.match(html, /<td>TS7016<\/td><td>1<\/td><td>0<\/td>/);
+  assert.match(html, /<td>BL0<\/td><td>BL1<\/td><td>1<\/td><td>\+100\.0%<\/td>/);
+  // nothing is loaded from the network: the only URL is the SVG namespace
+  assert.deepEqual(
+    [...new Set(html.match(/https?:\/\/[^"\s]+/g))],
+    ["http://www.w3.org/2000/svg"],
+  );
+  assert.doesNotMatch(html, /<script|<link|src=/);
+
+  // links are relative to where the report is written
+  const mdPath = path.join(outDir, "out", "report.md");
+  execFileSync("node", ["run.js", "report", "--exp", outDir, "--format", "md", "--out", mdPath], {
+    stdio: "inherit",
+  });
+  const md = fs.readFileSync(mdPath, "utf8");
+  assert.ok(md.includes("| BL1 | BL1 | 1 / 1 | 100.0% |"));
+  assert.ok(md.includes("[success](../BL1/logs/fixture-lib-no-types.predicted.log)"));
+  assert.ok(md.includes("([baseline](../BL0/logs/fixture-lib-no-types.baseline.log))"));
+  assert.equal(md.match(/!\[[^\]]*\]\(data:image\/svg\+xml;base64,/g)?.length, 2);
+  assert.ok(md.includes("| TS7016 | 1 | 0 |"));
+});
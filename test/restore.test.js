@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// A private copy of consumer-strict plus a scenario pointing at it, so a failing test cannot
+// leave the shared fixture modified. Removed after the test `t`.
+function makeScenario(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "restore-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const consumer = path.join(dir, "consumer");
+  fs.cpSync(path.resolve(process.cwd(), "fixtures", "consumer-strict", "src"), path.join(consumer, "src"), {
+    recursive: true,
+  });
+  for (const f of ["package.json", "tsconfig.json"]) {
+    fs.copyFileSync(path.resolve(process.cwd(), "fixtures", "consumer-strict", f), path.join(consumer, f));
+  }
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+  fs.mkdirSync(path.join(consumer, "node_modules", "lib-no-types"), { recursive: true });
+  for (const f of ["package.json", "index.js"]) {
+    fs.copyFileSync(path.join(lib, f), path.join(consumer, "node_modules", "lib-no-types", f));
+  }
+  const scenarioPath = path.join(dir, "scenario.json");
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({
+      id: "restore-me",
+      consumerPath: consumer,
+      libraryName: "lib-no-types",
+      predictedDtsPath: path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"),
+    }),
+  );
+  return { consumer, scenarioPath, tsconfig: fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8") };
+}
+
+function assertClean(consumer, tsconfig) {
+  assert.equal(fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8"), tsconfig);
+  assert.equal(fs.existsSync(path.join(consumer, "tsconfig.json.bak")), false);
+  assert.equal(fs.existsSync(path.join(consumer, "tsconfig.injected.json")), false);
+  assert.equal(fs.existsSync(path.join(consumer, "node_modules", "@types")), false);
+}
+
+test("restore puts back backups and removes injected files left by an interrupted run", async (t) => {
+  const { consumer, scenarioPath, tsconfig } = makeScenario(t);
+  fs.copyFileSync(path.join(consumer, "tsconfig.json"), path.join(consumer, "tsconfig.json.bak"));
+  fs.writeFileSync(path.join(consumer, "tsconfig.json"), '{"compilerOptions":{"module":"NodeNext"}}');
+  fs.writeFileSync(path.join(consumer, "tsconfig.injected.json"), "{}");
+  fs.mkdirSync(path.join(consumer, "node_modules", "@types", "lib-no-types"), { recursive: true });
+  fs.writeFileSync(path.join(consumer, "node_modules", "@types", "lib-no-types", "index.d.ts"), "export {};\n");
+
+  const dry = execFileSync("node", ["run.js", "restore", "--scenarios", scenarioPath, "--dry-run"], {
+    encoding: "utf8",
+  });
+  assert.match(dry, /Found 3 artifact/);
+  assert.ok(fs.existsSync(path.join(consumer, "tsconfig.injected.json")), "dry run changes nothing");
+
+  const out = execFileSync("node", ["run.js", "restore", "--scenarios", scenarioPath], { encoding: "utf8" });
+  assert.match(out, /restored: .*tsconfig\.json/);
+  assert.match(out, /removed: .*tsconfig\.injected\.json/);
+  assert.match(out, /removed: .*@types.lib-no-types/);
+  assertClean(consumer, tsconfig);
+
+  const again = execFileSync("node", ["run.js", "restore", "--scenarios", scenarioPath], { encoding: "utf8" });
+  assert.match(again, /Nothing to restore/);
+});
+
+test("SIGINT during eval runs the registered restore functions before exiting", async (t) => {
+  const { consumer, scenarioPath, tsconfig } = makeScenario(t);
+  const injected = path.join(consumer, "node_modules", "@types", "lib-no-types", "index.d.ts");
+  const child = spawn("node", ["run.js", "eval", "--scenarios", scenarioPath], { stdio: "ignore" });
+  const exited = new Promise((resolve) => child.on("close", (code) => resolve(code)));
+
+  // wait until the predicted phase has injected its .d.ts, then interrupt
+  const deadline = Date.now() + 60_000;
+  while (!fs.existsSync(injected) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(fs.existsSync(injected), "predicted phase started");
+  child.kill("SIGINT");
+
+  assert.equal(await exited, 130);
+  assertClean(consumer, tsconfig);
+});
+
+test("restore also undoes type-roots, reference and package-types injections", (t) => {
+  const { consumer, scenarioPath, tsconfig } = makeScenario(t);
+  const libDir = path.join(consumer, "node_modules", "lib-no-types");
+  const libPackageJson = fs.readFileSync(path.join(libDir, "package.json"), "utf8");
+  fs.mkdirSync(path.join(consumer, ".injected-types", "lib-no-types"), { recursive: true });
+  fs.writeFileSync(path.join(consumer, ".injected-types", "lib-no-types", "index.d.ts"), "");
+  fs.writeFileSync(path.join(consumer, "injected-types.reference.d.ts"), "");
+  fs.copyFileSync(path.join(libDir, "package.json"), path.join(libDir, "package.json.bak_inject"));
+  fs.writeFileSync(path.join(libDir, "package.json"), '{"types":"./index.injected.d.ts"}');
+  fs.writeFileSync(path.join(libDir, "index.injected.d.ts"), "export {};\n");
+
+  const out = execFileSync("node", ["run.js", "restore", "--scenarios", scenarioPath], { encoding: "utf8" });
+  assert.match(out, /Restored 4 artifact/);
+  assertClean(consumer, tsconfig);
+  assert.equal(fs.existsSync(path.join(consumer, ".injected-types")), false);
+  assert.equal(fs.existsSync(path.join(consumer, "injected-types.reference.d.ts")), false);
+  assert.equal(fs.readFileSync(path.join(libDir, "package.json"), "utf8"), libPackageJson);
+  assert.deepEqual(fs.readdirSync(libDir).sort(), ["index.js", "package.json"]);
+});
+
+test("a timed-out check stops the command the shell started, not only the shell", (t) => {
+  const { consumer } = makeScenario(t);
+  const dir = path.dirname(consumer);
+  const manifestPath = path.join(dir, "manifest.json");
+  fs.writeFileSync(
+    manifestPath,
+    JSON.stringify({
+      workspaceDir: "./workspace",
+      timeoutSec: 1,
+      projects: [{ name: "slow", source: { type: "local", path: consumer }, typecheckCommand: "sleep 30; echo done" }],
+    }),
+  );
+  const started = Date.now();
+  const out = execFileSync("node", ["run.js", "eval", "--manifest", manifestPath, "--condition", "BL0"], {
+    encoding: "utf8",
+  });
+  assert.ok(Date.now() - started < 20_000, "did not wait for the sleep");
+  const resultsPath = path.resolve(out.match(/Saved results to (.+\.jsonl)/)[1]);
+  const [row] = fs
+    .readFileSync(resultsPath, "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.equal(row.status, "other_error");
+});
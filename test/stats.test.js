@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { bootstrapCI, comparePaired, mcnemar, successRateCI } from "../src/stats.js";
+
+test("mcnemar uses the exact binomial test for few discordant pairs and chi-square otherwise", () => {
+  assert.equal(mcnemar(0, 5).pValue, 0.0625);
+  assert.equal(mcnemar(3, 3).pValue, 1);
+  assert.equal(mcnemar(0, 0).pValue, 1);
+
+  const large = mcnemar(10, 30);
+  assert.equal(large.method, "chi2_cc");
+  assert.equal(large.statistic, 9.025);
+  assert.ok(Math.abs(large.pValue - 0.002663) < 1e-5);
+});
+
+test("bootstrap intervals are reproducible and bracket the point estimate", () => {
+  const passes = [true, false, true, true, false, true, false, true, true, true];
+  const ci1 = successRateCI(passes, { seed: 7 });
+  const ci2 = successRateCI(passes, { seed: 7 });
+  assert.deepEqual(ci1, ci2);
+  assert.ok(ci1[0] <= 0.7 && 0.7 <= ci1[1]);
+  assert.deepEqual(bootstrapCI(0, () => 0), [NaN, NaN]);
+});
+
+test("comparePaired reports delta, its interval, McNemar and effect sizes", () => {
+  const a = [0, 0, 1, 1, 0, 0, 1, 0, 0, 0].map(Boolean);
+  const b = [1, 1, 1, 1, 0, 1, 1, 1, 0, 1].map(Boolean);
+  const cmp = comparePaired(a, b, { seed: 1 });
+  assert.equal(cmp.n, 10);
+  assert.equal(cmp.delta, 0.5);
+  assert.ok(cmp.deltaCI[0] > 0 && cmp.deltaCI[1] <= 1, "improvement is outside zero");
+  assert.deepEqual([cmp.mcnemar.onlyA, cmp.mcnemar.onlyB], [0, 5]);
+  assert.equal(cmp.effectSize.riskDifference, 0.5);
+  assert.equal(cmp.effectSize.pairedOddsRatio, 11);
+  assert.ok(Math.abs(cmp.effectSize.cohensH - 1.055) < 1e-3);
+  assert.throws(() => comparePaired([true], []), /same scenarios/);
+});
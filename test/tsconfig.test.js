@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { normalizeTsconfig, planNormalization, validateNormalizationRules } from "../src/tsconfig.js";
+
+// tsconfig.base.json puts the consumer on NodeNext resolution with a CommonJS module setting,
+// which tsc rejects (TS5110); tsconfig.json has comments and trailing commas.
+const BASE = JSON.stringify({ compilerOptions: { module: "CommonJS", moduleResolution: "NodeNext", strict: true } });
+const TSCONFIG = [
+  "{",
+  "  // shared settings",
+  '  "extends": "./tsconfig.base.json",',
+  '  "compilerOptions": {',
+  '    "noEmit": true, /* checked only */',
+  "  },",
+  '  "include": ["src/**/*.ts",],',
+  "}",
+  "",
+].join("\n");
+
+function makeConsumer(dir) {
+  const consumer = path.join(dir, "consumer");
+  fs.mkdirSync(path.join(consumer, "src"), { recursive: true });
+  fs.writeFileSync(path.join(consumer, "tsconfig.base.json"), BASE);
+  fs.writeFileSync(path.join(consumer, "tsconfig.json"), TSCONFIG);
+  fs.writeFileSync(path.join(consumer, "package.json"), JSON.stringify({ name: "consumer", type: "module" }));
+  fs.copyFileSync(
+    path.resolve(process.cwd(), "fixtures", "consumer-strict", "src", "index.ts"),
+    path.join(consumer, "src", "index.ts"),
+  );
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+  fs.mkdirSync(path.join(consumer, "node_modules", "lib-no-types"), { recursive: true });
+  for (const f of ["package.json", "index.js"]) {
+    fs.copyFileSync(path.join(lib, f), path.join(consumer, "node_modules", "lib-no-types", f));
+  }
+  const scenarioPath = path.join(dir, "scenario.json");
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({
+      id: "jsonc-extends",
+      consumerPath: consumer,
+      libraryName: "lib-no-types",
+      predictedDtsPath: path.resolve(process.cwd(), "fixtures", "predicted-dts", "lib-no-types", "index.d.ts"),
+    }),
+  );
+  return { consumer, scenarioPath };
+}
+
+function readJsonl(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => JSON.parse(line));
+}
+
+test("normalization reads JSONC and sees options inherited through extends", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tsconfig-"));
+  try {
+    const { consumer } = makeConsumer(dir);
+    const tsconfigPath = path.join(consumer, "tsconfig.json");
+    const plan = planNormalization(tsconfigPath);
+    assert.deepEqual(plan.applied, ["nodenext-module"]);
+    assert.deepEqual(plan.set, { module: "NodeNext" });
+
+    const { normalized, applied, restore } = await normalizeTsconfig(tsconfigPath);
+    assert.equal(normalized, true);
+    assert.deepEqual(applied, ["nodenext-module"]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(tsconfigPath, "utf8")), {
+      extends: "./tsconfig.base.json",
+      compilerOptions: { noEmit: true, module: "NodeNext" },
+      include: ["src/**/*.ts"],
+    });
+    await restore();
+    assert.equal(fs.readFileSync(tsconfigPath, "utf8"), TSCONFIG);
+    assert.equal(fs.existsSync(`${tsconfigPath}.bak`), false);
+
+    // a rule whose `set` already holds is not applied; later rules see earlier ones
+    const rules = [
+      { id: "strict", when: { moduleResolution: "NodeNext" }, set: { strict: true } },
+      { id: "module", when: { moduleResolution: "nodenext" }, set: { module: "nodenext" } },
+      { id: "after", when: { module: "NodeNext" }, set: { noUnusedLocals: true } },
+    ];
+    assert.deepEqual(planNormalization(tsconfigPath, rules).applied, ["module", "after"]);
+
+    fs.writeFileSync(tsconfigPath, '{ "extends": "./missing.json" }');
+    assert.throws(() => planNormalization(tsconfigPath), /missing\.json/);
+    fs.writeFileSync(tsconfigPath, '{ "compilerOptions": { ');
+    assert.throws(() => planNormalization(tsconfigPath));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("rule lists are checked for ids, option objects and option values", () => {
+  assert.throws(() => validateNormalizationRules({}, "r.json"), /r\.json: tsconfig rules must be an array/);
+  assert.throws(
+    () => validateNormalizationRules([{ id: "a", when: {}, set: { module: "x" } }, { id: "a" }], "r.json"),
+    /rule "a" set: .*module/,
+  );
+  assert.throws(
+    () => validateNormalizationRules([{ id: "a", when: {}, set: { strict: true } }, { id: "a", when: {}, set: {} }], "r.json"),
+    /unique string id/,
+  );
+  assert.throws(() => validateNormalizationRules([{ id: "a", when: [], set: {} }], "r.json"), /"when" object/);
+  assert.throws(() => validateNormalizationRules([{ id: "a", when: {}, set: {} }], "r.json"), /sets nothing/);
+});
+
+test("eval type-checks a JSONC tsconfig with an inherited NodeNext resolution, and takes --tsconfig-rules", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tsconfig-"));
+  try {
+    const { consumer, scenarioPath } = makeConsumer(dir);
+    const evalRun = (...extra) => {
+      const out = execFileSync("node", ["run.js", "eval", "--scenarios", scenarioPath, ...extra], { encoding: "utf8" });
+      const runDir = path.resolve(out.match(/Saved results to (.+)results\.eval\.jsonl/)[1]);
+      return readJsonl(path.join(runDir, "results.eval.jsonl")).find((r) => r.mode === "predicted");
+    };
+
+    assert.equal(evalRun().status, "success");
+    assert.equal(fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8"), TSCONFIG);
+
+    // without any rules the inherited combination stays and tsc rejects it
+    const rulesPath = path.join(dir, "rules.json");
+    fs.writeFileSync(rulesPath, "[]");
+    assert.notEqual(evalRun("--tsconfig-rules", rulesPath).status, "success");
+    assert.equal(fs.readFileSync(path.join(consumer, "tsconfig.json"), "utf8"), TSCONFIG);
+
+    // experiments pass the rules down to every cell
+    const matrixPath = path.join(dir, "matrix.json");
+    fs.writeFileSync(matrixPath, JSON.stringify({ conditions: [{ id: "BL1", mode: "BL1" }] }));
+    const expRun = (...extra) => {
+      const outDir = fs.mkdtempSync(path.join(dir, "exp-"));
+      const argv = ["run.js", "experiment", "--scenarios", scenarioPath, "--matrix", matrixPath, "--out", outDir];
+      execFileSync("node", [...argv, ...extra], { stdio: "ignore" });
+      return readJsonl(path.join(outDir, "BL1", "results.eval.jsonl")).find((r) => r.mode === "predicted");
+    };
+    assert.equal(expRun().status, "success");
+    assert.notEqual(expRun("--tsconfig-rules", rulesPath).status, "success");
+
+    fs.writeFileSync(rulesPath, JSON.stringify([{ id: "bad", when: {}, set: { moduleResolution: "sideways" } }]));
+    const bad = spawnSync("node", ["run.js", "eval", "--scenarios", scenarioPath, "--tsconfig-rules", rulesPath], {
+      encoding: "utf8",
+    });
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /--tsconfig-rules: .*rule "bad" set/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
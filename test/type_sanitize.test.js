@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { checkTypeString, sanitizePredictions } from "../src/type_sanitize.js";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestRepairRunDir() {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith("-repair"))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+test("checkTypeString accepts type expressions and rejects malformed or placeholder output", () => {
+  for (const ok of ["number", " string[] ", "{ foo: number }", "(a: string) => void", "Promise<Map<string, number>>", "'a' | 'b'"]) {
+    assert.equal(checkTypeString(ok).ok, true, ok);
+  }
+  assert.equal(checkTypeString(" string[] ").type, "string[]");
+  for (const bad of ["{ foo: number", "[MASK]", "Array<[MASK_0]>", "", "number // note", "string; declare const x: 1", "=>"]) {
+    assert.equal(checkTypeString(bad).ok, false, bad);
+  }
+  assert.match(checkTypeString("{ foo: number").reason, /expected/);
+});
+
+test("sanitizePredictions drops invalid candidates and falls back when none is left", () => {
+  const { preds, rejections } = sanitizePredictions(
+    {
+      libName: "lib",
+      slots: [
+        { slotId: "a:value", candidates: [{ type: "{ foo: number", score: 0 }, { type: "string", score: -1 }] },
+        { slotId: "b:value", candidates: [{ type: "[MASK]", score: 0 }] },
+        { slotId: "c:value", candidates: [] },
+      ],
+    },
+    "unknown",
+  );
+  assert.deepEqual(preds.slots.map((s) => s.candidates.map((c) => c.type)), [["string"], ["unknown"], []]);
+  assert.deepEqual(
+    rejections.map((r) => [r.slotId, r.rank, r.type, r.action, r.replacement]),
+    [
+      ["a:value", 0, "{ foo: number", "dropped", undefined],
+      ["b:value", 0, "[MASK]", "replaced", "unknown"],
+    ],
+  );
+});
+
+test("repair never emits malformed candidates and reports them next to the generated .d.ts", () => {
+  ensureFixtureNodeModules();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "sanitize-"));
+  try {
+    const predsPath = path.join(tmp, "lib-no-types.json");
+    const writePreds = (candidates) =>
+      fs.writeFileSync(
+        predsPath,
+        JSON.stringify({
+          libName: "lib-no-types",
+          exports: [{ kind: "const", name: "foo" }],
+          slots: [{ slotId: "foo:value", candidates }],
+        }),
+      );
+
+    writePreds([
+      { type: "{ foo: number", score: 0 },
+      { type: "[MASK]", score: -1 },
+      { type: "number", score: -2 },
+    ]);
+    execFileSync("node", ["run.js", "--projects", "./fixtures/consumer-strict", "--repair", "--preds", predsPath], {
+      stdio: "inherit",
+    });
+    let runDir = latestRepairRunDir();
+    const [baseline] = readJsonl(path.join(runDir, "results.baseline.jsonl"));
+    assert.equal(baseline.status, "success");
+    assert.equal(baseline.rejectedTypes, 2);
+    const dts = fs.readFileSync(baseline.injectedDtsPath, "utf8");
+    assert.match(dts, /export const foo: number;/);
+    const report = readJsonl(path.join(path.dirname(baseline.injectedDtsPath), "rejected-types.jsonl"));
+    assert.deepEqual(report.map((r) => [r.slotId, r.rank, r.action]), [
+      ["foo:value", 0, "dropped"],
+      ["foo:value", 1, "dropped"],
+    ]);
+
+    // nothing valid left: the configured fallback is emitted instead
+    writePreds([{ type: "{ foo: number", score: 0 }]);
+    execFileSync(
+      "node",
+      ["run.js", "--projects", "./fixtures/consumer-strict", "--repair", "--preds", predsPath, "--fallback-type", "number"],
+      { stdio: "inherit" },
+    );
+    runDir = latestRepairRunDir();
+    const [repaired] = readJsonl(path.join(runDir, "results.repaired.jsonl"));
+    assert.equal(repaired.status, "success");
+    assert.match(fs.readFileSync(repaired.injectedDtsPath, "utf8"), /export const foo: number;/);
+
+    const bad = spawnSync("node", ["run.js", "--projects", "./fixtures/consumer-strict", "--repair", "--fallback-type", "{"], {
+      encoding: "utf8",
+    });
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /--fallback-type:/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,148 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { aggregateScores, extractSlots, scoreSlots, slotsFromPredictions } from "../src/type_score.js";
+
+const REFERENCE = `
+type Id = string | number;
+export interface Options { verbose?: boolean }
+export declare function find(id: Id, opts?: Options): Promise<string[]>;
+export declare function parse(text: string): { a: number; b: string };
+export declare const VERSION: "1.0.0";
+export declare class Store {
+  constructor(name: string);
+  get(key: string): number | undefined;
+  static create(): Store;
+}
+export declare namespace utils {
+  function isEmpty(x: unknown): boolean;
+}
+`;
+
+function score(predictedDts) {
+  const ref = extractSlots(REFERENCE);
+  const pred = extractSlots(predictedDts);
+  return Object.fromEntries(scoreSlots(pred, ref).slots.map((s) => [s.slotId, s]));
+}
+
+test("reference slots use the slot ids of gen-dts", () => {
+  const { slots } = extractSlots(REFERENCE);
+  assert.deepEqual(
+    [...slots.keys()].sort(),
+    [
+      "Store:ctor:param:0",
+      "Store:method:get:param:0",
+      "Store:method:get:return",
+      "Store:staticMethod:create:return",
+      "VERSION:value",
+      "find:param:0",
+      "find:param:1",
+      "find:return",
+      "parse:param:0",
+      "parse:return",
+      "utils.isEmpty:param:0",
+      "utils.isEmpty:return",
+    ],
+  );
+});
+
+test("exact, normalized and base-type matches", () => {
+  const rows = score(`declare module "lib" {
+  export function find(key: number | string, o: any): Promise<Array<string>>;
+  export function parse(s: string): { b: string; a: number };
+  export const VERSION: string;
+  export class Store {
+    constructor(n: string);
+    get(k: string): undefined | number;
+    static create(): any;
+  }
+  export namespace utils {
+    export function isEmpty(v: any): boolean;
+  }
+}
+`);
+  // alias expanded, union order ignored
+  assert.deepEqual([rows["find:param:0"].exact, rows["find:param:0"].normalized], [false, true]);
+  assert.equal(rows["find:return"].normalized, true);
+  assert.equal(rows["parse:return"].normalized, true);
+  assert.equal(rows["parse:param:0"].exact, true);
+  assert.deepEqual([rows["VERSION:value"].normalized, rows["VERSION:value"].baseType], [false, true]);
+  assert.equal(rows["Store:method:get:return"].normalized, true);
+  // `any` never matches a real type, not even by base type
+  assert.deepEqual(
+    [rows["find:param:1"].exact, rows["find:param:1"].normalized, rows["find:param:1"].baseType],
+    [false, false, false],
+  );
+  assert.equal(rows["utils.isEmpty:param:0"].baseType, false);
+  assert.equal(rows["utils.isEmpty:return"].exact, true);
+});
+
+test("each side expands its own aliases", () => {
+  const rows = score(`declare module "lib" {
+  type Id = any;
+  export function find(id: Id): Promise<string[]>;
+}
+`);
+  // the predicted Id is any, whatever the reference calls Id
+  assert.deepEqual([rows["find:param:0"].exact, rows["find:param:0"].normalized], [true, false]);
+  assert.equal(rows["find:param:0"].baseType, false);
+});
+
+test("export = namespaces, predictions files and aggregation", () => {
+  const ref = extractSlots(`declare function lib(x: string): number;
+declare namespace lib { const version: string; }
+export = lib;
+`);
+  assert.deepEqual([...ref.slots.keys()], ["default:return", "default:param:0", "version:value"]);
+
+  const pred = slotsFromPredictions({
+    libName: "lib",
+    slots: [
+      { slotId: "default:param:0", candidates: [{ type: "string", score: 0 }, { type: "any", score: -1 }] },
+      { slotId: "default:return", candidates: [{ type: "any", score: 0 }] },
+      { slotId: "other:value", candidates: [{ type: "number", score: 0 }] },
+    ],
+  });
+  const { slots, extra } = scoreSlots(pred, ref);
+  assert.deepEqual(extra.map((e) => e.slotId), ["other:value"]);
+  const totals = aggregateScores(slots, extra.length);
+  assert.equal(totals.reference_slots, 3);
+  assert.equal(totals.missing_slots, 1);
+  assert.equal(totals.exact, 1);
+  assert.equal(totals.exact_rate, 1 / 3);
+  assert.equal(totals.extra_slots, 1);
+});
+
+test("score-types aggregates an experiment's generated declarations per condition and library", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "score-types-"));
+  try {
+    const exp = path.join(tmp, "exp");
+    const write = (rel, text) => {
+      fs.mkdirSync(path.dirname(path.join(exp, rel)), { recursive: true });
+      fs.writeFileSync(path.join(exp, rel), text);
+    };
+    write("BL1/generated-dts/BL1/s1/lib-a/index.d.ts", 'declare module "lib-a" {\n  export function f(x: any): any;\n}\n');
+    write("OURS/generated-dts/OURS_TOP1/s1/lib-a/index.d.ts", 'declare module "lib-a" {\n  export function f(x: string): number;\n}\n');
+    write("OURS/generated-dts/OURS_TOP1/s1/lib-b/index.d.ts", 'declare module "lib-b" {\n  export const v: any;\n}\n');
+    const refs = path.join(tmp, "refs");
+    fs.mkdirSync(refs);
+    fs.writeFileSync(path.join(refs, "lib-a.d.ts"), "export declare function f(x: string): number;\n");
+
+    execFileSync("node", ["run.js", "score-types", "--exp", exp, "--refs", refs], { stdio: "inherit" });
+    const scores = JSON.parse(fs.readFileSync(path.join(exp, "type_scores.json"), "utf8"));
+    assert.equal(scores.conditions.BL1.exact_rate, 0);
+    assert.equal(scores.conditions.OURS.exact_rate, 1);
+    assert.equal(scores.conditions.OURS.libraries["lib-a"].normalized, 2);
+    assert.equal(scores.libraries["lib-a"].reference_slots, 4);
+    assert.deepEqual(
+      scores.unscored.map((u) => [u.conditionId, u.scenarioId, u.library]),
+      [["OURS", "s1", "lib-b"]],
+    );
+    assert.ok(scores.slots.every((s) => s.conditionId && s.scenarioId === "s1"));
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestRunDir(suffix) {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith(suffix))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l));
+}
+
+// A "vendored" TypeScript package: the repository's compiler under another directory and a
+// version string of its own, so rows show which installation was used.
+function vendorTypeScript(root) {
+  const real = path.resolve(process.cwd(), "node_modules", "typescript");
+  const dir = path.join(root, "ts-cache", "typescript");
+  fs.mkdirSync(path.join(dir, "bin"), { recursive: true });
+  const pkg = JSON.parse(fs.readFileSync(path.join(real, "package.json"), "utf8"));
+  fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ ...pkg, version: `${pkg.version}-vendored` }));
+  fs.copyFileSync(path.join(real, "bin", "tsc"), path.join(dir, "bin", "tsc"));
+  fs.symlinkSync(path.join(real, "lib"), path.join(dir, "lib"));
+  return { dir, version: `${pkg.version}-vendored`, defaultVersion: pkg.version };
+}
+
+test("--typescript and scenario typescript pin the compiler recorded in scenario rows", () => {
+  ensureFixtureNodeModules();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ts-pin-"));
+  try {
+    const ts = vendorTypeScript(tmp);
+
+    execFileSync("node", ["run.js", "eval", "--scenarios", "./scenarios/*.json", "--typescript", ts.dir], {
+      stdio: "inherit",
+    });
+    const pinned = readJsonl(path.join(latestRunDir("-scenarios"), "results.eval.jsonl"));
+    assert.equal(pinned.length, 2);
+    for (const row of pinned) {
+      assert.equal(row.tscVersion, ts.version);
+      assert.equal(row.typescriptPath, fs.realpathSync(ts.dir));
+    }
+    assert.deepEqual(pinned.map((r) => r.status), ["type_error", "success"]);
+
+    // a scenario's own `typescript` wins over the run-wide default
+    const scenarioPath = path.join(tmp, "scenarios", "pinned.json");
+    fs.mkdirSync(path.dirname(scenarioPath), { recursive: true });
+    const base = JSON.parse(fs.readFileSync("scenarios/fixture-lib-no-types.json", "utf8"));
+    fs.writeFileSync(
+      scenarioPath,
+      JSON.stringify({
+        ...base,
+        id: "pinned",
+        consumerPath: path.resolve(base.consumerPath),
+        predictedDtsPath: path.resolve(base.predictedDtsPath),
+        typescript: "../ts-cache/typescript",
+      }),
+    );
+    execFileSync("node", ["run.js", "eval", "--scenarios", scenarioPath], { stdio: "inherit" });
+    const rows = readJsonl(path.join(latestRunDir("-scenarios"), "results.eval.jsonl"));
+    assert.deepEqual(rows.map((r) => r.tscVersion), [ts.version, ts.version]);
+
+    // without a pin: the repository-local installation, still recorded
+    execFileSync("node", ["run.js", "eval", "--scenarios", "./scenarios/*.json"], { stdio: "inherit" });
+    const local = readJsonl(path.join(latestRunDir("-scenarios"), "results.eval.jsonl"));
+    assert.equal(local[0].tscVersion, ts.defaultVersion);
+    assert.equal(local[0].typescriptPath, path.resolve("node_modules", "typescript"));
+
+    const bad = spawnSync("node", ["run.js", "eval", "--scenarios", "./scenarios/*.json", "--typescript", tmp], {
+      encoding: "utf8",
+    });
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /--typescript: No typescript package at/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("manifest rows record the compiler; a pinned one replaces the project's typecheckCommand", () => {
+  ensureFixtureNodeModules();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ts-pin-"));
+  try {
+    const ts = vendorTypeScript(tmp);
+    const manifestPath = path.join(tmp, "manifest.json");
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({
+        workspaceDir: "./workspace",
+        timeoutSec: 120,
+        projects: [
+          {
+            name: "consumer-strict",
+            source: { type: "local", path: path.resolve("fixtures", "consumer-strict") },
+            typecheckCommand: 'node -e "process.exit(0)"',
+          },
+        ],
+      }),
+    );
+
+    // the project's own script runs; the consumer has no typescript of its own
+    execFileSync("node", ["run.js", "eval", "--manifest", manifestPath], { stdio: "inherit" });
+    const [own] = readJsonl(path.join(latestRunDir("-eval"), "results.jsonl"));
+    assert.equal(own.status, "success");
+    assert.equal(own.tscVersion, "unknown");
+
+    execFileSync("node", ["run.js", "eval", "--manifest", manifestPath, "--typescript", ts.dir], { stdio: "inherit" });
+    const [pinned] = readJsonl(path.join(latestRunDir("-eval"), "results.jsonl"));
+    assert.equal(pinned.status, "type_error");
+    assert.equal(pinned.errorCode, "TS7016");
+    assert.equal(pinned.tscVersion, ts.version);
+
+    // injected runs use the repository-local compiler instead of `npx tsc`
+    execFileSync(
+      "node",
+      [
+        "run.js",
+        "eval",
+        "--manifest",
+        manifestPath,
+        "--condition",
+        "BL1",
+        "--libName",
+        "lib-no-types",
+        "--dts",
+        "fixtures/predicted-dts/lib-no-types/index.d.ts",
+      ],
+      { stdio: "inherit" },
+    );
+    const [injected] = readJsonl(path.join(latestRunDir("-eval"), "results.jsonl"));
+    assert.equal(injected.status, "success");
+    assert.equal(injected.tscVersion, ts.defaultVersion);
+    assert.equal(injected.typescriptPath, path.resolve("node_modules", "typescript"));
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { analyzeSource, collectUsage, createUsage, renderUsageDts, usageSurfaceExports } from "../src/usage_infer.js";
+
+function usageOf(files, libName = "lib") {
+  const usage = createUsage();
+  for (const [name, text] of Object.entries(files)) analyzeSource(usage, text, name, libName);
+  return usage;
+}
+
+test("usage analysis infers calls, construction, properties and compared literals", () => {
+  const usage = usageOf({
+    "a.ts": [
+      'import { makeApp, Client, mode, type Options } from "lib";',
+      "const app = makeApp();",
+      'app.listen(3000, () => {});',
+      "makeApp({ port: 1 });",
+      'const c = new Client("x");',
+      "c.connect();",
+      'if (mode === "fast") {}',
+      'switch (mode) { case "slow": break; }',
+      "let o: Options;",
+    ].join("\n"),
+  });
+  const dts = renderUsageDts("lib", usage);
+  assert.match(dts, /export function makeApp\(a0\?: any\): \{ listen: \(a0: any, a1: any\) => any \};/);
+  assert.match(dts, /export class Client \{\n    constructor\(a0: any\);\n    connect: \(\) => any;\n  \}/);
+  assert.match(dts, /export const mode: "fast" \| "slow";/);
+  assert.match(dts, /export type Options = any;/);
+  assert.doesNotMatch(dts, /const Options/);
+  assert.match(dts, /const _default: any;\n  export default _default;/);
+});
+
+test("usage analysis follows namespace, require, dynamic import and annotated targets", () => {
+  const usage = usageOf({
+    "a.ts": [
+      'import * as ns from "lib";',
+      "const n: number = ns.version;",
+      'const r = await ns.load("a");',
+      "r.items.push(1);",
+      "let cfg: ns.Config<string, number>;",
+    ].join("\n"),
+    "b.cts": ['import util = require("lib");', "util.helper.flag = true;"].join("\n"),
+    "c.mts": ['const { later } = await import("lib");', "later(1, ...[]);"].join("\n"),
+    "d.tsx": ['import other from "other";', "other.x();"].join("\n"),
+  });
+  const dts = renderUsageDts("lib", usage);
+  assert.match(dts, /export const version: number;/);
+  assert.match(dts, /export function load\(a0: any\): Promise<\{ items: \{ push: \(a0: any\) => any \} \}>;/);
+  assert.match(dts, /export type Config<T0 = any, T1 = any> = any;/);
+  assert.match(dts, /export const helper: \{ flag: boolean \};/);
+  assert.match(dts, /export function later\(a0: any, \.\.\.rest: any\[\]\): any;/);
+  assert.doesNotMatch(dts, /other|\bx\b/);
+});
+
+test("a called require binding becomes `export =` merged with the named exports", () => {
+  const usage = usageOf({
+    "a.ts": ['import lib = require("lib");', "const s: string = lib(1);", "lib.extra();"].join("\n"),
+  });
+  const dts = renderUsageDts("lib", usage);
+  assert.match(dts, /function _exports\(a0: any\): string;/);
+  assert.match(dts, /namespace _exports \{\n    export function extra\(\): any;\n  \}/);
+  assert.match(dts, /export = _exports;/);
+
+  // nothing imported: the permissive stub
+  assert.equal(renderUsageDts("lib", createUsage()), 'declare module "lib" {\n  const _default: any;\n  export = _default;\n}\n');
+});
+
+test("usage surface entries give the predictor slots for the observed shape", () => {
+  const usage = usageOf({
+    "a.ts": [
+      'import { f, C, obj, v } from "lib";',
+      "f(1); f(1, 2);",
+      "const c = new C(); c.run(1); c.name; C.create();",
+      "obj.size; obj.get(1);",
+      "v;",
+    ].join("\n"),
+  });
+  const byName = Object.fromEntries(usageSurfaceExports(usage).map((e) => [e.name, e]));
+  assert.deepEqual(byName.f, { kind: "function", name: "f", params: ["a0", { name: "a1", optional: true }] });
+  assert.deepEqual(byName.C, {
+    kind: "class",
+    name: "C",
+    ctorParams: [],
+    methods: [
+      { name: "run", static: false, params: ["a0"] },
+      { name: "create", static: true, params: [] },
+    ],
+    properties: [{ name: "name", static: false }],
+  });
+  assert.deepEqual(byName.obj, {
+    kind: "object",
+    name: "obj",
+    members: [{ kind: "const", name: "size" }, { kind: "function", name: "get", params: ["a0"] }],
+  });
+  assert.deepEqual(byName.v, { kind: "const", name: "v" });
+});
+
+test("collectUsage reads .ts/.tsx/.mts/.cts sources outside node_modules", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+  try {
+    fs.mkdirSync(path.join(dir, "src"));
+    fs.mkdirSync(path.join(dir, "node_modules", "dep"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "src", "a.tsx"), 'import { a } from "lib";\na();\n');
+    fs.writeFileSync(path.join(dir, "src", "b.mts"), 'import { b } from "lib";\nb.c;\n');
+    fs.writeFileSync(path.join(dir, "node_modules", "dep", "x.ts"), 'import { hidden } from "lib";\n');
+    const usage = await collectUsage(dir, "lib");
+    assert.deepEqual([...usage.named.keys()].filter((k) => k !== "default").sort(), ["a", "b"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
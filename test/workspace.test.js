@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createOverlay } from "../src/workspace.js";
+
+function ensureFixtureNodeModules() {
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const lib = path.resolve(process.cwd(), "fixtures", "lib-no-types");
+
+  const nmLibDir = path.join(consumer, "node_modules", "lib-no-types");
+  fs.mkdirSync(nmLibDir, { recursive: true });
+  fs.copyFileSync(path.join(lib, "package.json"), path.join(nmLibDir, "package.json"));
+  fs.copyFileSync(path.join(lib, "index.js"), path.join(nmLibDir, "index.js"));
+}
+
+function latestRunDir(suffix) {
+  const runsDir = path.resolve(process.cwd(), "runs");
+  const entries = fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.endsWith(suffix))
+    .map((e) => path.join(runsDir, e.name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return entries[0];
+}
+
+function readJsonl(filePath) {
+  const txt = fs.readFileSync(filePath, "utf8").trim();
+  if (!txt) return [];
+  return txt.split("\n").map((l) => JSON.parse(l));
+}
+
+// Snapshot of every regular file (path -> content + mtime) under dir.
+function snapshot(dir) {
+  const out = {};
+  const walk = (d) => {
+    for (const e of fs.readdirSync(d, { withFileTypes: true })) {
+      const p = path.join(d, e.name);
+      if (e.isDirectory()) walk(p);
+      else out[path.relative(dir, p)] = `${fs.readFileSync(p, "utf8")}@${fs.statSync(p).mtimeMs}`;
+    }
+  };
+  walk(dir);
+  return out;
+}
+
+test("overlay copies project files, links node_modules and detaches paths before writes", async (t) => {
+  const src = fs.mkdtempSync(path.join(os.tmpdir(), "overlay-src-"));
+  t.after(() => fs.rmSync(src, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(src, "tsconfig.json"), "{}");
+  fs.mkdirSync(path.join(src, "src"));
+  fs.writeFileSync(path.join(src, "src", "index.ts"), "export {};\n");
+  fs.mkdirSync(path.join(src, "node_modules", "@types", "foo"), { recursive: true });
+  fs.writeFileSync(path.join(src, "node_modules", "@types", "foo", "index.d.ts"), "original");
+  fs.mkdirSync(path.join(src, "node_modules", "bar"));
+
+  const overlay = await createOverlay(src);
+  const nm = path.join(overlay.root, "node_modules");
+  assert.ok(fs.lstatSync(path.join(overlay.root, "tsconfig.json")).isFile());
+  assert.ok(fs.lstatSync(path.join(nm, "bar")).isSymbolicLink());
+  assert.ok(fs.lstatSync(path.join(nm, "@types")).isSymbolicLink());
+
+  const target = await overlay.detach(path.join("node_modules", "@types", "foo", "index.d.ts"));
+  fs.writeFileSync(target, "injected");
+  fs.writeFileSync(path.join(overlay.root, "tsconfig.json"), '{"compilerOptions":{}}');
+  assert.ok(fs.lstatSync(path.join(nm, "@types")).isDirectory());
+  assert.ok(fs.lstatSync(path.join(nm, "bar")).isSymbolicLink());
+  assert.equal(fs.readFileSync(path.join(src, "node_modules", "@types", "foo", "index.d.ts"), "utf8"), "original");
+  assert.equal(fs.readFileSync(path.join(src, "tsconfig.json"), "utf8"), "{}");
+  assert.equal(overlay.toSource(path.join(overlay.root, "src", "index.ts")), path.join(src, "src", "index.ts"));
+
+  await overlay.dispose();
+  assert.equal(fs.existsSync(overlay.root), false);
+  assert.ok(fs.existsSync(path.join(src, "node_modules", "bar")));
+});
+
+test("--isolate evaluates scenarios and repairs without touching the original consumer", async () => {
+  ensureFixtureNodeModules();
+  const consumer = path.resolve(process.cwd(), "fixtures", "consumer-strict");
+  const repairProject = path.resolve(process.cwd(), "fixtures", "repair-project");
+  const before = { consumer: snapshot(consumer), repair: snapshot(repairProject) };
+
+  execFileSync("node", ["run.js", "eval", "--scenarios", "./scenarios/*.json", "--isolate"], { stdio: "inherit" });
+  const rows = readJsonl(path.join(latestRunDir("-scenarios"), "results.eval.jsonl"));
+  assert.deepEqual(rows.map((r) => [r.mode, r.status, r.workspace]), [
+    ["baseline", "type_error", "overlay"],
+    ["predicted", "success", "overlay"],
+  ]);
+
+  execFileSync("node", ["run.js", "--projects", "./fixtures/repair-project", "--repair", "--topk", "3", "--isolate"], {
+    stdio: "inherit",
+  });
+  const repaired = readJsonl(path.join(latestRunDir("-repair"), "results.repaired.jsonl"));
+  assert.equal(repaired[0].status, "success");
+  assert.equal(repaired[0].workspace, "overlay");
+  const baseline = readJsonl(path.join(latestRunDir("-repair"), "results.baseline.jsonl"));
+  for (const d of baseline[0].diagnostics) {
+    assert.ok(!d.filePath.startsWith(os.tmpdir()), "diagnostics point at the original project");
+  }
+
+  assert.deepEqual(snapshot(consumer), before.consumer);
+  assert.deepEqual(snapshot(repairProject), before.repair);
+});